@@ -0,0 +1,72 @@
+/**
+ * Vite 插件：把预览运行时打包成虚拟模块 virtual:preview-runtime
+ * 预览 iframe 运行在不透明源（srcdoc + sandbox="allow-scripts"）中，不能加载宿主页面的模块脚本，
+ * 所以把运行时（含依赖和样式）单独打包成一个自包含的脚本，由宿主通过 postMessage 交给 iframe 执行。
+ * 模块默认导出 { script, style }
+ */
+
+import path from "path"
+import { build } from "vite"
+import react from "@vitejs/plugin-react"
+
+const VIRTUAL_ID = "virtual:preview-runtime"
+const RESOLVED_ID = `\0${VIRTUAL_ID}`
+
+/**
+ * 创建插件
+ * @param {string} root - 项目根目录
+ * @param {string} entry - 运行时入口，相对项目根目录
+ * @returns {Object} Vite 插件
+ */
+export default function previewRuntime(root, entry) {
+  let mode = "production"
+  let alias = {}
+
+  // 打包运行时：单个 IIFE 脚本，Worker 和其他资源都内联，不依赖宿主页面的地址
+  const bundle = async () => {
+    const result = await build({
+      configFile: false,
+      root,
+      mode,
+      logLevel: "warn",
+      plugins: [react()],
+      resolve: { alias },
+      // 库模式不会替换 process.env.NODE_ENV
+      define: { "process.env.NODE_ENV": JSON.stringify(mode) },
+      build: {
+        write: false,
+        minify: mode === "production",
+        lib: { entry: path.resolve(root, entry), formats: ["iife"], name: "ReactFlowPreview" },
+      },
+      worker: { format: "iife" },
+    })
+    const { output } = Array.isArray(result) ? result[0] : result
+    return {
+      chunk: output.find((file) => file.type === "chunk" && file.isEntry),
+      styles: output.filter((file) => file.type === "asset" && file.fileName.endsWith(".css")),
+    }
+  }
+
+  return {
+    name: "preview-runtime",
+    configResolved(config) {
+      mode = config.mode
+      alias = config.resolve.alias
+    },
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null
+    },
+    async load(id) {
+      if (id !== RESOLVED_ID) {
+        return null
+      }
+      const { chunk, styles } = await bundle()
+      // 运行时的源码变化后重新打包
+      Object.keys(chunk.modules)
+        .filter((file) => path.isAbsolute(file) && !file.includes("node_modules"))
+        .forEach((file) => this.addWatchFile(file))
+      const style = styles.map((file) => String(file.source)).join("\n")
+      return `export default ${JSON.stringify({ script: chunk.code, style })}`
+    },
+  }
+}
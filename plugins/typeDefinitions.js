@@ -0,0 +1,63 @@
+/**
+ * Vite 插件：把 node_modules 中的类型定义打包成虚拟模块 virtual:type-definitions
+ * import.meta.glob 不会匹配 node_modules 中的文件，所以在构建时直接从磁盘读取。
+ * 模块默认导出 { "/node_modules/包/路径.d.ts": 内容 }，供编辑器（Monaco）注册为 extraLib
+ */
+
+import fs from "fs"
+import path from "path"
+
+const VIRTUAL_ID = "virtual:type-definitions"
+const RESOLVED_ID = `\0${VIRTUAL_ID}`
+
+/**
+ * 列出目录中的 .d.ts 文件
+ * @param {string} dir - 目录的绝对路径
+ * @param {boolean} recursive - 是否包含子目录
+ * @returns {string[]} 文件的绝对路径
+ */
+const listDeclarations = (dir, recursive) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      return recursive ? listDeclarations(file, true) : []
+    }
+    return entry.name.endsWith(".d.ts") ? [file] : []
+  })
+
+/**
+ * 创建插件
+ * @param {string} root - 项目根目录
+ * @param {string[]} patterns - 相对 node_modules 的路径：具体文件、"目录/*"（只含该目录）或 "目录/**"（包含子目录）
+ * @returns {Object} Vite 插件
+ */
+export default function typeDefinitions(root, patterns) {
+  const nodeModules = path.join(root, "node_modules")
+
+  return {
+    name: "type-definitions",
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null
+    },
+    load(id) {
+      if (id !== RESOLVED_ID) {
+        return null
+      }
+
+      const files = patterns.flatMap((pattern) => {
+        const match = /^(.*)\/(\*\*?)$/.exec(pattern)
+        return match
+          ? listDeclarations(path.join(nodeModules, match[1]), match[2] === "**")
+          : [path.join(nodeModules, pattern)]
+      })
+
+      const declarations = Object.fromEntries(
+        files.map((file) => [
+          `/node_modules/${path.relative(nodeModules, file).split(path.sep).join("/")}`,
+          fs.readFileSync(file, "utf-8"),
+        ])
+      )
+      return `export default ${JSON.stringify(declarations)}`
+    },
+  }
+}
@@ -2,8 +2,12 @@ import { Routes, Route, Link } from "react-router-dom"
 import Home from "./pages/Home"
 import About from "./pages/About"
 import ExamplePage from "./pages/examples/ExamplePage"
+import { MOTION_PREFERENCES, useMotionPreference } from "./lib/layout/motion"
 
 function App() {
+  // 全局动画设置，对所有案例生效（优先于案例中的“启用动画”开关）
+  const [motionPreference, setMotionPreference] = useMotionPreference()
+
   return (
     <div className="h-screen bg-background flex flex-col overflow-hidden">
       <nav className="border-b border-border bg-card flex-shrink-0">
@@ -20,6 +24,23 @@ function App() {
           >
             关于
           </Link>
+          <label className="ml-auto flex items-center gap-2 text-sm text-muted-foreground">
+            动画
+            <select
+              value={motionPreference}
+              onChange={(e) => setMotionPreference(e.target.value)}
+              className="px-2 py-1 text-sm bg-background text-foreground border border-border rounded-md"
+            >
+              {MOTION_PREFERENCES.map((preference) => (
+                <option
+                  key={preference.value}
+                  value={preference.value}
+                >
+                  {preference.label}
+                </option>
+              ))}
+            </select>
+          </label>
         </div>
       </nav>
 
@@ -1,42 +1,57 @@
 import { useState, useEffect } from "react"
-import Editor from "@monaco-editor/react"
+import Editor, { useMonaco } from "@monaco-editor/react"
+import { EDITOR_OPTIONS, configureMonaco, setTypeChecking } from "../lib/monaco"
+import DiffView from "./DiffView"
 
 /**
  * 代码编辑器组件
  * 支持直接编辑代码，实时预览，带语法高亮
+ * 案例包含多个文件时，以标签页的形式切换
+ * 可以切换到对比模式，查看原始代码与编辑后代码的差异
+ * @param {Array<{name: string, code: string, originalCode: string}>} files - 文件列表
+ * @param {string} language - 案例源码的语言，"jsx" 或 "tsx"
+ * @param {Function} onCodeChange - 代码变化回调 (name, newCode) => void
+ * @param {number} draftRestoredAt - 已恢复的草稿的保存时间，没有恢复草稿时为 null
+ * @param {Function} onDiscardDraft - 丢弃草稿回调
  */
-function CodeViewer({ code, language = "typescript", onCodeChange }) {
-  const [editedCode, setEditedCode] = useState(code)
+function CodeViewer({ files, language = "jsx", onCodeChange, draftRestoredAt, onDiscardDraft }) {
+  const [activeName, setActiveName] = useState(files[0]?.name)
+  const [showDiff, setShowDiff] = useState(false) // 是否显示对比视图
+  const [typeChecking, setTypeCheckingEnabled] = useState(false) // 是否显示类型检查错误
+  const monaco = useMonaco()
 
-  // 当 code prop 变化时，更新 editedCode
+  // 切换类型检查诊断
   useEffect(() => {
-    setEditedCode(code)
-  }, [code])
+    if (monaco) {
+      setTypeChecking(monaco, typeChecking)
+    }
+  }, [monaco, typeChecking])
+
+  // 文件列表变化后（如切换案例）当前标签可能已不存在，回退到第一个文件
+  const activeFile = files.find((file) => file.name === activeName) || files[0]
 
   const handleCodeChange = (newCode) => {
-    setEditedCode(newCode || "")
     if (onCodeChange) {
-      onCodeChange(newCode || "")
+      onCodeChange(activeFile.name, newCode || "")
     }
   }
 
   const handleReset = () => {
-    setEditedCode(code)
     if (onCodeChange) {
-      onCodeChange(code)
+      onCodeChange(activeFile.name, activeFile.originalCode)
     }
   }
 
-  // 根据 language 确定 Monaco Editor 的语言模式
+  // 根据文件扩展名确定 Monaco Editor 的语言模式
+  // Monaco Editor 的 JavaScript 模式已经支持 JSX 语法高亮，TypeScript 模式根据 .tsx 扩展名启用 JSX
   const getEditorLanguage = () => {
-    // Monaco Editor 的 JavaScript 模式已经支持 JSX 语法高亮
-    if (language === "jsx" || language === "javascript") {
-      return "javascript"
-    }
-    if (language === "tsx" || language === "typescript") {
+    if (/\.tsx?$/.test(activeFile.name)) {
       return "typescript"
     }
-    return language
+    if (/\.jsx?$/.test(activeFile.name)) {
+      return "javascript"
+    }
+    return language === "tsx" ? "typescript" : "javascript"
   }
 
   return (
@@ -47,6 +62,37 @@ function CodeViewer({ code, language = "typescript", onCodeChange }) {
           <span className="text-xs text-muted-foreground">({language})</span>
         </div>
         <div className="flex items-center gap-2">
+          {draftRestoredAt && (
+            <span
+              className="text-xs text-muted-foreground"
+              title={new Date(draftRestoredAt).toLocaleString("zh-CN")}
+            >
+              已恢复草稿
+              <button
+                onClick={onDiscardDraft}
+                className="ml-1 text-primary hover:underline"
+              >
+                丢弃
+              </button>
+            </span>
+          )}
+          <button
+            onClick={() => setTypeCheckingEnabled((prev) => !prev)}
+            title="显示类型检查错误"
+            className={`text-xs px-2 py-1 border border-border rounded transition-colors ${
+              typeChecking ? "bg-primary text-primary-foreground" : "bg-background hover:bg-muted"
+            }`}
+          >
+            类型检查
+          </button>
+          <button
+            onClick={() => setShowDiff((prev) => !prev)}
+            className={`text-xs px-2 py-1 border border-border rounded transition-colors ${
+              showDiff ? "bg-primary text-primary-foreground" : "bg-background hover:bg-muted"
+            }`}
+          >
+            对比
+          </button>
           <button
             onClick={handleReset}
             className="text-xs px-2 py-1 bg-background border border-border rounded hover:bg-muted transition-colors"
@@ -55,101 +101,46 @@ function CodeViewer({ code, language = "typescript", onCodeChange }) {
           </button>
         </div>
       </div>
+      {files.length > 1 && (
+        <div className="flex items-center bg-muted border-b border-border flex-shrink-0 overflow-x-auto">
+          {files.map((file) => (
+            <button
+              key={file.name}
+              onClick={() => setActiveName(file.name)}
+              className={`text-xs px-3 py-1.5 border-r border-border whitespace-nowrap transition-colors ${
+                file.name === activeFile.name
+                  ? "bg-background text-foreground"
+                  : "text-muted-foreground hover:bg-background/50"
+              }`}
+            >
+              {file.name}
+              {file.code !== file.originalCode && " •"}
+            </button>
+          ))}
+        </div>
+      )}
       <div className="flex-1 overflow-hidden relative">
-        <Editor
-          height="100%"
-          language={getEditorLanguage()}
-          value={editedCode}
-          onChange={handleCodeChange}
-          theme="vs-dark"
-          options={{
-            minimap: { enabled: false },
-            fontSize: 14,
-            lineNumbers: "on",
-            scrollBeyondLastLine: false,
-            automaticLayout: true,
-            tabSize: 2,
-            wordWrap: "on",
-            formatOnPaste: true,
-            formatOnType: true,
-            autoIndent: "full",
-            suggestOnTriggerCharacters: true,
-            acceptSuggestionOnEnter: "on",
-            tabCompletion: "on",
-            wordBasedSuggestions: "allDocuments",
-            quickSuggestions: true,
-            parameterHints: { enabled: true },
-          }}
-          beforeMount={(monaco) => {
-            // 配置 JavaScript 编译器选项
-            const compilerOptions = {
-              target: monaco.languages.typescript.ScriptTarget.Latest,
-              allowNonTsExtensions: true,
-              moduleResolution: monaco.languages.typescript.ModuleResolutionKind.NodeJs,
-              module: monaco.languages.typescript.ModuleKind.ESNext,
-              noEmit: true,
-              esModuleInterop: true,
-              jsx: monaco.languages.typescript.JsxEmit.React,
-              reactNamespace: "React",
-              allowJs: true,
-              typeRoots: ["node_modules/@types"],
-              checkJs: false, // 禁用 JavaScript 类型检查
-              skipLibCheck: true, // 跳过库文件的类型检查
-            }
-
-            monaco.languages.typescript.javascriptDefaults.setCompilerOptions(compilerOptions)
-            monaco.languages.typescript.typescriptDefaults.setCompilerOptions(compilerOptions)
-
-            // 禁用语义验证和诊断，只保留语法高亮
-            const diagnosticsOptions = {
-              noSemanticValidation: true, // 禁用语义验证
-              noSyntaxValidation: false, // 保留语法检查（用于语法高亮）
-              noSuggestionDiagnostics: true, // 禁用建议诊断
-            }
-
-            monaco.languages.typescript.javascriptDefaults.setDiagnosticsOptions(diagnosticsOptions)
-            monaco.languages.typescript.typescriptDefaults.setDiagnosticsOptions(diagnosticsOptions)
-
-            // 添加类型定义，避免模块找不到的错误
-            // 这些只是占位符，实际的类型检查已禁用
-            const typeDefinitions = `
-declare module 'react' {
-  export function useCallback<T extends (...args: any[]) => any>(callback: T, deps: any[]): T;
-  export function useState<T>(initial: T): [T, (value: T) => void];
-  export function useEffect(effect: () => void | (() => void), deps?: any[]): void;
-  export function useMemo<T>(factory: () => T, deps?: any[]): T;
-  export function useRef<T>(initial: T): { current: T };
-  export function useLayoutEffect(effect: () => void | (() => void), deps?: any[]): void;
-  export default any;
-  export const Component: any;
-  export const Fragment: any;
-}
-declare module '@xyflow/react' {
-  export const ReactFlow: any;
-  export const Background: any;
-  export const Controls: any;
-  export const MiniMap: any;
-  export const Panel: any;
-  export function addEdge(edge: any, edges: any[]): any[];
-  export function useNodesState(initial: any[]): [any[], any, any];
-  export function useEdgesState(initial: any[]): [any[], any, any];
-}
-declare module 'dagre' {
-  const dagre: any;
-  export default dagre;
-}
-`
-
-            monaco.languages.typescript.javascriptDefaults.addExtraLib(
-              typeDefinitions,
-              "file:///node_modules/@types/index.d.ts"
-            )
-            monaco.languages.typescript.typescriptDefaults.addExtraLib(
-              typeDefinitions,
-              "file:///node_modules/@types/index.d.ts"
-            )
-          }}
-        />
+        {showDiff ? (
+          <DiffView
+            key={activeFile.name}
+            path={activeFile.name}
+            original={activeFile.originalCode}
+            modified={activeFile.code}
+            language={getEditorLanguage()}
+            onChange={handleCodeChange}
+          />
+        ) : (
+          <Editor
+            height="100%"
+            path={activeFile.name}
+            language={getEditorLanguage()}
+            value={activeFile.code}
+            onChange={handleCodeChange}
+            theme="vs-dark"
+            options={EDITOR_OPTIONS}
+            beforeMount={configureMonaco}
+          />
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,30 @@
+// 各编译状态的文字和圆点颜色
+const STATUS_STYLES = {
+  pending: { label: "等待编译", dot: "bg-gray-400" },
+  compiling: { label: "编译中…", dot: "bg-blue-500 animate-pulse" },
+  success: { label: "编译成功", dot: "bg-green-500" },
+  error: { label: "编译失败", dot: "bg-red-500" },
+}
+
+/**
+ * 编译状态指示器
+ * 显示预览代码当前的编译状态，编译完成后附带耗时
+ * @param {{state: string, duration: number}} status - 编译状态，为 null 时不显示
+ */
+function CompileStatus({ status }) {
+  if (!status) {
+    return null
+  }
+
+  const { label, dot } = STATUS_STYLES[status.state]
+
+  return (
+    <span className="flex items-center gap-1.5 text-xs text-muted-foreground">
+      <span className={`w-2 h-2 rounded-full ${dot}`} />
+      {label}
+      {status.duration !== null && <span className="font-mono">{Math.round(status.duration)} ms</span>}
+    </span>
+  )
+}
+
+export default CompileStatus
@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from "react"
+
+// 不同级别日志的文字颜色
+const LEVEL_STYLES = {
+  log: "text-foreground",
+  info: "text-blue-600",
+  warn: "text-yellow-600 bg-yellow-50",
+  error: "text-red-600 bg-red-50",
+}
+
+/**
+ * 控制台面板组件
+ * 显示预览代码中 console.log/warn/error 的输出，可折叠
+ * @param {Array<{level: string, message: string}>} entries - 日志列表
+ * @param {Function} onClear - 清空日志回调
+ */
+function ConsolePanel({ entries, onClear }) {
+  const [expanded, setExpanded] = useState(false)
+  const listRef = useRef(null)
+
+  // 有新日志时滚动到底部
+  useEffect(() => {
+    if (expanded && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight
+    }
+  }, [entries, expanded])
+
+  const errorCount = entries.filter((entry) => entry.level === "error").length
+
+  return (
+    <div className="flex-shrink-0 border-t border-border bg-card">
+      <div className="flex items-center justify-between px-4 py-1">
+        <button
+          onClick={() => setExpanded((prev) => !prev)}
+          className="text-xs font-semibold text-foreground hover:text-primary transition-colors"
+        >
+          {expanded ? "▾" : "▸"} 控制台 ({entries.length})
+          {errorCount > 0 && <span className="ml-2 text-red-600">{errorCount} 个错误</span>}
+        </button>
+        {expanded && (
+          <button
+            onClick={onClear}
+            className="text-xs px-2 py-0.5 bg-background border border-border rounded hover:bg-muted transition-colors"
+          >
+            清空
+          </button>
+        )}
+      </div>
+      {expanded && (
+        <div
+          ref={listRef}
+          className="h-40 overflow-y-auto border-t border-border font-mono text-xs"
+        >
+          {entries.length === 0 ? (
+            <div className="px-4 py-2 text-muted-foreground">暂无输出</div>
+          ) : (
+            entries.map((entry, index) => (
+              <div
+                key={index}
+                className={`px-4 py-1 border-b border-border whitespace-pre-wrap break-all ${LEVEL_STYLES[entry.level]}`}
+              >
+                {entry.message}
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ConsolePanel
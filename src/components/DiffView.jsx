@@ -0,0 +1,208 @@
+import { useState, useRef, useEffect, useCallback } from "react"
+import { DiffEditor } from "@monaco-editor/react"
+import { EDITOR_OPTIONS, configureMonaco } from "../lib/monaco"
+
+/**
+ * 获取一处修改在修改后代码中覆盖的行号范围
+ * Monaco 用 endLineNumber 为 0 表示该侧没有行（纯插入或纯删除）
+ * @param {Object} change - Monaco 的 ILineChange
+ * @returns {{start: number, end: number}} 行号范围（闭区间）
+ */
+const getModifiedRange = (change) =>
+  change.modifiedEndLineNumber === 0
+    ? { start: change.modifiedStartLineNumber, end: change.modifiedStartLineNumber }
+    : { start: change.modifiedStartLineNumber, end: change.modifiedEndLineNumber }
+
+/**
+ * 将一处修改恢复为原始代码
+ * @param {Object} diffEditor - Monaco 对比编辑器实例
+ * @param {Object} change - 要恢复的 ILineChange
+ */
+const revertChange = (diffEditor, change) => {
+  const originalModel = diffEditor.getOriginalEditor().getModel()
+  const modifiedEditor = diffEditor.getModifiedEditor()
+  const modifiedModel = modifiedEditor.getModel()
+
+  const originalText =
+    change.originalEndLineNumber === 0
+      ? ""
+      : originalModel.getValueInRange({
+          startLineNumber: change.originalStartLineNumber,
+          startColumn: 1,
+          endLineNumber: change.originalEndLineNumber,
+          endColumn: originalModel.getLineMaxColumn(change.originalEndLineNumber),
+        })
+
+  let edit
+  if (change.modifiedEndLineNumber === 0) {
+    // 修改后删除了若干行：在 modifiedStartLineNumber 之后重新插入
+    const line = change.modifiedStartLineNumber
+    edit =
+      line === 0
+        ? { range: { startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 1 }, text: `${originalText}\n` }
+        : {
+            range: {
+              startLineNumber: line,
+              startColumn: modifiedModel.getLineMaxColumn(line),
+              endLineNumber: line,
+              endColumn: modifiedModel.getLineMaxColumn(line),
+            },
+            text: `\n${originalText}`,
+          }
+  } else if (change.originalEndLineNumber === 0) {
+    // 修改后新增了若干行：连同换行符一起删除
+    const { start, end } = getModifiedRange(change)
+    edit =
+      end < modifiedModel.getLineCount()
+        ? { range: { startLineNumber: start, startColumn: 1, endLineNumber: end + 1, endColumn: 1 }, text: "" }
+        : {
+            range: {
+              startLineNumber: Math.max(start - 1, 1),
+              startColumn: start > 1 ? modifiedModel.getLineMaxColumn(start - 1) : 1,
+              endLineNumber: end,
+              endColumn: modifiedModel.getLineMaxColumn(end),
+            },
+            text: "",
+          }
+  } else {
+    // 修改了若干行：整体替换为原始代码
+    const { start, end } = getModifiedRange(change)
+    edit = {
+      range: {
+        startLineNumber: start,
+        startColumn: 1,
+        endLineNumber: end,
+        endColumn: modifiedModel.getLineMaxColumn(end),
+      },
+      text: originalText,
+    }
+  }
+
+  modifiedEditor.pushUndoStop()
+  modifiedEditor.executeEdits("revert-change", [edit])
+  modifiedEditor.pushUndoStop()
+}
+
+/**
+ * 代码对比组件
+ * 并排显示原始代码和编辑后的代码，可以逐处撤销修改
+ * @param {string} path - 文件名，用于区分编辑器模型
+ * @param {string} original - 原始代码
+ * @param {string} modified - 编辑后的代码
+ * @param {string} language - Monaco 语言模式
+ * @param {Function} onChange - 编辑后的代码变化回调
+ */
+function DiffView({ path, original, modified, language, onChange }) {
+  const diffEditorRef = useRef(null)
+  const [changes, setChanges] = useState([])
+  const [currentIndex, setCurrentIndex] = useState(0)
+
+  // 编辑器事件只在挂载时注册一次，通过 ref 调用最新的回调
+  const onChangeRef = useRef(onChange)
+  useEffect(() => {
+    onChangeRef.current = onChange
+  }, [onChange])
+
+  const handleMount = useCallback((diffEditor) => {
+    diffEditorRef.current = diffEditor
+    const modifiedEditor = diffEditor.getModifiedEditor()
+
+    modifiedEditor.onDidChangeModelContent(() => {
+      onChangeRef.current(modifiedEditor.getValue())
+    })
+
+    diffEditor.onDidUpdateDiff(() => {
+      const lineChanges = diffEditor.getLineChanges() || []
+      setChanges(lineChanges)
+      setCurrentIndex((index) => Math.min(index, Math.max(lineChanges.length - 1, 0)))
+    })
+
+    // 右键菜单：撤销光标所在的修改
+    modifiedEditor.addAction({
+      id: "revert-change-at-cursor",
+      label: "撤销此处修改",
+      contextMenuGroupId: "1_modification",
+      run: (editor) => {
+        const line = editor.getPosition()?.lineNumber
+        const change = (diffEditor.getLineChanges() || []).find((item) => {
+          const { start, end } = getModifiedRange(item)
+          return line >= start && line <= end
+        })
+        if (change) {
+          revertChange(diffEditor, change)
+        }
+      },
+    })
+  }, [])
+
+  // 跳转到第 index 处修改
+  const goToChange = (index) => {
+    const change = changes[index]
+    if (!change || !diffEditorRef.current) return
+
+    setCurrentIndex(index)
+    const modifiedEditor = diffEditorRef.current.getModifiedEditor()
+    const { start } = getModifiedRange(change)
+    modifiedEditor.revealLineInCenter(Math.max(start, 1))
+    modifiedEditor.setPosition({ lineNumber: Math.max(start, 1), column: 1 })
+  }
+
+  const handleRevertCurrent = () => {
+    const change = changes[currentIndex]
+    if (change && diffEditorRef.current) {
+      revertChange(diffEditorRef.current, change)
+    }
+  }
+
+  return (
+    <div className="h-full flex flex-col">
+      <div className="flex items-center gap-2 px-4 py-1 bg-muted border-b border-border flex-shrink-0 text-xs">
+        <span className="text-muted-foreground">
+          {changes.length === 0 ? "没有修改" : `第 ${currentIndex + 1} / ${changes.length} 处修改`}
+        </span>
+        <button
+          onClick={() => goToChange(currentIndex - 1)}
+          disabled={currentIndex <= 0}
+          className="px-2 py-0.5 bg-background border border-border rounded hover:bg-muted disabled:opacity-50 transition-colors"
+        >
+          上一处
+        </button>
+        <button
+          onClick={() => goToChange(currentIndex + 1)}
+          disabled={currentIndex >= changes.length - 1}
+          className="px-2 py-0.5 bg-background border border-border rounded hover:bg-muted disabled:opacity-50 transition-colors"
+        >
+          下一处
+        </button>
+        <button
+          onClick={handleRevertCurrent}
+          disabled={changes.length === 0}
+          className="px-2 py-0.5 bg-background border border-border rounded hover:bg-muted disabled:opacity-50 transition-colors"
+        >
+          撤销此处修改
+        </button>
+      </div>
+      <div className="flex-1 overflow-hidden">
+        <DiffEditor
+          height="100%"
+          language={language}
+          original={original}
+          modified={modified}
+          originalModelPath={`original/${path}`}
+          modifiedModelPath={`modified/${path}`}
+          theme="vs-dark"
+          options={{
+            ...EDITOR_OPTIONS,
+            originalEditable: false,
+            renderSideBySide: true,
+            renderMarginRevertIcon: true, // 在两侧之间显示撤销箭头
+          }}
+          beforeMount={configureMonaco}
+          onMount={handleMount}
+        />
+      </div>
+    </div>
+  )
+}
+
+export default DiffView
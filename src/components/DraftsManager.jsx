@@ -0,0 +1,60 @@
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import { examples } from "../data/examples"
+import { listDrafts, removeDraft } from "../lib/drafts"
+
+/**
+ * 草稿管理组件
+ * 列出所有存在未保存编辑的案例，可以继续编辑或删除草稿
+ */
+function DraftsManager() {
+  const [drafts, setDrafts] = useState(() => listDrafts())
+
+  const handleRemove = (slug) => {
+    removeDraft(slug)
+    setDrafts(listDrafts())
+  }
+
+  // 只显示仍然存在的案例的草稿
+  const visibleDrafts = drafts
+    .map((draft) => ({ ...draft, example: examples.find((ex) => ex.slug === draft.slug) }))
+    .filter((draft) => draft.example)
+
+  if (visibleDrafts.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-4 space-y-2">
+      <h2 className="text-sm font-semibold text-foreground">未保存的草稿 ({visibleDrafts.length})</h2>
+      <ul className="divide-y divide-border">
+        {visibleDrafts.map((draft) => (
+          <li
+            key={draft.slug}
+            className="flex items-center justify-between py-2 text-sm"
+          >
+            <div>
+              <Link
+                to={`/examples/${draft.slug}`}
+                className="font-medium text-primary hover:underline"
+              >
+                {draft.example.title}
+              </Link>
+              <span className="ml-2 text-xs text-muted-foreground">
+                {draft.fileCount} 个文件 · {new Date(draft.updatedAt).toLocaleString("zh-CN")}
+              </span>
+            </div>
+            <button
+              onClick={() => handleRemove(draft.slug)}
+              className="text-xs px-2 py-1 bg-background border border-border rounded hover:bg-muted transition-colors"
+            >
+              删除
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default DraftsManager
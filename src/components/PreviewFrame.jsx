@@ -0,0 +1,222 @@
+import { useState, useEffect, useRef, useCallback } from "react"
+import { MESSAGE_SOURCE, MessageType, isPreviewMessage } from "../preview/protocol"
+import { PREVIEW_DOCUMENT, loadPreviewRuntime } from "../preview/bootstrap"
+import { useMotionPreference } from "../lib/layout/motion"
+
+// 等待 iframe 回报渲染结果的最长时间（毫秒），超时后重建 iframe
+// iframe 是不透明源，支持沙箱进程隔离的浏览器（如 Chrome）在独立进程中运行它，死循环不会阻塞宿主，看门狗可以触发；
+// 与宿主共用线程的浏览器中，看门狗要等 iframe 让出线程后才能运行，只能依靠编译时插入的循环保护
+const WATCHDOG_TIMEOUT = 5000
+
+// 停止输入多久后再重新编译（毫秒）
+const COMPILE_DELAY = 300
+
+/**
+ * 源码的内容标识，用于识别导致超时的代码（内容相同的代码视为同一份）
+ * @param {Object} files - 文件名 -> 代码
+ * @returns {string} 标识
+ */
+const getFilesKey = (files) => JSON.stringify(files)
+
+/**
+ * 预览 iframe 组件
+ * 在隔离的 iframe 运行时中编译并渲染案例代码，通过 postMessage 通信
+ * iframe 只开启 allow-scripts，运行在不透明源中，代码无法访问宿主页面；消息的目标源只能是 "*"，双方都校验 event.source
+ * 代码变化后防抖一段时间再编译，新代码编译成功前继续显示上一次正常工作的组件
+ * @param {Object} files - 当前源码：文件名 -> 代码
+ * @param {string} entry - 入口文件名
+ * @param {Object} fallbackFiles - 原始源码，首次编译失败时用于回退
+ * @param {boolean} preserveState - 重新编译后是否保持 ReactFlow 的视口和拖动过的节点位置
+ * @param {Function} onError - 错误回调，参数为 { message, stack }，重新运行时为 null
+ * @param {Function} onConsole - console 输出回调，参数为 { level, message }
+ * @param {Function} onStatus - 编译状态回调，参数为 { state, duration }，state 为 "pending" | "compiling" | "success" | "error"
+ */
+function PreviewFrame({ files, entry, fallbackFiles, preserveState = true, onError, onConsole, onStatus }) {
+  const iframeRef = useRef(null)
+  const readyRef = useRef(false)
+  const runIdRef = useRef(0)
+  const watchdogRef = useRef(null)
+  const sentFilesRef = useRef(null) // 最近一次处理过的源码（超时的代码不会真正发送）
+  const runningRef = useRef(null) // 正在运行的源码：{ id, files, errored }
+  const lastGoodFilesRef = useRef(null) // 最近一次正常渲染的源码
+  const hungKeysRef = useRef(new Set()) // 导致看门狗超时的源码（见 getFilesKey）
+  const preserveStateRef = useRef(preserveState)
+  const [frameKey, setFrameKey] = useState(0) // 变化时重建 iframe
+  const [motionPreference] = useMotionPreference()
+  const motionPreferenceRef = useRef(motionPreference)
+
+  const clearWatchdog = useCallback(() => {
+    if (watchdogRef.current) {
+      clearTimeout(watchdogRef.current)
+      watchdogRef.current = null
+    }
+  }, [])
+
+  // 将全局动画设置转发给 iframe
+  const sendMotionPreference = useCallback(() => {
+    const frameWindow = iframeRef.current?.contentWindow
+    if (readyRef.current && frameWindow) {
+      frameWindow.postMessage(
+        { source: MESSAGE_SOURCE, type: MessageType.MOTION, preference: motionPreferenceRef.current },
+        "*"
+      )
+    }
+  }, [])
+
+  // 将最新代码发送给 iframe，并启动看门狗
+  // 超时过的代码不再发送（否则重建的 iframe 会再次卡住并不断重建），改为运行最近一次正常渲染的代码并保留超时错误，
+  // 直到代码被修改
+  const run = useCallback(() => {
+    const frameWindow = iframeRef.current?.contentWindow
+    if (!readyRef.current || !frameWindow) {
+      return
+    }
+
+    sentFilesRef.current = files
+    const hungKeys = hungKeysRef.current
+    const hung = hungKeys.has(getFilesKey(files))
+    const lastGoodFiles = lastGoodFilesRef.current
+    const runFiles = hung ? lastGoodFiles : files
+    if (!runFiles || (hung && hungKeys.has(getFilesKey(lastGoodFiles)))) {
+      return
+    }
+
+    runIdRef.current += 1
+    runningRef.current = { id: runIdRef.current, files: runFiles, errored: false }
+    if (!hung) {
+      onError(null)
+      onStatus?.({ state: "compiling", duration: null })
+    }
+    frameWindow.postMessage(
+      {
+        source: MESSAGE_SOURCE,
+        type: MessageType.RUN,
+        id: runIdRef.current,
+        files: runFiles,
+        entry,
+        fallbackFiles,
+        preserveState: preserveStateRef.current,
+      },
+      "*"
+    )
+
+    clearWatchdog()
+    watchdogRef.current = setTimeout(() => {
+      watchdogRef.current = null
+      hungKeys.add(getFilesKey(runFiles))
+      onStatus?.({ state: "error", duration: null })
+      onError({
+        message: `预览在 ${WATCHDOG_TIMEOUT / 1000} 秒内没有响应，已重新加载预览；修改代码后再次运行`,
+        stack: "",
+      })
+      readyRef.current = false
+      setFrameKey((key) => key + 1)
+    }, WATCHDOG_TIMEOUT)
+  }, [files, entry, fallbackFiles, onError, onStatus, clearWatchdog])
+
+  // 保存最新的 run 函数和视口选项，供消息监听器和下一次运行使用
+  const runRef = useRef(run)
+  useEffect(() => {
+    runRef.current = run
+  }, [run])
+
+  useEffect(() => {
+    preserveStateRef.current = preserveState
+  }, [preserveState])
+
+  useEffect(() => {
+    motionPreferenceRef.current = motionPreference
+    sendMotionPreference()
+  }, [motionPreference, sendMotionPreference])
+
+  // 处理来自 iframe 的消息
+  useEffect(() => {
+    const handleMessage = (event) => {
+      if (event.source !== iframeRef.current?.contentWindow || !isPreviewMessage(event)) {
+        return
+      }
+
+      const { type, id, message, stack, level, success, duration } = event.data
+      if (type === MessageType.BOOT) {
+        const frameWindow = event.source
+        loadPreviewRuntime().then(
+          ({ script, style }) => {
+            // 加载期间 iframe 可能已经被重建
+            if (frameWindow === iframeRef.current?.contentWindow) {
+              frameWindow.postMessage({ source: MESSAGE_SOURCE, type: MessageType.RUNTIME, script, style }, "*")
+            }
+          },
+          (err) => onError({ message: `预览运行时加载失败：${err.message}`, stack: "" })
+        )
+        return
+      }
+
+      if (type === MessageType.READY) {
+        readyRef.current = true
+        sendMotionPreference()
+        runRef.current()
+        return
+      }
+
+      if (type === MessageType.CONSOLE) {
+        onConsole({ level, message })
+        return
+      }
+
+      // 忽略过期运行的消息
+      if (id !== runIdRef.current) {
+        return
+      }
+
+      if (type === MessageType.COMPILED) {
+        onStatus?.({ state: success ? "success" : "error", duration })
+      } else if (type === MessageType.ERROR) {
+        clearWatchdog()
+        runningRef.current.errored = true
+        onError({ message, stack })
+      } else if (type === MessageType.RENDERED) {
+        clearWatchdog()
+        if (!runningRef.current.errored) {
+          lastGoodFilesRef.current = runningRef.current.files
+        }
+      }
+    }
+
+    window.addEventListener("message", handleMessage)
+    return () => {
+      window.removeEventListener("message", handleMessage)
+    }
+  }, [onError, onConsole, onStatus, clearWatchdog, sendMotionPreference])
+
+  // 代码变化时防抖后重新运行；iframe 就绪时已经运行过的代码不再重复发送
+  useEffect(() => {
+    if (sentFilesRef.current === files) {
+      return
+    }
+
+    onStatus?.({ state: "pending", duration: null })
+    const timeoutId = setTimeout(() => {
+      if (sentFilesRef.current !== files) {
+        run()
+      }
+    }, COMPILE_DELAY)
+    return () => clearTimeout(timeoutId)
+  }, [files, run, onStatus])
+
+  // 卸载时清理看门狗
+  useEffect(() => clearWatchdog, [clearWatchdog])
+
+  return (
+    <iframe
+      key={frameKey}
+      ref={iframeRef}
+      srcDoc={PREVIEW_DOCUMENT}
+      title="预览"
+      // 不开启 allow-same-origin：iframe 运行在不透明源中，只能通过 postMessage 与宿主通信
+      sandbox="allow-scripts"
+      className="w-full h-full border-0 bg-background"
+    />
+  )
+}
+
+export default PreviewFrame
@@ -1,56 +1,124 @@
+// language: 案例源码的语言，"jsx" 或 "tsx"
 export const examples = [
   {
     slug: "basic-nodes",
     title: "基础节点",
     description: "展示 React Flow 的基础节点和连接功能",
     component: "BasicNodes",
+    language: "jsx",
   },
   {
     slug: "custom-nodes",
     title: "自定义节点",
     description: "创建自定义样式的节点组件",
     component: "CustomNodes",
+    language: "jsx",
   },
   {
     slug: "interactive-flow",
     title: "交互式流程图",
     description: "支持添加、删除节点和连接的交互功能",
     component: "InteractiveFlow",
+    language: "jsx",
   },
   {
     slug: "dagre-layout",
     title: "自动布局",
-    description: "使用 Dagre 算法自动排列节点",
+    description: "使用 Dagre 算法自动排列节点，边沿布局计算的路线或绕开节点的正交路线绘制",
     component: "DagreLayout",
+    language: "jsx",
   },
   {
     slug: "node-position-animation",
     title: "节点位置动画",
-    description: "在不同布局之间切换时，节点会平滑地移动到新位置",
+    description: "在树形、径向、环形和网格布局之间切换时，节点会平滑地移动到新位置",
     component: "NodePositionAnimation",
+    language: "jsx",
+  },
+  {
+    slug: "animation-benchmark",
+    title: "动画性能测试",
+    description: "上千个节点中随机一部分移动到新位置，对比只更新位置和完整更新两种模式的帧率",
+    component: "AnimationBenchmark",
+    language: "jsx",
   },
   {
     slug: "helper-lines",
     title: "辅助对齐线",
     description: "在拖拽节点时显示辅助对齐线，帮助节点对齐",
     component: "HelperLines",
+    language: "jsx",
   },
   {
     slug: "auto-layout",
     title: "自动布局",
-    description: "使用 Dagre 算法自动计算节点位置，支持多种布局方向和动画切换",
+    description: "使用 Dagre、ELK 或力导向算法自动计算节点位置，支持多种布局方向和动画切换",
     component: "AutoLayout",
+    language: "jsx",
   },
   {
     slug: "copy-paste",
     title: "复制粘贴",
     description: "使用键盘快捷键复制和粘贴选中的节点和边，保持节点之间的连接关系",
     component: "CopyPaste",
+    language: "jsx",
   },
   {
     slug: "dynamic-layout",
     title: "动态布局",
     description: "根据节点数量和布局方向自动计算节点位置",
     component: "DynamicLayout",
+    language: "jsx",
+  },
+  {
+    slug: "elk-ports",
+    title: "ELK 端口布局",
+    description: "使用 ELK 布局多端口节点，保持端口顺序，正交走线并递归布局分组",
+    component: "ElkPorts",
+    language: "jsx",
+  },
+  {
+    slug: "large-graph-layout",
+    title: "大规模图布局",
+    description: "在 Web Worker 中布局数千个节点，计算期间页面保持响应，新的布局请求会取消旧的请求",
+    component: "LargeGraphLayout",
+    language: "jsx",
+  },
+  {
+    slug: "subflow-layout",
+    title: "分组布局",
+    description: "在每个分组内部布局子节点，分组尺寸自动适应；折叠分组后子节点隐藏，连线改连到分组上",
+    component: "SubflowLayout",
+    language: "jsx",
+  },
+  {
+    slug: "multi-file",
+    title: "多文件案例",
+    description: "将自定义节点和布局函数拆分到多个文件中，通过相对路径互相导入",
+    component: "MultiFileFlow",
+    language: "jsx",
+    // 多文件案例的源文件位于 src/pages/examples/<component>/ 目录下，第一个文件为入口
+    files: ["Flow.jsx", "nodes/StatusNode.jsx", "layout.js"],
+  },
+  {
+    slug: "typescript-flow",
+    title: "TypeScript 案例",
+    description: "使用 TypeScript 为节点数据和自定义节点组件声明类型",
+    component: "TypedFlow",
+    language: "tsx",
   },
 ]
+
+/**
+ * 获取案例的源文件列表
+ * 单文件案例只有 <component>.jsx（TypeScript 案例为 <component>.tsx）一个文件
+ * @param {Object} example - 案例配置
+ * @returns {Array<{name: string, path: string}>} name 为编辑器中显示的文件名，path 为相对 src/pages/examples 的路径
+ */
+export function getExampleFiles(example) {
+  if (example.files) {
+    return example.files.map((file) => ({ name: file, path: `${example.component}/${file}` }))
+  }
+  const fileName = `${example.component}.${example.language === "tsx" ? "tsx" : "jsx"}`
+  return [{ name: fileName, path: fileName }]
+}
@@ -0,0 +1,246 @@
+import { transform } from "@babel/standalone"
+
+// 样式文件导入在预览中不需要执行，直接返回空模块
+const STYLE_MODULE_PATTERN = /\.(css|scss|sass|less)$/
+
+// 解析相对导入时依次尝试的后缀
+const RESOLVE_EXTENSIONS = ["", ".tsx", ".ts", ".jsx", ".js", "/index.tsx", "/index.ts", "/index.jsx", "/index.js"]
+
+// TypeScript 源文件
+const TYPESCRIPT_PATTERN = /\.tsx?$/
+
+// 循环保护函数在编译后代码中的名称
+const LOOP_GUARD_NAME = "__loopGuard"
+
+/**
+ * Babel 插件：在每个循环体开头插入 __loopGuard() 调用
+ * 配合 createLoopGuard 使用，防止死循环卡死页面
+ */
+function loopGuardPlugin({ types: t }) {
+  return {
+    visitor: {
+      "WhileStatement|DoWhileStatement|ForStatement|ForInStatement|ForOfStatement"(path) {
+        const guardCall = t.expressionStatement(t.callExpression(t.identifier(LOOP_GUARD_NAME), []))
+        const body = path.get("body")
+
+        if (body.isBlockStatement()) {
+          body.unshiftContainer("body", guardCall)
+        } else {
+          body.replaceWith(t.blockStatement([guardCall, body.node]))
+        }
+      },
+    },
+  }
+}
+
+/**
+ * 将案例源码编译为 CommonJS 代码
+ * 使用 Babel 的 ES 模块转换解析 import/export，而不是用正则改写源码，
+ * 因此多行导入、`import { a as b }`、`export default () => ...` 以及
+ * 字符串中出现的 "import" 都能被正确处理。编译结果保留原始行号，便于映射错误堆栈。
+ * .ts/.tsx 文件会先移除类型标注
+ * @param {string} source - 案例源码（ES 模块 + JSX，可以是 TypeScript）
+ * @param {Object} options - 编译选项
+ * @param {string} options.filename - 文件名，用于错误信息，扩展名决定是否按 TypeScript 编译
+ * @param {boolean} options.loopGuard - 是否在循环中插入 __loopGuard() 调用
+ * @returns {string} 编译后的代码
+ */
+export function compileModule(source, { filename = "Example.jsx", loopGuard = false } = {}) {
+  return transform(source, {
+    filename,
+    sourceType: "module",
+    retainLines: true,
+    presets: TYPESCRIPT_PATTERN.test(filename)
+      ? [
+          ["typescript", { isTSX: filename.endsWith(".tsx"), allExtensions: true }],
+          ["react", { runtime: "classic" }],
+        ]
+      : [["react", { runtime: "classic" }]],
+    plugins: loopGuard ? [loopGuardPlugin, "transform-modules-commonjs"] : ["transform-modules-commonjs"],
+  }).code
+}
+
+/**
+ * 创建循环保护函数
+ * 同一个宏任务内循环累计执行超过 timeout 毫秒时抛出错误；
+ * 事件循环一旦有机会执行下一个任务，计时就会重置
+ * @param {number} timeout - 允许的最长同步执行时间（毫秒）
+ * @returns {Function} 循环保护函数
+ */
+export function createLoopGuard(timeout) {
+  let startTime = null
+
+  return () => {
+    if (startTime === null) {
+      startTime = Date.now()
+      setTimeout(() => {
+        startTime = null
+      }, 0)
+      return
+    }
+
+    if (Date.now() - startTime > timeout) {
+      throw new Error(`代码执行超过 ${timeout}ms，可能存在死循环`)
+    }
+  }
+}
+
+/**
+ * 创建沙箱使用的 require 函数
+ * @param {Object} moduleMap - 模块名到模块对象的映射
+ * @returns {Function} require 函数
+ */
+export function createRequire(moduleMap) {
+  return (moduleName) => {
+    if (STYLE_MODULE_PATTERN.test(moduleName)) {
+      return {}
+    }
+    if (Object.prototype.hasOwnProperty.call(moduleMap, moduleName)) {
+      return moduleMap[moduleName]
+    }
+    throw new Error(`Cannot find module: ${moduleName}`)
+  }
+}
+
+/**
+ * 将相对路径解析为案例内的文件路径
+ * @param {string} from - 发起导入的文件路径，如 "nodes/CustomNode.jsx"
+ * @param {string} request - 导入路径，如 "../layout"
+ * @returns {string} 规范化后的路径，如 "layout"
+ */
+function resolveRelativePath(from, request) {
+  const segments = from.split("/").slice(0, -1)
+
+  request.split("/").forEach((segment) => {
+    if (segment === "..") {
+      segments.pop()
+    } else if (segment !== "." && segment !== "") {
+      segments.push(segment)
+    }
+  })
+
+  return segments.join("/")
+}
+
+/**
+ * 执行由多个源文件组成的案例
+ * 文件之间可以通过 `./relative` 路径互相导入，其余导入交给外部 require 处理
+ * @param {Object} files - 文件路径到源码的映射，如 { "Flow.jsx": "...", "layout.js": "..." }
+ * @param {string} entry - 入口文件路径
+ * @param {Object} scope - 执行环境
+ * @param {Object} scope.React - React 对象
+ * @param {Function} scope.require - 外部模块的 require 函数
+ * @param {Function} scope.loopGuard - 循环保护函数（可选），传入时会在编译时插入循环检查
+ * @param {Map} scope.compileCache - 编译结果缓存（可选），源码没有变化的文件直接复用上一次的编译结果
+ * @returns {Object} 入口模块的 exports 对象
+ */
+export function runModules(files, entry, { React, require, loopGuard, compileCache }) {
+  const cache = {}
+
+  // 编译单个文件，缓存以文件路径为键，源码变化时重新编译
+  const compile = (path) => {
+    const source = files[path]
+    const cached = compileCache?.get(path)
+    if (cached && cached.source === source) {
+      return cached.code
+    }
+
+    const code = compileModule(source, { filename: path, loopGuard: Boolean(loopGuard) })
+    compileCache?.set(path, { source, code })
+    return code
+  }
+
+  const load = (path) => {
+    if (cache[path]) {
+      return cache[path].exports
+    }
+
+    const module = { exports: {} }
+    // 先放入缓存，循环依赖时返回未完成的 exports（与 CommonJS 行为一致）
+    cache[path] = module
+
+    const localRequire = (request) => {
+      if (!request.startsWith(".")) {
+        return require(request)
+      }
+
+      const resolved = resolveRelativePath(path, request)
+      const match = RESOLVE_EXTENSIONS.map((ext) => resolved + ext).find((candidate) =>
+        Object.prototype.hasOwnProperty.call(files, candidate)
+      )
+
+      if (!match) {
+        throw new Error(`Cannot find module: ${request} (imported from ${path})`)
+      }
+      return load(match)
+    }
+
+    const compiledCode = compile(path)
+    // sourceURL 让错误堆栈中显示文件名，而不是 <anonymous>
+    const func = new Function(
+      "React",
+      "require",
+      "module",
+      "exports",
+      LOOP_GUARD_NAME,
+      `${compiledCode}\n//# sourceURL=${path}`
+    )
+    func(React, localRequire, module, module.exports, loopGuard)
+
+    return module.exports
+  }
+
+  return load(entry)
+}
+
+// new Function 包装代码带来的行号偏移，首次使用时测量
+let functionLineOffset = null
+
+/**
+ * 测量 new Function 在函数体前插入的行数（不同浏览器不同）
+ * @returns {number} 行号偏移
+ */
+function getFunctionLineOffset() {
+  if (functionLineOffset === null) {
+    const stack = new Function("return new Error().stack\n//# sourceURL=__line_offset__.js")()
+    const match = /__line_offset__\.js:(\d+)/.exec(stack || "")
+    functionLineOffset = match ? Number(match[1]) - 1 : 0
+  }
+  return functionLineOffset
+}
+
+/**
+ * 将错误堆栈映射回编辑器中的源码行
+ * 只保留来自案例文件的堆栈帧，并附上对应的源码
+ * @param {Error} error - 错误对象
+ * @param {Object} files - 文件名到源码的映射
+ * @returns {string} 格式化后的堆栈，没有可映射的帧时为空字符串
+ */
+export function formatErrorStack(error, files) {
+  const stack = typeof error?.stack === "string" ? error.stack : ""
+  const offset = getFunctionLineOffset()
+  const frames = []
+
+  stack.split("\n").forEach((frame) => {
+    Object.keys(files).forEach((name) => {
+      const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      const match = new RegExp(`(?:^|[\\s(@])${escapedName}:(\\d+)`).exec(frame)
+      if (!match) {
+        return
+      }
+
+      const line = Number(match[1]) - offset
+      // Chrome: "at fn (file:1:2)"，Firefox/Safari: "fn@file:1:2"
+      const fnName =
+        /at\s+(?:async\s+)?([^\s(]+)[^(]*\(/.exec(frame)?.[1] || /^\s*([^@\s]+)@/.exec(frame)?.[1] || "<anonymous>"
+      const sourceLine = files[name].split("\n")[line - 1]
+
+      frames.push(`    at ${fnName} (${name}:${line})`)
+      if (sourceLine !== undefined) {
+        frames.push(`      ${line} | ${sourceLine.trim()}`)
+      }
+    })
+  })
+
+  return frames.join("\n")
+}
@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest"
+import { compileModule, createRequire, runModules } from "./compiler"
+
+// 测试用的 React 替身，只需要 createElement
+const React = { createElement: (type, props, ...children) => ({ type, props, children }) }
+
+// 外部模块
+const require = createRequire({
+  react: { default: React, useState: () => [0, () => {}] },
+  "@xyflow/react": { ReactFlow: "ReactFlow", Background: "Background", Controls: "Controls" },
+})
+
+/**
+ * 执行单个文件的案例
+ * @param {string} source - 源码
+ * @param {string} filename - 文件名
+ * @returns {Object} 模块的 exports 对象
+ */
+const run = (source, filename = "Example.jsx") => runModules({ [filename]: source }, filename, { React, require })
+
+describe("compileModule", () => {
+  it("保留原始行号", () => {
+    const code = compileModule('import { useState } from "react"\n\n\nconst a = 1\nexport default a')
+    expect(code.split("\n")[3]).toContain("const a = 1")
+  })
+
+  it("移除 TypeScript 类型标注", () => {
+    const code = compileModule("const a: number = 1\nexport type Props = { id: string }\nexport default a", {
+      filename: "Example.tsx",
+    })
+    expect(code).not.toContain("number")
+    expect(code).not.toContain("Props")
+  })
+
+  it("loopGuard 为 true 时在循环中插入检查", () => {
+    const code = compileModule("for (let i = 0; i < 3; i++) {}\nwhile (false) a()", { loopGuard: true })
+    expect(code.match(/__loopGuard\(\)/g)).toHaveLength(2)
+  })
+})
+
+describe("runModules", () => {
+  it("多行导入", () => {
+    const exports = run(`import {
+  ReactFlow,
+  Background,
+  Controls,
+} from "@xyflow/react"
+export default [ReactFlow, Background, Controls]`)
+    expect(exports.default).toEqual(["ReactFlow", "Background", "Controls"])
+  })
+
+  it("导入时重命名", () => {
+    const exports = run('import { ReactFlow as Flow } from "@xyflow/react"\nexport default Flow')
+    expect(exports.default).toBe("ReactFlow")
+  })
+
+  it("命名空间导入", () => {
+    const exports = run('import * as RF from "@xyflow/react"\nexport default RF.Controls')
+    expect(exports.default).toBe("Controls")
+  })
+
+  it("默认导出箭头函数", () => {
+    const exports = run("export default () => <div>hi</div>")
+    expect(exports.default()).toEqual({ type: "div", props: null, children: ["hi"] })
+  })
+
+  it("通过 export { x as default } 默认导出", () => {
+    const exports = run("function Flow() { return 1 }\nexport { Flow as default }")
+    expect(exports.default()).toBe(1)
+  })
+
+  it("从其他文件重新导出", () => {
+    const files = {
+      "Flow.jsx": 'export { nodes, default as Node } from "./nodes"\nexport * from "./edges"',
+      "nodes.js": 'export const nodes = [1]\nexport default "Node"',
+      "edges/index.js": "export const edges = [2]",
+    }
+    const exports = runModules(files, "Flow.jsx", { React, require })
+    expect(exports.nodes).toEqual([1])
+    expect(exports.Node).toBe("Node")
+    expect(exports.edges).toEqual([2])
+  })
+
+  it("从外部模块重新导出", () => {
+    const exports = run('export { ReactFlow } from "@xyflow/react"')
+    expect(exports.ReactFlow).toBe("ReactFlow")
+  })
+
+  it("字符串和注释中的 import 不被当作导入", () => {
+    const exports = run(`// import { nothing } from "nowhere"
+const text = 'import { a } from "b"'
+const template = \`export default \${text}\`
+export default [text, template]`)
+    expect(exports.default).toEqual(['import { a } from "b"', 'export default import { a } from "b"'])
+  })
+
+  it("找不到的模块抛出错误", () => {
+    expect(() => run('import x from "./missing"\nexport default x')).toThrow("Cannot find module: ./missing")
+    expect(() => run('import x from "lodash"\nexport default x')).toThrow("Cannot find module: lodash")
+  })
+
+  it("源码不变的文件复用编译结果", () => {
+    const compileCache = new Map()
+    const files = { "Flow.jsx": "export default 1" }
+    runModules(files, "Flow.jsx", { React, require, compileCache })
+    const cached = compileCache.get("Flow.jsx")
+    runModules({ ...files }, "Flow.jsx", { React, require, compileCache })
+    expect(compileCache.get("Flow.jsx")).toBe(cached)
+  })
+})
@@ -0,0 +1,79 @@
+/**
+ * 编辑草稿存储
+ * 每个案例的草稿保存在 localStorage 中：只保存被修改过的文件，并记录保存时间。
+ * 编辑分享链接打开的代码时，草稿同时记录链接中的代码，再次打开同一链接（如刷新页面）时优先使用草稿
+ */
+
+// localStorage 键名前缀
+const STORAGE_PREFIX = "react-flow-examples:draft:"
+
+/**
+ * 读取案例的草稿
+ * @param {string} slug - 案例标识
+ * @returns {{files: Object, updatedAt: number, sharedCode?: string}|null} 草稿，不存在或损坏时为 null
+ */
+export function loadDraft(slug) {
+  try {
+    const draft = JSON.parse(localStorage.getItem(STORAGE_PREFIX + slug))
+    if (draft && typeof draft.files === "object" && typeof draft.updatedAt === "number") {
+      return draft
+    }
+  } catch (err) {
+    console.warn(`Failed to read draft for ${slug}:`, err)
+  }
+  return null
+}
+
+/**
+ * 保存案例的草稿
+ * @param {string} slug - 案例标识
+ * @param {Object} files - 被修改过的文件：文件名 -> 代码
+ * @param {string|null} sharedCode - 草稿所基于的分享链接中的代码（URL hash 中的编码），不是来自链接时为 null
+ * @returns {number|null} 保存时间，保存失败时为 null
+ */
+export function saveDraft(slug, files, sharedCode = null) {
+  const updatedAt = Date.now()
+  try {
+    localStorage.setItem(STORAGE_PREFIX + slug, JSON.stringify({ files, updatedAt, ...(sharedCode && { sharedCode }) }))
+    return updatedAt
+  } catch (err) {
+    // 存储空间已满或被禁用时放弃保存
+    console.warn(`Failed to save draft for ${slug}:`, err)
+    return null
+  }
+}
+
+/**
+ * 删除案例的草稿
+ * @param {string} slug - 案例标识
+ */
+export function removeDraft(slug) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + slug)
+  } catch (err) {
+    console.warn(`Failed to remove draft for ${slug}:`, err)
+  }
+}
+
+/**
+ * 列出所有草稿，最近保存的在前
+ * @returns {Array<{slug: string, updatedAt: number, fileCount: number}>} 草稿列表
+ */
+export function listDrafts() {
+  const drafts = []
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i)
+      if (!key?.startsWith(STORAGE_PREFIX)) continue
+
+      const slug = key.slice(STORAGE_PREFIX.length)
+      const draft = loadDraft(slug)
+      if (draft) {
+        drafts.push({ slug, updatedAt: draft.updatedAt, fileCount: Object.keys(draft.files).length })
+      }
+    }
+  } catch (err) {
+    console.warn("Failed to list drafts:", err)
+  }
+  return drafts.sort((a, b) => b.updatedAt - a.updatedAt)
+}
@@ -0,0 +1,44 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { listDrafts, loadDraft, removeDraft, saveDraft } from "./drafts"
+
+// 内存中的 localStorage
+const createStorage = () => {
+  const items = new Map()
+  return {
+    get length() {
+      return items.size
+    },
+    key: (index) => [...items.keys()][index] ?? null,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  }
+}
+
+describe("drafts", () => {
+  beforeEach(() => {
+    vi.stubGlobal("localStorage", createStorage())
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it("保存和读取草稿，基于分享链接时记录链接中的代码", () => {
+    saveDraft("basic", { "App.jsx": "a" })
+    expect(loadDraft("basic")).toEqual({ files: { "App.jsx": "a" }, updatedAt: expect.any(Number) })
+
+    saveDraft("basic", { "App.jsx": "b" }, "encoded")
+    expect(loadDraft("basic")).toMatchObject({ files: { "App.jsx": "b" }, sharedCode: "encoded" })
+  })
+
+  it("删除草稿，列表中只有有效的草稿", () => {
+    saveDraft("a", { "A.jsx": "a" })
+    saveDraft("b", { "B.jsx": "b", "C.jsx": "c" })
+    localStorage.setItem("react-flow-examples:draft:broken", "{")
+    removeDraft("a")
+
+    expect(loadDraft("a")).toBeNull()
+    expect(listDrafts()).toEqual([{ slug: "b", updatedAt: expect.any(Number), fileCount: 2 }])
+  })
+})
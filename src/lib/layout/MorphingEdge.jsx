@@ -0,0 +1,178 @@
+import { BaseEdge, Position, getBezierPath, useInternalNode } from "@xyflow/react"
+import { getNodeSize } from "./size"
+
+// 与 React Flow 贝塞尔边相同的曲率
+const CURVATURE = 0.25
+
+// 没有设置连接点方向时的默认值（与 React Flow 默认节点一致）
+const DEFAULT_POSITIONS = { source: Position.Bottom, target: Position.Top }
+
+// 连接点距离节点边界的最大偏差
+const SIDE_TOLERANCE = 10
+
+const lerp = (a, b, t) => a + (b - a) * t
+
+/**
+ * 计算节点某一边中点的绝对坐标（默认节点的连接点位于边的中点）
+ * @param {Object} node - React Flow 内部节点
+ * @param {string} position - 节点的边：top、bottom、left、right
+ * @returns {{x: number, y: number}} 连接点坐标
+ */
+const getSideCenter = (node, position) => {
+  const { x, y } = node.internals.positionAbsolute
+  const { width, height } = getNodeSize(node)
+  switch (position) {
+    case Position.Top:
+      return { x: x + width / 2, y }
+    case Position.Bottom:
+      return { x: x + width / 2, y: y + height }
+    case Position.Left:
+      return { x, y: y + height / 2 }
+    default:
+      return { x: x + width, y: y + height / 2 }
+  }
+}
+
+/**
+ * 判断连接点是否位于节点的某一边上（连接点可能略微超出节点边界）
+ * @param {{x: number, y: number}} point - 连接点
+ * @param {Object} node - React Flow 内部节点
+ * @param {string} position - 节点的边
+ * @returns {boolean} 是否在这条边上
+ */
+const isOnSide = (point, node, position) => {
+  const center = getSideCenter(node, position)
+  const horizontal = position === Position.Left || position === Position.Right
+  return Math.abs(horizontal ? point.x - center.x : point.y - center.y) <= SIDE_TOLERANCE
+}
+
+/**
+ * 计算贝塞尔曲线在连接点一端的控制点，与 React Flow 的 getBezierPath 相同
+ * @param {{x: number, y: number}} point - 连接点
+ * @param {string} position - 连接点方向
+ * @param {{x: number, y: number}} other - 另一端的连接点
+ * @returns {{x: number, y: number}} 控制点
+ */
+const getControlPoint = (point, position, other) => {
+  const getOffset = (distance) => (distance >= 0 ? 0.5 * distance : CURVATURE * 25 * Math.sqrt(-distance))
+  switch (position) {
+    case Position.Left:
+      return { x: point.x - getOffset(point.x - other.x), y: point.y }
+    case Position.Right:
+      return { x: point.x + getOffset(other.x - point.x), y: point.y }
+    case Position.Top:
+      return { x: point.x, y: point.y - getOffset(point.y - other.y) }
+    default:
+      return { x: point.x, y: point.y + getOffset(other.y - point.y) }
+  }
+}
+
+/**
+ * 计算边一端在变形过程中的旧状态和新状态
+ * @param {Object} node - React Flow 内部节点
+ * @param {string} type - "source" 或 "target"
+ * @param {{x: number, y: number}} point - React Flow 计算的连接点坐标
+ * @param {string} position - 当前连接点方向
+ * @returns {{from: Object, to: Object, progress: number}|null} 旧/新的连接点和方向，以及进度；没有变形时为 null
+ */
+const getEndMorph = (node, type, point, position) => {
+  const morph = node?.handleMorph
+  const fromPosition = morph?.[`${type}Position`] ?? DEFAULT_POSITIONS[type]
+  const toPosition = position ?? DEFAULT_POSITIONS[type]
+  if (!morph || fromPosition === toPosition) {
+    return null
+  }
+  // 连接点刚换边时 React Flow 可能还没有重新测量，这时按节点几何计算新的连接点
+  return {
+    from: { point: getSideCenter(node, fromPosition), position: fromPosition },
+    to: { point: isOnSide(point, node, toPosition) ? point : getSideCenter(node, toPosition), position: toPosition },
+    progress: morph.progress,
+  }
+}
+
+/**
+ * 连接点方向可以平滑变形的贝塞尔边
+ * 平时与 React Flow 默认的贝塞尔边完全相同；端点节点带有 handleMorph 时（见 createNodeTransition），
+ * 分别按旧方向和新方向计算曲线，再按该节点的动画进度插值端点和控制点，切换布局方向时边不会跳变。
+ * 旧方向的连接点按节点边的中点计算（React Flow 默认节点的位置）
+ * @param {Object} props - React Flow 传入的边属性
+ */
+function MorphingEdge({
+  source,
+  target,
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  sourcePosition,
+  targetPosition,
+  label,
+  markerEnd,
+  markerStart,
+  style,
+  interactionWidth,
+}) {
+  const sourceNode = useInternalNode(source)
+  const targetNode = useInternalNode(target)
+
+  const sourceMorph = getEndMorph(sourceNode, "source", { x: sourceX, y: sourceY }, sourcePosition)
+  const targetMorph = getEndMorph(targetNode, "target", { x: targetX, y: targetY }, targetPosition)
+
+  let path
+  let labelX
+  let labelY
+
+  if (!sourceMorph && !targetMorph) {
+    ;[path, labelX, labelY] = getBezierPath({ sourceX, sourceY, sourcePosition, targetX, targetY, targetPosition })
+  } else {
+    // 没有变形的一端旧状态和新状态相同
+    const sourceEnd = sourceMorph ?? {
+      from: { point: { x: sourceX, y: sourceY }, position: sourcePosition },
+      progress: 1,
+    }
+    const targetEnd = targetMorph ?? {
+      from: { point: { x: targetX, y: targetY }, position: targetPosition },
+      progress: 1,
+    }
+    sourceEnd.to = sourceEnd.to ?? sourceEnd.from
+    targetEnd.to = targetEnd.to ?? targetEnd.from
+
+    // 分别计算旧曲线和新曲线的控制点，按各端节点的进度插值
+    const getCurve = (state) => {
+      const start = sourceEnd[state]
+      const end = targetEnd[state]
+      return [
+        start.point,
+        getControlPoint(start.point, start.position, end.point),
+        getControlPoint(end.point, end.position, start.point),
+        end.point,
+      ]
+    }
+    const fromCurve = getCurve("from")
+    const toCurve = getCurve("to")
+    const [p0, p1, p2, p3] = fromCurve.map((point, index) => {
+      const progress = index < 2 ? sourceEnd.progress : targetEnd.progress
+      return { x: lerp(point.x, toCurve[index].x, progress), y: lerp(point.y, toCurve[index].y, progress) }
+    })
+
+    path = `M${p0.x},${p0.y} C${p1.x},${p1.y} ${p2.x},${p2.y} ${p3.x},${p3.y}`
+    // 曲线中点
+    labelX = (p0.x + 3 * p1.x + 3 * p2.x + p3.x) / 8
+    labelY = (p0.y + 3 * p1.y + 3 * p2.y + p3.y) / 8
+  }
+
+  return (
+    <BaseEdge
+      path={path}
+      label={label}
+      labelX={labelX}
+      labelY={labelY}
+      markerEnd={markerEnd}
+      markerStart={markerStart}
+      style={style}
+      interactionWidth={interactionWidth}
+    />
+  )
+}
+
+export default MorphingEdge
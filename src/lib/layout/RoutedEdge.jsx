@@ -0,0 +1,85 @@
+import { useCallback, useMemo } from "react"
+import { BaseEdge, useStore, useStoreApi } from "@xyflow/react"
+import { getNodeSize } from "./size"
+import { getPolylinePath, getSplinePath, routeOrthogonal } from "./routing"
+
+// 正交路线拐角的圆角半径
+const ORTHOGONAL_CORNER_RADIUS = 8
+
+/**
+ * 获取正交路线需要避开的节点矩形（绝对坐标），分组节点包含子节点，不作为障碍物
+ * @param {Array} nodes - 所有节点
+ * @param {Map} nodeLookup - React Flow 内部节点表，提供绝对位置
+ * @returns {Array<{x: number, y: number, width: number, height: number}>} 障碍物矩形
+ */
+const getObstacles = (nodes, nodeLookup) => {
+  const parentIds = new Set(nodes.map((node) => node.parentId))
+  return nodes
+    .filter((node) => !node.hidden && !parentIds.has(node.id))
+    .map((node) => ({
+      ...(nodeLookup.get(node.id)?.internals.positionAbsolute ?? node.position),
+      ...getNodeSize(node),
+    }))
+}
+
+/**
+ * 按路线渲染的边
+ * - data.router 为 "orthogonal" 时，根据节点的当前位置实时计算避开所有节点的正交路线，适合手动摆放的图
+ * - 否则经过 data.points 中的控制点（如 dagreLayoutWithEdges 的结果），首尾替换为连接点的位置；没有控制点时为直线
+ * - data.curve 为 "spline" 时画经过控制点的平滑曲线，否则画折线
+ * @param {Object} props - React Flow 传入的边属性
+ */
+function RoutedEdge({
+  sourceX,
+  sourceY,
+  targetX,
+  targetY,
+  sourcePosition,
+  targetPosition,
+  data = {},
+  label,
+  markerEnd,
+  markerStart,
+  style,
+  interactionWidth,
+}) {
+  const orthogonal = data.router === "orthogonal"
+  const store = useStoreApi()
+
+  // 只有正交路线需要订阅节点变化
+  const nodes = useStore(useCallback((state) => (orthogonal ? state.nodes : null), [orthogonal]))
+
+  const points = useMemo(() => {
+    const source = { x: sourceX, y: sourceY, position: sourcePosition }
+    const target = { x: targetX, y: targetY, position: targetPosition }
+    if (orthogonal) {
+      return routeOrthogonal(source, target, getObstacles(nodes, store.getState().nodeLookup), {
+        padding: data.padding,
+      })
+    }
+    return [source, ...(data.points?.slice(1, -1) ?? []), target]
+  }, [sourceX, sourceY, targetX, targetY, sourcePosition, targetPosition, orthogonal, nodes, store, data])
+
+  const path =
+    data.curve === "spline" ? getSplinePath(points) : getPolylinePath(points, orthogonal ? ORTHOGONAL_CORNER_RADIUS : 0)
+
+  // 标签放在路线中间一段的中点
+  const a = points[Math.floor((points.length - 1) / 2)]
+  const b = points[Math.ceil((points.length - 1) / 2)]
+  const middle = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }
+
+  return (
+    <BaseEdge
+      path={path}
+      label={label}
+      labelX={middle.x}
+      labelY={middle.y}
+      markerEnd={markerEnd}
+      markerStart={markerStart}
+      style={style}
+      interactionWidth={interactionWidth}
+    />
+  )
+}
+
+export default RoutedEdge
@@ -0,0 +1,560 @@
+/**
+ * 节点过渡动画
+ * 布局结果通常不直接替换节点，而是从当前位置平滑过渡过去：
+ * - 缓动曲线（EASINGS）或弹簧物理（spring）控制运动节奏
+ * - stagger 让节点依次出发
+ * - 新出现的节点淡入并放大，消失的节点淡出并缩小后再移除
+ * - 大图可以只更新位置（positionsOnly），减少每帧重新渲染的节点
+ * - 连接点方向改变时边平滑变形（配合 MorphingEdge），视口可以同时过渡到新布局
+ * - 过渡可以暂停、拖动进度、倒放和调整速度；播放中被新的过渡打断时，节点带着当前速度平滑转向
+ * - 遵循全局动画设置和系统的“减弱动态效果”（见 motion.js），减弱时改为淡出淡入，关闭时直接跳到结果
+ * createNodeTransition 只负责计算任意时刻的节点，useNodeAnimation 用 d3-timer 驱动它
+ */
+
+import { useState, useEffect, useRef, useCallback } from "react"
+import { timer } from "d3-timer"
+import { getNodesBounds } from "@xyflow/react"
+import { useMotion } from "./motion"
+
+// 缓动曲线：进度 t (0-1) -> 插值系数
+export const EASINGS = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2),
+  easeInCubic: (t) => t ** 3,
+  easeOutCubic: (t) => 1 - (1 - t) ** 3,
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+  // 略微越过终点再回来
+  easeOutBack: (t) => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2,
+}
+
+// 默认弹簧参数
+const DEFAULT_SPRING = { stiffness: 170, damping: 26, mass: 1 }
+
+// 弹簧与终点的距离小于这个比例时认为已经停止
+const SPRING_REST_THRESHOLD = 0.001
+
+// 进入和退出时的最小缩放
+const ENTER_EXIT_SCALE = 0.5
+
+// 视口适应目标布局时的留白，与 React Flow 的 fitView 默认值相同
+const VIEWPORT_PADDING = 0.1
+
+// 估算节点速度时的采样间隔（毫秒，约一帧）
+const VELOCITY_SAMPLE = 16
+
+// 减弱动画时淡出淡入的总时长（毫秒）
+const CROSSFADE_DURATION = 300
+
+/**
+ * 计算阻尼弹簧从 0 运动到 1 的位置（解析解）
+ * @param {number} time - 经过的时间（秒）
+ * @param {Object} spring - 弹簧参数
+ * @param {number} spring.stiffness - 刚度
+ * @param {number} spring.damping - 阻尼
+ * @param {number} spring.mass - 质量
+ * @returns {number} 当前位置，欠阻尼时会越过 1
+ */
+const getSpringPosition = (time, { stiffness, damping, mass }) => {
+  const omega = Math.sqrt(stiffness / mass)
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass))
+
+  if (zeta < 1) {
+    const omegaD = omega * Math.sqrt(1 - zeta * zeta)
+    return (
+      1 -
+      Math.exp(-zeta * omega * time) * (Math.cos(omegaD * time) + ((zeta * omega) / omegaD) * Math.sin(omegaD * time))
+    )
+  }
+  if (zeta === 1) {
+    return 1 - Math.exp(-omega * time) * (1 + omega * time)
+  }
+  const root = Math.sqrt(zeta * zeta - 1)
+  const r1 = -omega * (zeta - root)
+  const r2 = -omega * (zeta + root)
+  return 1 - (r2 * Math.exp(r1 * time) - r1 * Math.exp(r2 * time)) / (r2 - r1)
+}
+
+/**
+ * 把弹簧转换为固定时长的缓动曲线，时长为弹簧停止所需的时间
+ * @param {Object} spring - 弹簧参数 { stiffness, damping, mass }，缺少的字段使用默认值
+ * @returns {{duration: number, easing: Function}} 时长（毫秒）和缓动曲线
+ */
+export function createSpringEasing(spring = {}) {
+  const params = { ...DEFAULT_SPRING, ...spring }
+
+  // 按帧向后查找最后一次离终点较远的时间
+  const step = 1 / 60
+  let settled = 0
+  for (let time = 0; time < 10; time += step) {
+    if (Math.abs(1 - getSpringPosition(time, params)) > SPRING_REST_THRESHOLD) {
+      settled = time + step
+    }
+  }
+
+  return {
+    duration: settled * 1000,
+    easing: (t) => (t >= 1 ? 1 : getSpringPosition(t * settled, params)),
+  }
+}
+
+/**
+ * 解析动画时长和缓动曲线
+ * @param {Object} options - 动画选项，见 createNodeTransition
+ * @returns {{duration: number, easing: Function}} 时长（毫秒）和缓动曲线
+ */
+const resolveTiming = ({ duration = 800, easing = "easeInOutCubic", spring }) => {
+  if (spring) {
+    return createSpringEasing(spring === true ? {} : spring)
+  }
+  return { duration, easing: typeof easing === "function" ? easing : (EASINGS[easing] ?? EASINGS.linear) }
+}
+
+const lerp = (a, b, t) => a + (b - a) * t
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+const clamp01 = (value) => clamp(value, 0, 1)
+
+// 节点在过渡中的角色
+const MOVE = 0
+const ENTER = 1
+const EXIT = 2
+
+/**
+ * 返回位置为 (x, y) 的节点，位置没有变化时返回原节点，React Flow 不会重新渲染它
+ * @param {Object} node - 节点
+ * @param {number} x - 横坐标
+ * @param {number} y - 纵坐标
+ * @returns {Object} 节点
+ */
+const withPosition = (node, x, y) =>
+  node.position?.x === x && node.position?.y === y ? node : { ...node, position: { x, y } }
+
+/**
+ * 创建从一组节点到另一组节点的过渡
+ * 两组中都有的节点移动位置，只在 toNodes 中的节点在目标位置淡入放大，只在 fromNodes 中的节点在原位置淡出缩小。
+ * 每一帧只覆盖当前节点的位置、连接点方向和进入/退出样式，动画期间对节点的其他修改（如选中）会保留。
+ * 连接点方向改变的节点在动画期间带有 handleMorph（旧的连接点方向和当前进度），MorphingEdge 据此让边平滑变形。
+ * 节点按 ID 查找起止状态，每一帧只遍历一次节点（O(n)）；
+ * positionsOnly 模式下动画期间的位置取整到像素，每帧只改动位置发生变化的节点，其余节点保持原对象，React Flow 只重新渲染移动中的节点，
+ * 连接点方向、样式等其他属性在结束时一次性更新，适合上千个节点的图
+ * @param {Array} fromNodes - 起始节点（当前显示的节点）
+ * @param {Array} toNodes - 目标节点（如布局结果）
+ * @param {Object} options - 动画选项
+ * @param {number} options.duration - 每个节点的动画时长（毫秒），默认 800，使用弹簧时由弹簧参数决定
+ * @param {string|Function} options.easing - 缓动曲线名称（见 EASINGS）或函数，默认 "easeInOutCubic"
+ * @param {boolean|Object} options.spring - 使用弹簧物理，可以传入 { stiffness, damping, mass }
+ * @param {number} options.stagger - 相邻节点出发的间隔（毫秒），按 toNodes 的顺序，默认 0
+ * @param {boolean} options.enter - 新节点是否淡入，默认 true，false 时直接出现
+ * @param {boolean} options.exit - 消失的节点是否淡出，默认 true，false 时立即移除
+ * @param {boolean} options.positionsOnly - 只更新位置，默认 false；新节点直接出现在目标位置，消失的节点在结束时移除
+ * @param {boolean} options.crossfade - 淡出淡入代替移动，默认 false：前半段节点在原位置淡出，后半段在目标位置淡入，
+ *   用于减弱动画（prefers-reduced-motion），忽略 stagger、positionsOnly 和 velocities
+ * @param {Map<string, {x: number, y: number}>} options.velocities - 节点的初始速度（像素/毫秒），通常来自被打断的过渡（getVelocities），
+ *   节点先沿原来的方向减速再转向目标，到达目标时速度衰减为 0
+ * @returns {{duration: number, easing: Function, getFrame: Function, getFinalNodes: Function, getVelocities: Function}}
+ *   总时长（毫秒）、缓动曲线、getFrame(currentNodes, elapsed) 计算某一时刻的节点、getFinalNodes(currentNodes) 计算结束时的节点、
+ *   getVelocities(elapsed) 计算某一时刻移动中节点的速度
+ */
+export function createNodeTransition(fromNodes, toNodes, options = {}) {
+  const { enter = true, exit = true, crossfade = false } = options
+  const stagger = crossfade ? 0 : (options.stagger ?? 0)
+  const positionsOnly = crossfade ? false : (options.positionsOnly ?? false)
+  const velocities = crossfade ? undefined : options.velocities
+  const { duration, easing } = resolveTiming(options)
+
+  const fromById = new Map(fromNodes.map((node) => [node.id, node]))
+  const toById = new Map(toNodes.map((node) => [node.id, node]))
+  const removed = exit ? fromNodes.filter((node) => !toById.has(node.id)) : []
+  const removedIds = new Set(fromNodes.filter((node) => !toById.has(node.id)).map((node) => node.id))
+
+  // 参与动画的节点：目标节点在前，消失的节点在后，序号决定出发延迟
+  const animated = [...toNodes, ...removed]
+  const indexById = new Map(animated.map((node, index) => [node.id, index]))
+  const kinds = animated.map((node) => (!toById.has(node.id) ? EXIT : fromById.has(node.id) ? MOVE : ENTER))
+  const starts = animated.map((node) => (fromById.get(node.id) ?? node).position)
+  const ends = animated.map((node) => (toById.get(node.id) ?? node).position)
+  // 连接点方向改变的节点，边需要从旧方向过渡到新方向
+  const morphs = animated.map((node, index) => {
+    const from = fromById.get(node.id)
+    return kinds[index] === MOVE &&
+      (from.sourcePosition !== node.sourcePosition || from.targetPosition !== node.targetPosition)
+      ? { sourcePosition: from.sourcePosition, targetPosition: from.targetPosition }
+      : null
+  })
+  const totalDuration = duration + stagger * Math.max(animated.length - 1, 0)
+
+  // 移动的节点在 elapsed 时刻的位置：起止位置之间插值，再叠加逐渐衰减的初始速度
+  const getPosition = (index, elapsed) => {
+    const start = starts[index]
+    const end = ends[index]
+    const delay = index * stagger
+    const progress = easing(duration > 0 ? clamp01((elapsed - delay) / duration) : 1)
+    const position = { x: lerp(start.x, end.x, progress), y: lerp(start.y, end.y, progress) }
+
+    const velocity = velocities?.get(animated[index].id)
+    if (velocity) {
+      // 衰减曲线 s(1-s)² 在起点的斜率为 1（保持原速度），在终点的值和斜率都为 0（停在目标位置）
+      const span = delay + duration
+      const s = span > 0 ? clamp01(elapsed / span) : 1
+      const carry = span * s * (1 - s) ** 2
+      position.x += velocity.x * carry
+      position.y += velocity.y * carry
+    }
+    return position
+  }
+
+  // 淡出淡入时节点在进度 t 的状态：消失的节点只淡出，新节点只淡入
+  const getCrossfadeNode = (node, index, t) => {
+    const kind = kinds[index]
+    const fadingOut = t < 0.5 ? kind !== ENTER : kind === EXIT
+    const base = fadingOut ? fromById.get(node.id) : toById.get(node.id)
+    // 从节点当前的透明度开始淡出（如上一次淡出淡入被打断时）
+    const opacity = (base.style?.opacity ?? 1) * (fadingOut ? Math.max(1 - 2 * t, 0) : Math.max(2 * t - 1, 0))
+    return {
+      ...node,
+      position: fadingOut ? starts[index] : ends[index],
+      targetPosition: base.targetPosition,
+      sourcePosition: base.sourcePosition,
+      handleMorph: undefined,
+      style: { ...base.style, opacity },
+    }
+  }
+
+  // 序号为 index 的节点在 elapsed 时刻的状态
+  const getAnimatedNode = (node, index, elapsed) => {
+    const kind = kinds[index]
+    const start = starts[index]
+    const end = ends[index]
+    const t = duration > 0 ? clamp01((elapsed - index * stagger) / duration) : 1
+    const progress = easing(t)
+
+    if (crossfade) {
+      return getCrossfadeNode(node, index, t)
+    }
+
+    if (positionsOnly) {
+      if (kind === EXIT) {
+        return node
+      }
+      // 位置取整到像素：不动或这一帧移动不到一个像素的节点保持原对象
+      const { x, y } = kind === ENTER ? end : getPosition(index, elapsed)
+      return withPosition(node, Math.round(x), Math.round(y))
+    }
+
+    if (kind === EXIT) {
+      const style = { ...fromById.get(node.id).style, opacity: 1 - t, scale: lerp(1, ENTER_EXIT_SCALE, progress) }
+      return { ...node, position: start, style }
+    }
+
+    const to = toById.get(node.id)
+    const handlePositions = { targetPosition: to.targetPosition, sourcePosition: to.sourcePosition }
+    if (kind === ENTER) {
+      return enter
+        ? {
+            ...node,
+            position: end,
+            ...handlePositions,
+            style: { ...to.style, opacity: t, scale: lerp(ENTER_EXIT_SCALE, 1, progress) },
+          }
+        : { ...node, position: end, ...handlePositions }
+    }
+
+    return {
+      ...node,
+      position: getPosition(index, elapsed),
+      ...handlePositions,
+      // 不变形时清除上一个过渡留下的 handleMorph（如倒放到起点后开始新的过渡）
+      handleMorph: morphs[index] ? { ...morphs[index], progress } : undefined,
+    }
+  }
+
+  /**
+   * 遍历当前节点，不在当前节点中的动画节点（如新节点、拖回进度时已经移除的节点）追加到末尾
+   * @param {Array} currentNodes - 当前节点
+   * @param {Function} mapNode - (node, index) => 节点，index 为参与动画的序号，不参与动画时为 undefined；返回 null 时移除节点
+   * @returns {Array} 新的节点数组
+   */
+  const mapNodes = (currentNodes, mapNode) => {
+    const seen = new Uint8Array(animated.length)
+    const result = []
+    const push = (node, index) => {
+      const mapped = mapNode(node, index)
+      if (mapped) {
+        result.push(mapped)
+      }
+    }
+    currentNodes.forEach((node) => {
+      const index = indexById.get(node.id)
+      if (index !== undefined) {
+        seen[index] = 1
+      }
+      push(node, index)
+    })
+    animated.forEach((node, index) => {
+      if (!seen[index]) {
+        push(node, index)
+      }
+    })
+    return result
+  }
+
+  // 不淡出时消失的节点立即移除
+  const getFrame = (currentNodes, elapsed) =>
+    mapNodes(currentNodes, (node, index) => {
+      if (index !== undefined) {
+        return getAnimatedNode(node, index, elapsed)
+      }
+      return removedIds.has(node.id) ? null : node
+    })
+
+  // 结束时移除消失的节点，其余节点使用目标节点的全部布局结果（样式也恢复为目标节点的样式）
+  const getFinalNodes = (currentNodes) =>
+    mapNodes(currentNodes, (node) => {
+      if (removedIds.has(node.id)) {
+        return null
+      }
+      const to = toById.get(node.id)
+      if (!to) {
+        return node
+      }
+      return node.handleMorph
+        ? { ...node, ...to, style: to.style, handleMorph: undefined }
+        : { ...node, ...to, style: to.style }
+    })
+
+  // 用相邻两个时刻的位置差估算速度，只有移动的节点有速度
+  const getVelocities = (elapsed) => {
+    const result = new Map()
+    const time = clamp(elapsed, 0, totalDuration)
+    const previous = Math.max(time - VELOCITY_SAMPLE, 0)
+    if (time <= previous) {
+      return result
+    }
+    animated.forEach((node, index) => {
+      if (kinds[index] !== MOVE) {
+        return
+      }
+      const a = getPosition(index, previous)
+      const b = getPosition(index, time)
+      result.set(node.id, { x: (b.x - a.x) / (time - previous), y: (b.y - a.y) / (time - previous) })
+    })
+    return result
+  }
+
+  return { duration: totalDuration, easing, getFrame, getFinalNodes, getVelocities }
+}
+
+// 没有过渡时的时间轴状态
+const IDLE_TIMELINE = { time: 0, duration: 0, playing: false, speed: 1, reversed: false }
+
+// 播放中同步 timeline 状态的最小间隔（毫秒，约 10Hz），避免每帧都让组件重新渲染
+const TIMELINE_SYNC_INTERVAL = 100
+
+/**
+ * 按比例缩放速度
+ * @param {Map<string, {x: number, y: number}>} velocities - 节点速度
+ * @param {number} factor - 比例
+ * @returns {Map<string, {x: number, y: number}>} 新的节点速度
+ */
+const scaleVelocities = (velocities, factor) =>
+  new Map([...velocities].map(([id, { x, y }]) => [id, { x: x * factor, y: y * factor }]))
+
+/**
+ * 自定义 Hook：播放节点过渡动画
+ * 同一时间只有一个过渡，开始新过渡或调用 stop 时丢弃当前过渡（节点停在当前帧）。
+ * 过渡播放结束后仍然保留，可以继续拖动进度或倒放，直到开始下一个过渡。
+ * 播放中被新的过渡打断时，节点的当前速度传给新的过渡（见 createNodeTransition 的 velocities），运动不会突然转折。
+ * 动画模式由全局设置和系统的“减弱动态效果”决定（见 useMotion）：减弱时改为淡出淡入（positionsOnly 时直接跳到结果），
+ * 视口不再平移；关闭时直接跳到结果
+ * @param {Function} setNodes - 更新节点的函数（如 useNodesState 返回的 setNodes）
+ * @returns {{animate: Function, stop: Function, play: Function, pause: Function, reverse: Function, seek: Function, setSpeed: Function, getTime: Function, timeline: Object}}
+ *   animate(fromNodes, toNodes, options) 播放动画，选项见 createNodeTransition，另外支持：
+ *   options.animated 为 false 时直接跳到终点；options.onAnimationEnd 在正向播放到终点时调用（被停止时不调用）；
+ *   options.viewport 为 React Flow 实例时，视口同步过渡到目标节点的范围（相当于对目标布局调用 fitView，不随暂停和拖动进度变化）。
+ *   play() 继续播放（已在终点时从头播放）、pause() 暂停、reverse() 反转方向并播放、seek(time) 跳到某一时刻（毫秒）并暂停、
+ *   setSpeed(speed) 设置播放速度（对之后的过渡同样有效）；
+ *   timeline 为当前过渡的时间轴状态：{ time, duration, playing, speed, reversed }，
+ *   播放中每 TIMELINE_SYNC_INTERVAL 毫秒更新一次，播放、暂停、倒放、结束和拖动进度时立即更新；
+ *   getTime() 返回精确的当前进度（毫秒），不触发渲染
+ */
+export function useNodeAnimation(setNodes) {
+  const timerRef = useRef(null)
+  // 当前过渡及其播放进度：{ transition, time, direction, onAnimationEnd }
+  const playbackRef = useRef(null)
+  const speedRef = useRef(1)
+  const [timeline, setTimeline] = useState(IDLE_TIMELINE)
+  const motion = useMotion()
+  const motionRef = useRef(motion)
+
+  useEffect(() => {
+    motionRef.current = motion
+  }, [motion])
+
+  // 把播放进度同步到 timeline 状态
+  const syncTimeline = useCallback(() => {
+    const playback = playbackRef.current
+    setTimeline({
+      time: playback?.time ?? 0,
+      duration: playback?.transition.duration ?? 0,
+      playing: Boolean(timerRef.current),
+      speed: speedRef.current,
+      reversed: playback?.direction < 0,
+    })
+  }, [])
+
+  // 停止计时器，保留当前过渡
+  const halt = useCallback(() => {
+    if (timerRef.current) {
+      timerRef.current.stop()
+      timerRef.current = null
+    }
+  }, [])
+
+  // 组件卸载时停止动画
+  useEffect(() => halt, [halt])
+
+  // 按当前进度更新节点，到达终点时使用完整的目标节点
+  const render = useCallback(
+    ({ transition, time }) => {
+      setNodes((nodes) =>
+        time >= transition.duration ? transition.getFinalNodes(nodes) : transition.getFrame(nodes, time)
+      )
+    },
+    [setNodes]
+  )
+
+  // 使用 d3-timer 驱动动画循环，按速度和方向推进进度，到达终点（倒放时为起点）后停止
+  const run = useCallback(() => {
+    halt()
+    let last = 0
+    let lastSync = 0
+    timerRef.current = timer((elapsed) => {
+      const playback = playbackRef.current
+      const { transition, direction } = playback
+      playback.time = clamp(playback.time + (elapsed - last) * speedRef.current * direction, 0, transition.duration)
+      last = elapsed
+
+      const ended = direction > 0 ? playback.time >= transition.duration : playback.time <= 0
+      if (ended) {
+        halt()
+      }
+      render(playback)
+      if (ended || elapsed - lastSync >= TIMELINE_SYNC_INTERVAL) {
+        lastSync = elapsed
+        syncTimeline()
+      }
+      if (ended && direction > 0) {
+        playback.onAnimationEnd?.()
+      }
+    })
+  }, [halt, render, syncTimeline])
+
+  const stop = useCallback(() => {
+    halt()
+    playbackRef.current = null
+    syncTimeline()
+  }, [halt, syncTimeline])
+
+  const animate = useCallback(
+    (fromNodes, toNodes, { animated = true, onAnimationEnd, viewport, ...options } = {}) => {
+      // 打断播放中的过渡时继承节点速度。速度按过渡时间计算，两个过渡的播放速度相同，只需要考虑倒放的方向
+      const previous = playbackRef.current
+      const velocities =
+        previous && timerRef.current
+          ? scaleVelocities(previous.transition.getVelocities(previous.time), previous.direction)
+          : undefined
+      halt()
+
+      // 减弱动画时节点不移动，大图只更新位置时连淡出淡入也省去
+      const motion = motionRef.current
+      const crossfade = motion === "reduced"
+      const instant = !animated || motion === "none" || (crossfade && options.positionsOnly)
+
+      const transition = createNodeTransition(
+        fromNodes,
+        toNodes,
+        crossfade
+          ? { ...options, crossfade, duration: CROSSFADE_DURATION, easing: "linear", spring: false }
+          : { velocities, ...options }
+      )
+      const playback = { transition, time: 0, direction: 1, onAnimationEnd }
+      playbackRef.current = playback
+
+      // 视口与节点使用相同的时长和缓动曲线，同时到达目标范围；减弱动画时直接跳到目标范围
+      viewport?.fitBounds(getNodesBounds(toNodes), {
+        padding: VIEWPORT_PADDING,
+        duration: instant || crossfade ? 0 : transition.duration / speedRef.current,
+        ease: transition.easing,
+        interpolate: "linear",
+      })
+
+      if (instant || transition.duration <= 0) {
+        playback.time = transition.duration
+        render(playback)
+        syncTimeline()
+        onAnimationEnd?.()
+        return
+      }
+
+      run()
+      syncTimeline()
+    },
+    [halt, render, run, syncTimeline]
+  )
+
+  const play = useCallback(() => {
+    const playback = playbackRef.current
+    if (!playback) {
+      return
+    }
+    // 已经播放到头时从另一端重新开始
+    if (playback.direction > 0 && playback.time >= playback.transition.duration) {
+      playback.time = 0
+    } else if (playback.direction < 0 && playback.time <= 0) {
+      playback.time = playback.transition.duration
+    }
+    run()
+    syncTimeline()
+  }, [run, syncTimeline])
+
+  const pause = useCallback(() => {
+    halt()
+    syncTimeline()
+  }, [halt, syncTimeline])
+
+  const reverse = useCallback(() => {
+    if (playbackRef.current) {
+      playbackRef.current.direction *= -1
+      play()
+    }
+  }, [play])
+
+  const seek = useCallback(
+    (time) => {
+      const playback = playbackRef.current
+      if (!playback) {
+        return
+      }
+      halt()
+      playback.time = clamp(time, 0, playback.transition.duration)
+      render(playback)
+      syncTimeline()
+    },
+    [halt, render, syncTimeline]
+  )
+
+  const setSpeed = useCallback(
+    (speed) => {
+      speedRef.current = speed
+      syncTimeline()
+    },
+    [syncTimeline]
+  )
+
+  const getTime = useCallback(() => playbackRef.current?.time ?? 0, [])
+
+  return { animate, stop, play, pause, reverse, seek, setSpeed, getTime, timeline }
+}
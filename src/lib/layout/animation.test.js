@@ -0,0 +1,286 @@
+// @vitest-environment jsdom
+import { act, renderHook } from "@testing-library/react"
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { createNodeTransition, createSpringEasing, useNodeAnimation } from "./animation"
+
+// 手动驱动的 d3-timer：测试中调用 tick(elapsed) 推进当前计时器
+const timers = vi.hoisted(() => [])
+vi.mock("d3-timer", () => ({
+  timer: (callback) => {
+    const entry = {
+      callback,
+      stopped: false,
+      stop: () => {
+        entry.stopped = true
+      },
+    }
+    timers.push(entry)
+    return entry
+  },
+}))
+
+const node = (id, x, y) => ({ id, position: { x, y }, data: {} })
+
+const positionsOf = (nodes) => Object.fromEntries(nodes.map(({ id, position }) => [id, position]))
+
+describe("createNodeTransition", () => {
+  const fromNodes = [node("a", 0, 0), node("b", 100, 0), node("c", 200, 0)]
+  const toNodes = [node("a", 0, 0), node("b", 100, 0.4), node("c", 300, 100)]
+
+  it("positionsOnly 模式下位置取整，不动和移动不到一像素的节点保持原对象", () => {
+    const transition = createNodeTransition(fromNodes, toNodes, {
+      duration: 100,
+      easing: "linear",
+      positionsOnly: true,
+    })
+    const frame = transition.getFrame(fromNodes, 50)
+
+    expect(frame[0]).toBe(fromNodes[0])
+    expect(frame[1]).toBe(fromNodes[1])
+    expect(frame[2]).not.toBe(fromNodes[2])
+    expect(frame[2].position).toEqual({ x: 250, y: 50 })
+    // 下一帧没有移动的节点同样复用
+    expect(transition.getFrame(frame, 50)[2]).toBe(frame[2])
+  })
+
+  it("完整更新模式每帧为所有节点创建新对象", () => {
+    const transition = createNodeTransition(fromNodes, toNodes, { duration: 100, easing: "linear" })
+    const frame = transition.getFrame(fromNodes, 50)
+
+    frame.forEach((frameNode, index) => expect(frameNode).not.toBe(fromNodes[index]))
+    expect(frame[1].position).toEqual({ x: 100, y: 0.2 })
+  })
+
+  it("结束时使用目标位置", () => {
+    const transition = createNodeTransition(fromNodes, toNodes, { duration: 100, positionsOnly: true })
+    expect(transition.getFinalNodes(fromNodes).map((frameNode) => frameNode.position)).toEqual(
+      toNodes.map((toNode) => toNode.position)
+    )
+  })
+
+  it("按缓动曲线在固定时刻插值", () => {
+    const linear = createNodeTransition(fromNodes, toNodes, { duration: 100, easing: "linear" })
+    expect(linear.getFrame(fromNodes, 25)[2].position).toEqual({ x: 225, y: 25 })
+
+    // easeInOutCubic(0.25) = 0.0625，easeInOutCubic(0.75) = 0.9375
+    const eased = createNodeTransition(fromNodes, toNodes, { duration: 100 })
+    expect(eased.getFrame(fromNodes, 25)[2].position).toEqual({ x: 206.25, y: 6.25 })
+    expect(eased.getFrame(fromNodes, 75)[2].position).toEqual({ x: 293.75, y: 93.75 })
+
+    // 自定义缓动函数，超出时长的时刻停在终点
+    const custom = createNodeTransition(fromNodes, toNodes, { duration: 100, easing: (t) => t * t })
+    expect(custom.getFrame(fromNodes, 50)[2].position).toEqual({ x: 225, y: 25 })
+    expect(custom.getFrame(fromNodes, 500)[2].position).toEqual({ x: 300, y: 100 })
+  })
+
+  it("stagger 让节点按目标顺序依次出发，总时长包含所有延迟", () => {
+    const from = [node("a", 0, 0), node("b", 100, 0), node("c", 200, 0)]
+    const to = [node("a", 100, 0), node("b", 200, 0), node("c", 300, 0)]
+    const transition = createNodeTransition(from, to, { duration: 100, easing: "linear", stagger: 50 })
+
+    expect(transition.duration).toBe(200)
+    expect(positionsOf(transition.getFrame(from, 50))).toEqual({
+      a: { x: 50, y: 0 },
+      b: { x: 100, y: 0 },
+      c: { x: 200, y: 0 },
+    })
+    expect(positionsOf(transition.getFrame(from, 150))).toEqual({
+      a: { x: 100, y: 0 },
+      b: { x: 200, y: 0 },
+      c: { x: 250, y: 0 },
+    })
+  })
+
+  it("弹簧的时长由弹簧参数决定，欠阻尼时越过终点再回来", () => {
+    const spring = createSpringEasing()
+    expect(spring.duration).toBeGreaterThan(0)
+    expect(spring.easing(0)).toBe(0)
+    expect(spring.easing(1)).toBe(1)
+    expect(Math.abs(1 - spring.easing(0.99))).toBeLessThan(0.01)
+
+    const bouncy = createSpringEasing({ damping: 5 })
+    const samples = Array.from({ length: 100 }, (_, index) => bouncy.easing(index / 100))
+    expect(Math.max(...samples)).toBeGreaterThan(1)
+
+    const transition = createNodeTransition(fromNodes, toNodes, { spring: true, duration: 100 })
+    expect(transition.duration).toBe(spring.duration)
+    expect(transition.getFrame(fromNodes, transition.duration)[2].position).toEqual({ x: 300, y: 100 })
+  })
+
+  describe("进入和退出", () => {
+    const from = [node("a", 0, 0), node("gone", 50, 50)]
+    const to = [node("a", 0, 0), node("fresh", 200, 0)]
+
+    it("新节点在目标位置淡入放大，消失的节点在原位置淡出缩小，结束时移除", () => {
+      const transition = createNodeTransition(from, to, { duration: 100, easing: "linear" })
+      const frame = transition.getFrame(from, 50)
+      const byId = new Map(frame.map((frameNode) => [frameNode.id, frameNode]))
+
+      expect(frame.map((frameNode) => frameNode.id)).toEqual(["a", "gone", "fresh"])
+      expect(byId.get("gone").position).toEqual({ x: 50, y: 50 })
+      expect(byId.get("gone").style).toEqual({ opacity: 0.5, scale: 0.75 })
+      expect(byId.get("fresh").position).toEqual({ x: 200, y: 0 })
+      expect(byId.get("fresh").style).toEqual({ opacity: 0.5, scale: 0.75 })
+
+      const final = transition.getFinalNodes(frame)
+      expect(final.map((finalNode) => finalNode.id)).toEqual(["a", "fresh"])
+      expect(final[1].style).toBeUndefined()
+    })
+
+    it("关闭 enter 时新节点直接出现，关闭 exit 时消失的节点立即移除", () => {
+      const transition = createNodeTransition(from, to, { duration: 100, enter: false, exit: false })
+      const frame = transition.getFrame(from, 50)
+
+      expect(frame.map((frameNode) => frameNode.id)).toEqual(["a", "fresh"])
+      expect(frame[1].style).toBeUndefined()
+    })
+  })
+
+  it("连接点方向改变时带有 handleMorph，结束时清除", () => {
+    const from = [{ ...node("a", 0, 0), sourcePosition: "right", targetPosition: "left" }]
+    const to = [{ ...node("a", 100, 0), sourcePosition: "bottom", targetPosition: "top" }]
+    const transition = createNodeTransition(from, to, { duration: 100, easing: "linear" })
+    const [frameNode] = transition.getFrame(from, 50)
+
+    expect(frameNode.sourcePosition).toBe("bottom")
+    expect(frameNode.handleMorph).toEqual({ sourcePosition: "right", targetPosition: "left", progress: 0.5 })
+    expect(transition.getFinalNodes([frameNode])[0].handleMorph).toBeUndefined()
+  })
+
+  it("淡出淡入时前半段在原位置淡出，后半段在目标位置淡入", () => {
+    const from = [node("a", 0, 0)]
+    const to = [node("a", 100, 0)]
+    const transition = createNodeTransition(from, to, { duration: 100, easing: "linear", crossfade: true })
+
+    const [fadingOut] = transition.getFrame(from, 25)
+    expect(fadingOut.position).toEqual({ x: 0, y: 0 })
+    expect(fadingOut.style.opacity).toBe(0.5)
+
+    const [fadingIn] = transition.getFrame(from, 75)
+    expect(fadingIn.position).toEqual({ x: 100, y: 0 })
+    expect(fadingIn.style.opacity).toBe(0.5)
+  })
+
+  describe("打断", () => {
+    const from = [node("a", 0, 0)]
+    const to = [node("a", 100, 0)]
+
+    it("按相邻两个时刻的位置估算移动中节点的速度", () => {
+      const transition = createNodeTransition(from, to, { duration: 100, easing: "linear" })
+      expect(transition.getVelocities(50).get("a")).toEqual({ x: 1, y: 0 })
+      expect(transition.getVelocities(0).size).toBe(0)
+    })
+
+    it("新的过渡从打断时的位置出发，先保持原速度，最后停在目标位置", () => {
+      const first = createNodeTransition(from, to, { duration: 100, easing: "linear" })
+      const current = first.getFrame(from, 50)
+      const velocities = first.getVelocities(50)
+      const target = [node("a", 50, 100)]
+
+      const second = createNodeTransition(current, target, { duration: 100, easing: "linear", velocities })
+      const positionAt = (elapsed) => second.getFrame(current, elapsed)[0].position
+
+      expect(positionAt(0)).toEqual({ x: 50, y: 0 })
+      // 起点的横向速度约等于被打断时的速度
+      expect(positionAt(1).x - positionAt(0).x).toBeCloseTo(1, 1)
+      // 没有速度时横坐标不变，带速度时先沿原方向继续移动
+      expect(positionAt(50).x).toBe(62.5)
+      expect(positionAt(100)).toEqual({ x: 50, y: 100 })
+    })
+  })
+})
+
+describe("useNodeAnimation", () => {
+  const fromNodes = [node("a", 0, 0)]
+  const toNodes = [node("a", 1000, 0)]
+
+  afterEach(() => {
+    timers.length = 0
+  })
+
+  // 渲染 Hook，节点保存在 state.nodes 中
+  const setup = () => {
+    const state = { nodes: fromNodes }
+    const setNodes = (update) => {
+      state.nodes = typeof update === "function" ? update(state.nodes) : update
+    }
+    const { result } = renderHook(() => useNodeAnimation(setNodes))
+    return { result, state }
+  }
+
+  // 推进最近启动的计时器
+  const tick = (elapsed) => act(() => timers.at(-1).callback(elapsed))
+
+  it("播放中精确推进进度，timeline 每 100 毫秒同步一次，结束时立即同步", () => {
+    const { result, state } = setup()
+    const onAnimationEnd = vi.fn()
+    act(() => result.current.animate(fromNodes, toNodes, { duration: 1000, easing: "linear", onAnimationEnd }))
+
+    expect(result.current.timeline).toEqual({ time: 0, duration: 1000, playing: true, speed: 1, reversed: false })
+
+    tick(16)
+    expect(result.current.getTime()).toBe(16)
+    expect(state.nodes[0].position).toEqual({ x: 16, y: 0 })
+    expect(result.current.timeline.time).toBe(0)
+
+    tick(99)
+    expect(result.current.timeline.time).toBe(0)
+    tick(100)
+    expect(result.current.timeline.time).toBe(100)
+    tick(150)
+    expect(result.current.getTime()).toBe(150)
+    expect(result.current.timeline.time).toBe(100)
+
+    tick(1200)
+    expect(result.current.timeline).toMatchObject({ time: 1000, playing: false })
+    expect(state.nodes[0].position).toEqual({ x: 1000, y: 0 })
+    expect(timers.at(-1).stopped).toBe(true)
+    expect(onAnimationEnd).toHaveBeenCalledTimes(1)
+  })
+
+  it("暂停、拖动进度、播放和倒放时立即同步 timeline", () => {
+    const { result, state } = setup()
+    act(() => result.current.animate(fromNodes, toNodes, { duration: 1000, easing: "linear" }))
+    tick(50)
+
+    act(() => result.current.pause())
+    expect(result.current.timeline).toMatchObject({ time: 50, playing: false })
+
+    act(() => result.current.seek(400))
+    expect(result.current.getTime()).toBe(400)
+    expect(result.current.timeline).toMatchObject({ time: 400, playing: false })
+    expect(state.nodes[0].position).toEqual({ x: 400, y: 0 })
+
+    act(() => {
+      result.current.setSpeed(2)
+      result.current.play()
+    })
+    expect(result.current.timeline).toMatchObject({ time: 400, playing: true, speed: 2 })
+    tick(100)
+    expect(result.current.getTime()).toBe(600)
+
+    act(() => result.current.reverse())
+    expect(result.current.timeline).toMatchObject({ time: 600, playing: true, reversed: true })
+    tick(50)
+    expect(result.current.getTime()).toBe(500)
+    expect(state.nodes[0].position).toEqual({ x: 500, y: 0 })
+  })
+
+  it("播放中被新的过渡打断时继承节点速度", () => {
+    const { result, state } = setup()
+    const onAnimationEnd = vi.fn()
+    act(() => result.current.animate(fromNodes, toNodes, { duration: 1000, easing: "linear", onAnimationEnd }))
+    tick(500)
+    const first = timers.at(-1)
+
+    act(() => result.current.animate(state.nodes, [node("a", 500, 100)], { duration: 1000, easing: "linear" }))
+    expect(first.stopped).toBe(true)
+    tick(500)
+
+    // 速度为 1 像素/毫秒，衰减后在中点多走 1000 × 0.5 × 0.25 = 125 像素
+    expect(state.nodes[0].position).toEqual({ x: 625, y: 50 })
+    tick(1000)
+    expect(state.nodes[0].position).toEqual({ x: 500, y: 100 })
+    expect(onAnimationEnd).not.toHaveBeenCalled()
+  })
+})
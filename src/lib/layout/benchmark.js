@@ -0,0 +1,48 @@
+/**
+ * 性能测试工具
+ * 大图案例（大规模图布局、动画性能测试）共用：生成可复现的随机图，并统计页面帧率
+ */
+
+import { useState, useEffect, useRef } from "react"
+
+/**
+ * 可复现的伪随机数生成器（mulberry32），相同的种子总是得到相同的序列
+ * @param {number} seed - 随机种子
+ * @returns {Function} 返回 [0, 1) 之间随机数的函数
+ */
+export function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * 自定义 Hook：统计页面帧率
+ * 主线程被阻塞时 requestAnimationFrame 不会执行，帧率会降到 0
+ * @returns {{fps: number, framesRef: Object}} 最近一秒的帧数，以及累计帧数（用于计算一段时间内的平均帧率）
+ */
+export function useFps() {
+  const [fps, setFps] = useState(0)
+  const framesRef = useRef(0)
+
+  useEffect(() => {
+    let frames = 0
+    let last = performance.now()
+    let frameId = requestAnimationFrame(function tick(now) {
+      frames++
+      framesRef.current++
+      if (now - last >= 1000) {
+        setFps(Math.round((frames * 1000) / (now - last)))
+        frames = 0
+        last = now
+      }
+      frameId = requestAnimationFrame(tick)
+    })
+    return () => cancelAnimationFrame(frameId)
+  }, [])
+
+  return { fps, framesRef }
+}
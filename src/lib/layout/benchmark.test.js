@@ -0,0 +1,15 @@
+import { describe, expect, it } from "vitest"
+import { createRandom } from "./benchmark"
+
+describe("createRandom", () => {
+  it("相同的种子得到相同的序列，结果在 [0, 1) 之间", () => {
+    const sample = (seed) => Array.from({ length: 100 }, createRandom(seed))
+
+    expect(sample(42)).toEqual(sample(42))
+    expect(sample(42)).not.toEqual(sample(43))
+    sample(7).forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThan(1)
+    })
+  })
+})
@@ -0,0 +1,56 @@
+import { buildForest } from "./tree"
+import { getNodeSize } from "./size"
+
+/**
+ * 环形布局引擎
+ * 所有节点按生成树的深度优先顺序排列在一个圆上，相连的节点尽量相邻；
+ * 圆的周长根据节点尺寸计算，节点之间不会重叠
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项
+ * @param {number} options.nodesep - 相邻节点的最小间距（沿圆周），默认 50
+ * @param {number} options.minRadius - 最小半径，默认 100
+ * @returns {Array} 布局后的节点数组
+ */
+export function circularLayout(nodes, edges, options = {}) {
+  const { nodesep = 50, minRadius = 100 } = options
+
+  if (!nodes || nodes.length === 0) {
+    return []
+  }
+
+  // 深度优先顺序，使同一子树的节点在圆上连续
+  const { roots, children } = buildForest(nodes, edges)
+  const order = []
+  const visit = (id) => {
+    order.push(id)
+    children.get(id).forEach(visit)
+  }
+  roots.forEach(visit)
+
+  // 每个节点占用的弧长：较大边加间距
+  const sizes = new Map(nodes.map((node) => [node.id, getNodeSize(node, options)]))
+  const arcs = order.map((id) => Math.max(sizes.get(id).width, sizes.get(id).height) + nodesep)
+  const circumference = arcs.reduce((sum, arc) => sum + arc, 0)
+  const radius = Math.max(minRadius, circumference / (2 * Math.PI))
+
+  // 从正上方开始顺时针排列，节点位于各自弧段的中点
+  const angles = new Map()
+  let traveled = 0
+  order.forEach((id, index) => {
+    angles.set(id, ((traveled + arcs[index] / 2) / circumference) * 2 * Math.PI - Math.PI / 2)
+    traveled += arcs[index]
+  })
+
+  return nodes.map((node) => {
+    const { width, height } = sizes.get(node.id)
+    const angle = angles.get(node.id)
+    return {
+      ...node,
+      position: {
+        x: radius * Math.cos(angle) - width / 2,
+        y: radius * Math.sin(angle) - height / 2,
+      },
+    }
+  })
+}
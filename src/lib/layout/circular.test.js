@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest"
+import { circularLayout } from "./circular"
+import { createGraph, findOverlaps, positionsById } from "@/test/graph"
+
+const tree = createGraph(
+  ["r", "a", "b", "c", "d"],
+  [
+    ["r", "a"],
+    ["r", "b"],
+    ["a", "c"],
+    ["a", "d"],
+  ]
+)
+const forest = createGraph(
+  ["r", "a", "b", "c", "d", "e", "f", "g"],
+  [
+    ["r", "a"],
+    ["r", "b"],
+    ["a", "c"],
+    ["a", "d"],
+    ["f", "g"],
+  ]
+)
+
+// 节点中心相对圆心的角度（弧度），从正上方开始顺时针为正
+const getAngle = ({ x, y }) => {
+  const angle = Math.atan2(y + 25, x + 75) + Math.PI / 2
+  return angle < 0 ? angle + 2 * Math.PI : angle
+}
+
+describe("circularLayout", () => {
+  it("节点按深度优先顺序等距排列在圆上", () => {
+    const positions = positionsById(circularLayout(tree.nodes, tree.edges))
+    // 每个节点占用 150 + 50 的弧长，周长 1000
+    const radius = 1000 / (2 * Math.PI)
+    Object.values(positions).forEach(({ x, y }) => expect(Math.hypot(x + 75, y + 25)).toBeCloseTo(radius))
+
+    const order = Object.keys(positions).sort((a, b) => getAngle(positions[a]) - getAngle(positions[b]))
+    expect(order).toEqual(["r", "a", "c", "d", "b"])
+    expect(getAngle(positions.r)).toBeCloseTo(Math.PI / 5)
+  })
+
+  it("节点较少时使用最小半径", () => {
+    const { nodes } = createGraph(["a", "b"], [])
+    circularLayout(nodes, [], { minRadius: 120 }).forEach(({ position: { x, y } }) =>
+      expect(Math.hypot(x + 75, y + 25)).toBeCloseTo(120)
+    )
+  })
+
+  it("森林中的节点不重叠，结果是确定的", () => {
+    const layouted = circularLayout(forest.nodes, forest.edges)
+    expect(findOverlaps(layouted)).toEqual([])
+    expect(circularLayout(forest.nodes, forest.edges)).toEqual(layouted)
+  })
+})
@@ -0,0 +1,216 @@
+/**
+ * 分组（子流程）布局
+ * 带有 parentId 的节点属于父节点（分组），分组在 data.collapsed 为 true 时折叠：
+ * - compoundLayout 自底向上布局：先在每个分组内部布局子节点，再用分组的尺寸布局上一层
+ * - collapseGroups 隐藏折叠分组的后代节点，把连到这些节点的边改连到分组上
+ */
+
+import { dagreLayout } from "./dagre"
+import { getHandlePositions } from "./direction"
+import { getNodeSize } from "./size"
+
+// 分组内边距，顶部留出标题的位置
+const GROUP_PADDING = { top: 48, right: 20, bottom: 20, left: 20 }
+
+// 折叠后分组的默认尺寸
+const COLLAPSED_WIDTH = 180
+const COLLAPSED_HEIGHT = 48
+
+/**
+ * 建立分组层级
+ * @param {Array} nodes - 节点数组
+ * @returns {{nodeById: Map, childrenOf: Map<string|null, string[]>, getParentId: Function}} 节点表、每个分组（根为 null）的子节点和父节点查询
+ */
+const buildHierarchy = (nodes) => {
+  const nodeById = new Map(nodes.map((node) => [node.id, node]))
+  // 父节点不存在时按顶层节点处理
+  const getParentId = (id) => {
+    const parentId = nodeById.get(id)?.parentId
+    return nodeById.has(parentId) ? parentId : null
+  }
+
+  const childrenOf = new Map([[null, []]])
+  nodes.forEach((node) => {
+    childrenOf.set(node.id, childrenOf.get(node.id) ?? [])
+    const parentId = getParentId(node.id)
+    childrenOf.set(parentId, [...(childrenOf.get(parentId) ?? []), node.id])
+  })
+
+  return { nodeById, childrenOf, getParentId }
+}
+
+/**
+ * 找到节点在指定分组中的祖先（或节点本身）
+ * @param {string} id - 节点 ID
+ * @param {string|null} groupId - 分组 ID，null 表示顶层
+ * @param {Function} getParentId - 父节点查询
+ * @returns {string|null} 分组的直接子节点 ID，节点不在该分组内时为 null
+ */
+const findAncestorIn = (id, groupId, getParentId) => {
+  for (let current = id; current !== null; current = getParentId(current)) {
+    if (getParentId(current) === groupId) {
+      return current
+    }
+  }
+  return null
+}
+
+/**
+ * 找到节点最外层的已折叠祖先
+ * @param {string} id - 节点 ID
+ * @param {Map} nodeById - 节点表
+ * @param {Function} getParentId - 父节点查询
+ * @returns {string|null} 折叠的祖先分组 ID，没有时为 null
+ */
+const findCollapsedAncestor = (id, nodeById, getParentId) => {
+  let collapsed = null
+  for (let current = getParentId(id); current !== null; current = getParentId(current)) {
+    if (nodeById.get(current).data?.collapsed) {
+      collapsed = current
+    }
+  }
+  return collapsed
+}
+
+/**
+ * 分组布局引擎
+ * 每个展开的分组内部用 Dagre 布局子节点，分组尺寸自动适应子节点并加上内边距；
+ * 折叠的分组按固定尺寸参与布局，后代节点保持原位置。子节点的位置相对于父节点，与 React Flow 的子流程一致
+ * @param {Array} nodes - 节点数组，父节点需排在子节点之前
+ * @param {Array} edges - 边数组，跨分组的边按所在层级的祖先参与布局
+ * @param {Object} options - 布局选项，其余选项传给 Dagre
+ * @param {string} options.direction - 布局方向，默认 "TB"
+ * @param {number} options.collapsedWidth - 折叠分组的宽度，默认 180
+ * @param {number} options.collapsedHeight - 折叠分组的高度，默认 48
+ * @returns {Array} 布局后的节点数组，分组节点带有 width/height
+ */
+export function compoundLayout(nodes, edges, options = {}) {
+  const { direction = "TB", collapsedWidth = COLLAPSED_WIDTH, collapsedHeight = COLLAPSED_HEIGHT } = options
+
+  if (!nodes || nodes.length === 0) {
+    return []
+  }
+
+  const { nodeById, childrenOf, getParentId } = buildHierarchy(nodes)
+  const positions = new Map()
+  const groupSizes = new Map()
+
+  // 布局一个分组（null 为顶层）的直接子节点，返回分组需要的尺寸
+  const layoutGroup = (groupId) => {
+    const members = childrenOf.get(groupId)
+
+    const sizes = new Map(
+      members.map((id) => {
+        const node = nodeById.get(id)
+        if (childrenOf.get(id).length === 0) {
+          return [id, getNodeSize(node, options)]
+        }
+        const size = node.data?.collapsed ? { width: collapsedWidth, height: collapsedHeight } : layoutGroup(id)
+        groupSizes.set(id, size)
+        return [id, size]
+      })
+    )
+
+    // 边的两端换成它们在这个分组中的祖先，分组内部的边不参与这一层的布局
+    const levelEdges = []
+    const seen = new Set()
+    edges.forEach((edge) => {
+      const source = findAncestorIn(edge.source, groupId, getParentId)
+      const target = findAncestorIn(edge.target, groupId, getParentId)
+      const key = `${source}->${target}`
+      if (source && target && source !== target && !seen.has(key)) {
+        seen.add(key)
+        levelEdges.push({ id: key, source, target })
+      }
+    })
+
+    const layouted = dagreLayout(
+      members.map((id) => ({ id, data: nodeById.get(id).data, ...sizes.get(id) })),
+      levelEdges,
+      options
+    )
+
+    // 顶层直接使用布局结果；分组内的位置平移到内边距以内
+    const minX = Math.min(...layouted.map((node) => node.position.x))
+    const minY = Math.min(...layouted.map((node) => node.position.y))
+    const offset = groupId === null ? { x: 0, y: 0 } : { x: GROUP_PADDING.left - minX, y: GROUP_PADDING.top - minY }
+    layouted.forEach((node) => {
+      positions.set(node.id, { x: node.position.x + offset.x, y: node.position.y + offset.y })
+    })
+
+    const maxX = Math.max(...layouted.map((node) => node.position.x + sizes.get(node.id).width))
+    const maxY = Math.max(...layouted.map((node) => node.position.y + sizes.get(node.id).height))
+    return {
+      width: maxX - minX + GROUP_PADDING.left + GROUP_PADDING.right,
+      height: maxY - minY + GROUP_PADDING.top + GROUP_PADDING.bottom,
+    }
+  }
+
+  layoutGroup(null)
+
+  const handlePositions = getHandlePositions(direction)
+
+  return nodes.map((node) => {
+    // 折叠分组中的节点没有参与布局
+    if (!positions.has(node.id)) {
+      return node
+    }
+    return {
+      ...node,
+      position: positions.get(node.id),
+      ...handlePositions,
+      ...groupSizes.get(node.id),
+    }
+  })
+}
+
+/**
+ * 应用分组的折叠状态
+ * 折叠分组的后代节点设为 hidden；连到隐藏节点的边改连到最外层的折叠分组上（去掉连接点 ID，data.rerouted 为 true），
+ * 两端落在同一个折叠分组内的边隐藏，改连后重复的边只保留一条
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @returns {{nodes: Array, edges: Array}} 用于显示的节点和边
+ */
+export function collapseGroups(nodes, edges) {
+  const { nodeById, getParentId } = buildHierarchy(nodes)
+  const collapsedAncestors = new Map(
+    nodes.map((node) => [node.id, findCollapsedAncestor(node.id, nodeById, getParentId)])
+  )
+
+  const visibleNodes = nodes.map((node) => {
+    const hidden = collapsedAncestors.get(node.id) !== null
+    return Boolean(node.hidden) === hidden ? node : { ...node, hidden }
+  })
+
+  const seen = new Set()
+  const visibleEdges = []
+  edges.forEach((edge) => {
+    const source = collapsedAncestors.get(edge.source) ?? edge.source
+    const target = collapsedAncestors.get(edge.target) ?? edge.target
+    if (source === target) {
+      return
+    }
+
+    if (source === edge.source && target === edge.target) {
+      visibleEdges.push(edge)
+      return
+    }
+
+    const key = `${source}->${target}`
+    if (seen.has(key)) {
+      return
+    }
+    seen.add(key)
+    visibleEdges.push({
+      ...edge,
+      source,
+      target,
+      sourceHandle: source === edge.source ? edge.sourceHandle : undefined,
+      targetHandle: target === edge.target ? edge.targetHandle : undefined,
+      data: { ...edge.data, rerouted: true },
+    })
+  })
+
+  return { nodes: visibleNodes, edges: visibleEdges }
+}
@@ -0,0 +1,142 @@
+/**
+ * 布局约束
+ * 节点可以在 data 中声明布局提示，布局引擎据此调整结果：
+ * - pinned: true —— 固定在当前位置，其余节点整体平移以尽量保持与它的相对位置（所有引擎）
+ * - rank: number —— 放在第 rank 层（从 0 开始，沿布局方向计数）（Dagre）
+ * - sameRankAs: string —— 与指定 ID 的节点放在同一层（Dagre）
+ * - order: number —— 在所在层中的顺序，数值小的靠前（Dagre）
+ * - collapsed: true —— 分组折叠，按固定尺寸参与布局（compound），见 compound.js
+ */
+
+import { isHorizontal } from "./direction"
+
+// 布局提示字段，Worker 中只需要 data 里的这些字段
+export const LAYOUT_HINT_KEYS = ["pinned", "rank", "sameRankAs", "order", "collapsed"]
+
+/**
+ * 按层级约束调整节点中心点
+ * 带 rank 或 sameRankAs 的节点移动到对应层；受影响的层（有节点移入或声明了 order）按顺序在层内重新排列，
+ * 保持该层原来的中心，相邻节点间隔 nodesep；其他层保持不变
+ * @param {Array} nodes - 节点数组
+ * @param {Map<string, {x: number, y: number}>} centers - 布局得到的节点中心点
+ * @param {Map<string, {width: number, height: number}>} sizes - 节点尺寸
+ * @param {Object} options - 布局选项
+ * @param {string} options.direction - 布局方向，默认 "TB"
+ * @param {number} options.ranksep - 层级间距，默认 50
+ * @param {number} options.nodesep - 同一层级内的节点间距，默认 50
+ * @returns {Map<string, {x: number, y: number}>} 调整后的节点中心点
+ */
+export function applyRankConstraints(nodes, centers, sizes, options = {}) {
+  const { direction = "TB", ranksep = 50, nodesep = 50 } = options
+  const hints = new Map(nodes.map((node) => [node.id, node.data ?? {}]))
+
+  if (![...hints.values()].some((hint) => hint.rank != null || hint.sameRankAs != null || hint.order != null)) {
+    return centers
+  }
+
+  const horizontal = isHorizontal(direction)
+  const reversed = direction === "BT" || direction === "RL"
+  const rankAxis = horizontal ? "x" : "y"
+  const crossAxis = horizontal ? "y" : "x"
+  const getCrossSize = (id) => (horizontal ? sizes.get(id).height : sizes.get(id).width)
+  const result = new Map([...centers].map(([id, center]) => [id, { ...center }]))
+
+  // 现有各层的坐标（同一层节点的中心坐标相同），按布局方向排序
+  const layers = [...new Set([...centers.values()].map((center) => center[rankAxis]))].sort((a, b) =>
+    reversed ? b - a : a - b
+  )
+  const maxRankSize = Math.max(...[...sizes.values()].map((size) => (horizontal ? size.width : size.height)))
+  const layerStep =
+    layers.length > 1
+      ? (layers[layers.length - 1] - layers[0]) / (layers.length - 1)
+      : (ranksep + maxRankSize) * (reversed ? -1 : 1)
+  // 超出现有层数时按平均层距向后延伸
+  const getLayerCoordinate = (rank) =>
+    rank < layers.length ? layers[rank] : layers[layers.length - 1] + (rank - layers.length + 1) * layerStep
+
+  const affected = new Set()
+  const moveTo = (id, coordinate) => {
+    if (result.get(id)[rankAxis] !== coordinate) {
+      result.get(id)[rankAxis] = coordinate
+      affected.add(coordinate)
+    }
+  }
+
+  hints.forEach((hint, id) => {
+    if (Number.isFinite(hint.rank)) {
+      moveTo(id, getLayerCoordinate(Math.max(0, Math.round(hint.rank))))
+    }
+  })
+
+  // sameRankAs 可能成链，反复传播直到稳定
+  for (let pass = 0; pass < nodes.length; pass++) {
+    let changed = false
+    hints.forEach((hint, id) => {
+      const reference = result.get(hint.sameRankAs)
+      if (reference && reference[rankAxis] !== result.get(id)[rankAxis]) {
+        moveTo(id, reference[rankAxis])
+        changed = true
+      }
+    })
+    if (!changed) break
+  }
+
+  hints.forEach((hint, id) => {
+    if (Number.isFinite(hint.order)) {
+      affected.add(result.get(id)[rankAxis])
+    }
+  })
+
+  // 重新排列受影响的层：声明了 order 的节点按 order 排序，其余节点按原来的位置排在对应序号上
+  affected.forEach((coordinate) => {
+    const members = [...result]
+      .filter(([, center]) => center[rankAxis] === coordinate)
+      .sort(([, a], [, b]) => a[crossAxis] - b[crossAxis])
+      .map(([id], index) => ({ id, key: hints.get(id).order ?? index, ordered: hints.get(id).order != null }))
+      .sort((a, b) => a.key - b.key || b.ordered - a.ordered)
+
+    const total = members.reduce((sum, { id }) => sum + getCrossSize(id), 0) + nodesep * (members.length - 1)
+    const center = members.reduce((sum, { id }) => sum + result.get(id)[crossAxis], 0) / members.length
+    let start = center - total / 2
+    members.forEach(({ id }) => {
+      result.get(id)[crossAxis] = start + getCrossSize(id) / 2
+      start += getCrossSize(id) + nodesep
+    })
+  })
+
+  return result
+}
+
+/**
+ * 把固定（data.pinned）的节点放回当前位置
+ * 其余顶层节点按固定节点的平均位移整体平移，布局形状不变；子节点的位置相对父节点，不需要平移
+ * @param {Array} nodes - 布局前的节点数组
+ * @param {Array} layoutedNodes - 布局后的节点数组
+ * @returns {Array} 处理后的节点数组
+ */
+export function applyPinnedNodes(nodes, layoutedNodes) {
+  const pinned = new Map(nodes.filter((node) => node.data?.pinned && node.position).map((node) => [node.id, node]))
+
+  if (pinned.size === 0) {
+    return layoutedNodes
+  }
+
+  const anchors = layoutedNodes.filter((node) => pinned.has(node.id) && !node.parentId)
+  const offset = anchors.reduce(
+    (sum, node) => ({
+      x: sum.x + (pinned.get(node.id).position.x - node.position.x) / anchors.length,
+      y: sum.y + (pinned.get(node.id).position.y - node.position.y) / anchors.length,
+    }),
+    { x: 0, y: 0 }
+  )
+
+  return layoutedNodes.map((node) => {
+    if (pinned.has(node.id)) {
+      return { ...node, position: pinned.get(node.id).position }
+    }
+    if (node.parentId) {
+      return node
+    }
+    return { ...node, position: { x: node.position.x + offset.x, y: node.position.y + offset.y } }
+  })
+}
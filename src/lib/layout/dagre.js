@@ -0,0 +1,119 @@
+import dagre from "dagre"
+import { getHandlePositions } from "./direction"
+import { getNodeSize } from "./size"
+import { applyRankConstraints } from "./constraints"
+
+/**
+ * 运行 Dagre 布局
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项，见 dagreLayout
+ * @returns {{nodes: Array, getEdgePoints: Function}} 布局后的节点，以及获取边的折线控制点的函数
+ */
+const runDagre = (nodes, edges, options) => {
+  const { direction = "TB", ranksep = 50, nodesep = 50 } = options
+
+  if (!nodes || nodes.length === 0) {
+    return { nodes: [], getEdgePoints: () => null }
+  }
+
+  // 创建 Dagre 图实例
+  const dagreGraph = new dagre.graphlib.Graph()
+  dagreGraph.setDefaultEdgeLabel(() => ({}))
+  dagreGraph.setGraph({ rankdir: direction, ranksep, nodesep })
+
+  nodes.forEach((node) => {
+    dagreGraph.setNode(node.id, getNodeSize(node, options))
+  })
+
+  // 忽略端点不在节点列表中的边，否则 Dagre 会为它们创建没有尺寸的节点
+  edges.forEach((edge) => {
+    if (dagreGraph.hasNode(edge.source) && dagreGraph.hasNode(edge.target)) {
+      dagreGraph.setEdge(edge.source, edge.target)
+    }
+  })
+
+  dagre.layout(dagreGraph)
+
+  // 按 data 中的层级约束调整节点中心点（Dagre 节点同时包含中心点和尺寸）
+  const dagreNodes = new Map(nodes.map((node) => [node.id, dagreGraph.node(node.id)]))
+  const centers = applyRankConstraints(nodes, dagreNodes, dagreNodes, { direction, ranksep, nodesep })
+
+  const handlePositions = getHandlePositions(direction)
+
+  const layoutedNodes = nodes.map((node) => {
+    const { x, y } = centers.get(node.id)
+    const { width, height } = dagreNodes.get(node.id)
+
+    // Dagre 计算的是节点中心点，React Flow 的位置是左上角
+    return {
+      ...node,
+      position: {
+        x: x - width / 2,
+        y: y - height / 2,
+      },
+      ...handlePositions,
+    }
+  })
+
+  // 被层级约束移动过的节点，Dagre 计算的边路线已经不再适用
+  const movedIds = new Set(
+    nodes
+      .filter((node) => {
+        const center = centers.get(node.id)
+        const dagreNode = dagreNodes.get(node.id)
+        return center.x !== dagreNode.x || center.y !== dagreNode.y
+      })
+      .map((node) => node.id)
+  )
+
+  const getEdgePoints = (edge) => {
+    if (movedIds.has(edge.source) || movedIds.has(edge.target) || !dagreGraph.hasEdge(edge.source, edge.target)) {
+      return null
+    }
+    return dagreGraph.edge(edge.source, edge.target).points.map(({ x, y }) => ({ x, y }))
+  }
+
+  return { nodes: layoutedNodes, getEdgePoints }
+}
+
+/**
+ * Dagre 分层布局引擎
+ * 不修改传入的节点，返回带有新位置和连接点位置的节点副本
+ * 节点尺寸使用 React Flow 的测量值（node.measured），未测量时使用 nodeWidth/nodeHeight
+ * 支持 data 中的层级约束（rank、sameRankAs、order），见 constraints.js
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项
+ * @param {string} options.direction - 布局方向，默认 "TB"
+ * @param {number} options.nodeWidth - 未测量节点的宽度，默认 150
+ * @param {number} options.nodeHeight - 未测量节点的高度，默认 50
+ * @param {number} options.ranksep - 层级间距，默认 50
+ * @param {number} options.nodesep - 同一层级内的节点间距，默认 50
+ * @returns {Array} 布局后的节点数组
+ */
+export function dagreLayout(nodes, edges, options = {}) {
+  return runDagre(nodes, edges, options).nodes
+}
+
+/**
+ * Dagre 布局，同时返回边的路线
+ * Dagre 为每条边计算了绕开节点的折线控制点（跨越多层的边经过中间层的空位），
+ * 写入边的 data.points（绝对坐标，首尾为节点边界上的点），可以用 RoutedEdge 渲染；
+ * 同一对节点之间的多条边共用一条路线，端点被层级约束移动过的边没有 points
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项，与 dagreLayout 相同
+ * @returns {{nodes: Array, edges: Array}} 布局后的节点和带路线的边
+ */
+export function dagreLayoutWithEdges(nodes, edges, options = {}) {
+  const { nodes: layoutedNodes, getEdgePoints } = runDagre(nodes, edges, options)
+
+  return {
+    nodes: layoutedNodes,
+    edges: edges.map((edge) => {
+      const points = getEdgePoints(edge)
+      return points ? { ...edge, data: { ...edge.data, points } } : edge
+    }),
+  }
+}
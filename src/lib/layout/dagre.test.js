@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest"
+import { Position } from "@xyflow/react"
+import { dagreLayout } from "./dagre"
+import { getHandlePositions, isHorizontal } from "./direction"
+
+// 一条链 a -> b，外加与 b 同层的 c
+const nodes = [
+  { id: "a", data: {}, position: { x: 0, y: 0 } },
+  { id: "b", data: {}, position: { x: 0, y: 0 } },
+  { id: "c", data: {}, position: { x: 0, y: 0 } },
+]
+const edges = [
+  { id: "a-b", source: "a", target: "b" },
+  { id: "a-c", source: "a", target: "c" },
+]
+
+const byId = (layouted) => Object.fromEntries(layouted.map((node) => [node.id, node]))
+
+describe("getHandlePositions", () => {
+  it.each([
+    ["TB", Position.Top, Position.Bottom],
+    ["BT", Position.Bottom, Position.Top],
+    ["LR", Position.Left, Position.Right],
+    ["RL", Position.Right, Position.Left],
+  ])("%s", (direction, targetPosition, sourcePosition) => {
+    expect(getHandlePositions(direction)).toEqual({ targetPosition, sourcePosition })
+  })
+
+  it("未知方向按 TB 处理", () => {
+    expect(getHandlePositions("XX")).toEqual(getHandlePositions("TB"))
+  })
+
+  it("isHorizontal", () => {
+    expect(["TB", "BT", "LR", "RL"].map(isHorizontal)).toEqual([false, false, true, true])
+  })
+})
+
+describe("dagreLayout", () => {
+  it.each(["TB", "BT", "LR", "RL"])("%s 方向设置连接点并沿该方向排列层级", (direction) => {
+    const { a, b } = byId(dagreLayout(nodes, edges, { direction }))
+    expect(a).toMatchObject(getHandlePositions(direction))
+    expect(b).toMatchObject(getHandlePositions(direction))
+
+    const axis = isHorizontal(direction) ? "x" : "y"
+    const sign = direction === "TB" || direction === "LR" ? 1 : -1
+    expect(Math.sign(b.position[axis] - a.position[axis])).toBe(sign)
+  })
+
+  it("使用 ranksep 和 nodesep", () => {
+    const { a, b, c } = byId(dagreLayout(nodes, edges, { direction: "TB", ranksep: 80, nodesep: 30 }))
+    // 默认尺寸 150x50
+    expect(b.position.y - (a.position.y + 50)).toBe(80)
+    expect(b.position.y).toBe(c.position.y)
+    expect(Math.abs(c.position.x - b.position.x) - 150).toBe(30)
+  })
+
+  it("未测量的节点使用 nodeWidth/nodeHeight，测量过的节点使用测量尺寸", () => {
+    const measured = [{ ...nodes[0], measured: { width: 300, height: 100 } }, nodes[1]]
+    const { a, b } = byId(dagreLayout(measured, edges, { ranksep: 40, nodeWidth: 80, nodeHeight: 20 }))
+    expect(b.position.y - (a.position.y + 100)).toBe(40)
+    // 两个节点中心对齐
+    expect(a.position.x + 150).toBe(b.position.x + 40)
+  })
+
+  it("不修改传入的节点", () => {
+    const input = structuredClone(nodes)
+    const layouted = dagreLayout(input, edges)
+    expect(input).toEqual(nodes)
+    layouted.forEach((node, index) => expect(node).not.toBe(input[index]))
+  })
+
+  it("忽略端点不存在的边，空图返回空数组", () => {
+    const layouted = dagreLayout(nodes, [...edges, { id: "x", source: "a", target: "missing" }])
+    expect(layouted.map((node) => node.id)).toEqual(["a", "b", "c"])
+    expect(dagreLayout([], edges)).toEqual([])
+  })
+})
@@ -0,0 +1,38 @@
+import { Position } from "@xyflow/react"
+
+/**
+ * 布局方向
+ * TB: 从上到下, BT: 从下到上, LR: 从左到右, RL: 从右到左
+ */
+export const LayoutDirection = {
+  TB: "TB",
+  BT: "BT",
+  LR: "LR",
+  RL: "RL",
+}
+
+// 各方向上节点的输入/输出连接点位置
+const HANDLE_POSITIONS = {
+  TB: { targetPosition: Position.Top, sourcePosition: Position.Bottom },
+  BT: { targetPosition: Position.Bottom, sourcePosition: Position.Top },
+  LR: { targetPosition: Position.Left, sourcePosition: Position.Right },
+  RL: { targetPosition: Position.Right, sourcePosition: Position.Left },
+}
+
+/**
+ * 根据布局方向获取连接点位置
+ * @param {string} direction - 布局方向，未知方向按 TB 处理
+ * @returns {{targetPosition: string, sourcePosition: string}} 输入和输出连接点的位置
+ */
+export function getHandlePositions(direction) {
+  return HANDLE_POSITIONS[direction] || HANDLE_POSITIONS.TB
+}
+
+/**
+ * 判断布局方向是否为水平方向
+ * @param {string} direction - 布局方向
+ * @returns {boolean} LR 或 RL 时为 true
+ */
+export function isHorizontal(direction) {
+  return direction === LayoutDirection.LR || direction === LayoutDirection.RL
+}
@@ -0,0 +1,190 @@
+import ELK from "elkjs/lib/elk-api"
+import elkWorkerUrl from "elkjs/lib/elk-worker.min.js?url"
+import { getHandlePositions } from "./direction"
+import { getNodeSize } from "./size"
+
+// 布局方向对应的 ELK 方向
+const ELK_DIRECTIONS = {
+  TB: "DOWN",
+  BT: "UP",
+  LR: "RIGHT",
+  RL: "LEFT",
+}
+
+// 布局方向上输入端口（target）所在的边，输出端口（source）在对边
+const TARGET_PORT_SIDES = {
+  TB: { target: "NORTH", source: "SOUTH" },
+  BT: { target: "SOUTH", source: "NORTH" },
+  LR: { target: "WEST", source: "EAST" },
+  RL: { target: "EAST", source: "WEST" },
+}
+
+// 分组节点内边距
+const GROUP_PADDING = "[top=40,left=20,bottom=20,right=20]"
+
+// ELK 实例在第一次布局时创建，布局计算在 Web Worker 中进行，不阻塞页面
+let elk = null
+
+const getElk = () => {
+  if (!elk) {
+    elk = new ELK({ workerUrl: elkWorkerUrl })
+  }
+  return elk
+}
+
+/**
+ * 默认的端口获取方式：按边中出现的顺序收集节点的连接点 ID
+ * @param {Array} edges - 边数组
+ * @returns {Function} (node) => { target: string[], source: string[] }
+ */
+const getPortsFromEdges = (edges) => {
+  const ports = new Map()
+  const add = (nodeId, type, handleId) => {
+    if (handleId == null) return
+    if (!ports.has(nodeId)) ports.set(nodeId, { target: [], source: [] })
+    const list = ports.get(nodeId)[type]
+    if (!list.includes(handleId)) list.push(handleId)
+  }
+
+  edges.forEach((edge) => {
+    add(edge.source, "source", edge.sourceHandle)
+    add(edge.target, "target", edge.targetHandle)
+  })
+
+  return (node) => ports.get(node.id) || { target: [], source: [] }
+}
+
+/**
+ * 生成 ELK 端口 ID（在整张图中唯一）
+ * @param {string} nodeId - 节点 ID
+ * @param {string} type - "source" 或 "target"
+ * @param {string} handleId - 连接点 ID
+ * @returns {string} 端口 ID
+ */
+const getPortId = (nodeId, type, handleId) => `${nodeId}:${type}:${handleId}`
+
+/**
+ * ELK 分层布局引擎（异步）
+ * - 连接点（handle）作为 ELK 端口参与布局，端口按固定顺序排列在节点两侧，减少边交叉
+ * - 边按正交路线布局
+ * - 带有 parentId 的节点作为分组的子节点递归布局，分组尺寸由子节点决定
+ * 不修改传入的节点；子节点的位置相对于父节点，与 React Flow 的子流程一致
+ * @param {Array} nodes - 节点数组，父节点需排在子节点之前
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项
+ * @param {string} options.direction - 布局方向，默认 "TB"
+ * @param {number} options.nodeWidth - 未测量节点的宽度，默认 150
+ * @param {number} options.nodeHeight - 未测量节点的高度，默认 50
+ * @param {number} options.ranksep - 层级间距，默认 50
+ * @param {number} options.nodesep - 同一层级内的节点间距，默认 50
+ * @param {Function} options.getPorts - 获取节点端口顺序 (node) => { target: string[], source: string[] }，默认按边中出现的顺序
+ * @returns {Promise<Array>} 布局后的节点数组
+ */
+export async function elkLayout(nodes, edges, options = {}) {
+  const { direction = "TB", ranksep = 50, nodesep = 50, getPorts = getPortsFromEdges(edges) } = options
+
+  if (!nodes || nodes.length === 0) {
+    return []
+  }
+
+  const portSides = TARGET_PORT_SIDES[direction] || TARGET_PORT_SIDES.TB
+  const nodeIds = new Set(nodes.map((node) => node.id))
+  const parentIds = new Set(nodes.filter((node) => nodeIds.has(node.parentId)).map((node) => node.parentId))
+
+  // 构建 ELK 节点，分组节点的尺寸由 ELK 根据子节点计算
+  const elkNodes = new Map(
+    nodes.map((node) => {
+      const { target, source } = getPorts(node)
+      const ports = [
+        ...target.map((handleId, index) => ({ type: "target", handleId, index })),
+        ...source.map((handleId, index) => ({ type: "source", handleId, index })),
+      ].map(({ type, handleId, index }) => ({
+        id: getPortId(node.id, type, handleId),
+        width: 8,
+        height: 8,
+        layoutOptions: {
+          "elk.port.side": portSides[type],
+          "elk.port.index": String(index),
+        },
+      }))
+
+      const isGroup = parentIds.has(node.id)
+      return [
+        node.id,
+        {
+          id: node.id,
+          ...(isGroup ? {} : getNodeSize(node, options)),
+          ports,
+          children: [],
+          layoutOptions: {
+            "elk.portConstraints": "FIXED_ORDER",
+            ...(isGroup && { "elk.padding": GROUP_PADDING }),
+          },
+        },
+      ]
+    })
+  )
+
+  // 按 parentId 组装层级
+  const rootChildren = []
+  nodes.forEach((node) => {
+    const parent = elkNodes.get(node.parentId)
+    if (parent) {
+      parent.children.push(elkNodes.get(node.id))
+    } else {
+      rootChildren.push(elkNodes.get(node.id))
+    }
+  })
+
+  // 边连接到端口；getPorts 没有列出的连接点直接连接到节点
+  const portIds = new Set([...elkNodes.values()].flatMap((elkNode) => elkNode.ports.map((port) => port.id)))
+  const getEndpoint = (nodeId, type, handleId) => {
+    const portId = getPortId(nodeId, type, handleId)
+    return portIds.has(portId) ? portId : nodeId
+  }
+
+  const graph = {
+    id: "root",
+    layoutOptions: {
+      "elk.algorithm": "layered",
+      "elk.direction": ELK_DIRECTIONS[direction] || ELK_DIRECTIONS.TB,
+      "elk.edgeRouting": "ORTHOGONAL",
+      "elk.hierarchyHandling": "INCLUDE_CHILDREN",
+      "elk.spacing.nodeNode": String(nodesep),
+      "elk.layered.spacing.nodeNodeBetweenLayers": String(ranksep),
+    },
+    children: rootChildren,
+    edges: edges
+      .filter((edge) => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+      .map((edge) => ({
+        id: edge.id,
+        sources: [getEndpoint(edge.source, "source", edge.sourceHandle)],
+        targets: [getEndpoint(edge.target, "target", edge.targetHandle)],
+      })),
+  }
+
+  const layouted = await getElk().layout(graph)
+
+  // 展开结果中的层级，ELK 中子节点坐标同样相对于父节点
+  const results = new Map()
+  const collect = (elkNode) => {
+    elkNode.children?.forEach((child) => {
+      results.set(child.id, child)
+      collect(child)
+    })
+  }
+  collect(layouted)
+
+  const handlePositions = getHandlePositions(direction)
+
+  return nodes.map((node) => {
+    const { x, y, width, height } = results.get(node.id)
+    return {
+      ...node,
+      position: { x, y },
+      ...handlePositions,
+      // 分组节点使用 ELK 计算出的尺寸
+      ...(parentIds.has(node.id) && { width, height }),
+    }
+  })
+}
@@ -0,0 +1,49 @@
+/**
+ * 布局引擎注册表
+ * 在同步引擎（见 syncEngines.js，布局 Worker 只使用这些）的基础上加入 ELK 和自定义引擎
+ */
+
+import { elkLayout } from "./elk"
+import { SYNC_LAYOUT_ENGINES, runLayoutEngine } from "./syncEngines"
+
+// 已注册的布局引擎：名称 -> 引擎函数
+const layoutEngines = {
+  ...SYNC_LAYOUT_ENGINES,
+  elk: elkLayout,
+}
+
+/**
+ * 注册布局引擎
+ * @param {string} name - 引擎名称
+ * @param {Function} engine - 引擎函数 (nodes, edges, options) => 布局后的节点
+ */
+export function registerLayoutEngine(name, engine) {
+  layoutEngines[name] = engine
+}
+
+/**
+ * 获取布局引擎
+ * @param {string|Function} engine - 引擎名称或引擎函数
+ * @returns {Function} 引擎函数
+ */
+export function getLayoutEngine(engine) {
+  const layout = typeof engine === "function" ? engine : layoutEngines[engine]
+  if (!layout) {
+    throw new Error(`Unknown layout engine: ${engine}`)
+  }
+  return layout
+}
+
+/**
+ * 计算节点布局
+ * 引擎返回后把固定（data.pinned）的节点放回原位，其余节点随之整体平移
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项，除 engine 外都会传给引擎
+ * @param {string|Function} options.engine - 布局引擎，默认 "dagre"
+ * @param {string} options.direction - 布局方向：TB、BT、LR、RL
+ * @returns {Array|Promise<Array>} 布局后的节点数组，异步引擎返回 Promise
+ */
+export function layoutNodes(nodes, edges, { engine = "dagre", ...options } = {}) {
+  return runLayoutEngine(getLayoutEngine(engine), nodes, edges, options)
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it, vi } from "vitest"
+import { getLayoutEngine, layoutNodes, registerLayoutEngine } from "./engines"
+import { dagreLayout } from "./dagre"
+
+const nodes = [
+  { id: "a", data: {}, position: { x: 0, y: 0 } },
+  { id: "b", data: {}, position: { x: 0, y: 0 } },
+]
+const edges = [{ id: "a-b", source: "a", target: "b" }]
+
+describe("layoutNodes", () => {
+  it("默认使用 dagre", () => {
+    expect(layoutNodes(nodes, edges)).toEqual(dagreLayout(nodes, edges))
+  })
+
+  it("按名称调用注册的引擎，engine 以外的选项传给引擎", () => {
+    const engine = vi.fn((input) => input.map((node, index) => ({ ...node, position: { x: index, y: 0 } })))
+    registerLayoutEngine("test-line", engine)
+
+    const layouted = layoutNodes(nodes, edges, { engine: "test-line", direction: "LR", spacing: 10 })
+    expect(engine).toHaveBeenCalledWith(nodes, edges, { direction: "LR", spacing: 10 })
+    expect(layouted.map((node) => node.position)).toEqual([
+      { x: 0, y: 0 },
+      { x: 1, y: 0 },
+    ])
+    expect(getLayoutEngine("test-line")).toBe(engine)
+  })
+
+  it("可以直接传入引擎函数", () => {
+    const engine = vi.fn(() => nodes)
+    layoutNodes(nodes, edges, { engine })
+    expect(engine).toHaveBeenCalledOnce()
+  })
+
+  it("异步引擎返回 Promise", async () => {
+    registerLayoutEngine("test-async", async (input) => input.map((node) => ({ ...node, position: { x: 5, y: 5 } })))
+    const layouted = await layoutNodes(nodes, edges, { engine: "test-async" })
+    expect(layouted.every((node) => node.position.x === 5)).toBe(true)
+  })
+
+  it("未知引擎抛出错误", () => {
+    expect(() => layoutNodes(nodes, edges, { engine: "missing" })).toThrow("Unknown layout engine: missing")
+  })
+})
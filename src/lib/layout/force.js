@@ -0,0 +1,331 @@
+import { useEffect, useRef, useCallback } from "react"
+import { forceSimulation, forceLink, forceManyBody, forceCollide, forceX, forceY } from "d3-force"
+import { timer } from "d3-timer"
+import { getHandlePositions } from "./direction"
+import { getNodeSize } from "./size"
+import { useMotion } from "./motion"
+
+// 力导向布局的默认参数
+export const DEFAULT_FORCE_OPTIONS = {
+  charge: -300, // 节点之间的斥力（负数为斥力）
+  linkDistance: 120, // 边的理想长度
+  collisionRadius: 80, // 节点的碰撞半径
+}
+
+// 静态布局时模拟的迭代次数
+const STATIC_ITERATIONS = 300
+
+/**
+ * 将节点转换为模拟节点（以节点中心为坐标）
+ * @param {Object} node - React Flow 节点
+ * @param {Object} options - 布局选项，提供未测量节点的默认尺寸
+ * @returns {Object} d3-force 模拟节点
+ */
+const toSimulationNode = (node, options) => {
+  const { width, height } = getNodeSize(node, options)
+  return {
+    id: node.id,
+    width,
+    height,
+    x: (node.position?.x ?? 0) + width / 2,
+    y: (node.position?.y ?? 0) + height / 2,
+  }
+}
+
+/**
+ * 创建模拟中使用的力
+ * @param {Object} simulation - d3-force 模拟
+ * @param {Array} links - 模拟中的边
+ * @param {Object} options - 力的参数
+ */
+const applyForces = (simulation, links, { charge, linkDistance, collisionRadius }) => {
+  simulation
+    .force(
+      "link",
+      forceLink(links)
+        .id((node) => node.id)
+        .distance(linkDistance)
+    )
+    .force("charge", forceManyBody().strength(charge))
+    .force("collide", forceCollide(collisionRadius))
+    // 较弱的向心力，避免不连通的部分飘远
+    .force("x", forceX(0).strength(0.05))
+    .force("y", forceY(0).strength(0.05))
+}
+
+/**
+ * 过滤出两端都在模拟中的边
+ * @param {Array} edges - 边数组
+ * @param {Set} nodeIds - 模拟中的节点 ID
+ * @returns {Array} d3-force 边
+ */
+const toSimulationLinks = (edges, nodeIds) =>
+  edges
+    .filter((edge) => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+    .map((edge) => ({ source: edge.source, target: edge.target }))
+
+/**
+ * 力导向布局引擎（静态）
+ * 同步运行固定次数的模拟迭代后返回结果，适合一次性布局；需要实时模拟时使用 useForceSimulation
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项
+ * @param {string} options.direction - 布局方向，只影响连接点位置
+ * @param {number} options.charge - 节点之间的斥力，默认 -300
+ * @param {number} options.linkDistance - 边的理想长度，默认 120
+ * @param {number} options.collisionRadius - 节点的碰撞半径，默认 80
+ * @returns {Array} 布局后的节点数组
+ */
+export function forceLayout(nodes, edges, options = {}) {
+  if (!nodes || nodes.length === 0) {
+    return []
+  }
+
+  const simulationNodes = nodes.map((node) => toSimulationNode(node, options))
+  const simulation = forceSimulation(simulationNodes).stop()
+  applyForces(simulation, toSimulationLinks(edges, new Set(nodes.map((node) => node.id))), {
+    ...DEFAULT_FORCE_OPTIONS,
+    ...options,
+  })
+  simulation.tick(STATIC_ITERATIONS)
+
+  const handlePositions = getHandlePositions(options.direction)
+
+  return nodes.map((node, index) => {
+    const { x, y, width, height } = simulationNodes[index]
+    return {
+      ...node,
+      position: { x: x - width / 2, y: y - height / 2 },
+      ...handlePositions,
+    }
+  })
+}
+
+/**
+ * 自定义 Hook：实时力导向模拟
+ * 使用 d3-timer 逐帧推进模拟并更新节点位置；拖拽过的节点会被固定在放下的位置。
+ * 节点或边增减、参数变化时重新加热模拟，节点从当前位置继续移动。
+ * 全局设置减弱或关闭动画（见 useMotion）时不逐帧播放：同步推进模拟直到冷却，只更新一次节点；
+ * 拖拽期间其他节点不跟随，放下后同样一次性得到稳定的结果
+ * @param {Array} nodes - 当前节点数组
+ * @param {Array} edges - 边数组
+ * @param {Function} setNodes - 更新节点的函数
+ * @param {Object} options - 模拟参数
+ * @param {boolean} options.enabled - 是否运行模拟
+ * @param {number} options.charge - 节点之间的斥力
+ * @param {number} options.linkDistance - 边的理想长度
+ * @param {number} options.collisionRadius - 节点的碰撞半径
+ * @returns {{onNodeDragStart: Function, onNodeDrag: Function, onNodeDragStop: Function, unpinAll: Function}} 传给 ReactFlow 的拖拽回调
+ */
+export function useForceSimulation(nodes, edges, setNodes, options = {}) {
+  const {
+    enabled = true,
+    charge = DEFAULT_FORCE_OPTIONS.charge,
+    linkDistance = DEFAULT_FORCE_OPTIONS.linkDistance,
+    collisionRadius = DEFAULT_FORCE_OPTIONS.collisionRadius,
+  } = options
+
+  const simulationRef = useRef(null)
+  const timerRef = useRef(null)
+  const currentNodesRef = useRef(nodes)
+  const currentEdgesRef = useRef(edges)
+  const pinnedRef = useRef(new Map()) // 被固定的节点：ID -> 中心点 { x, y }
+  const motion = useMotion()
+  const motionRef = useRef(motion)
+
+  // 同步更新当前节点和边的引用
+  useEffect(() => {
+    currentNodesRef.current = nodes
+    currentEdgesRef.current = edges
+  }, [nodes, edges])
+
+  const stopTimer = useCallback(() => {
+    if (timerRef.current) {
+      timerRef.current.stop()
+      timerRef.current = null
+    }
+  }, [])
+
+  // 把模拟的当前位置写回节点
+  const renderSimulation = useCallback(
+    (simulation) => {
+      const positions = new Map(simulation.nodes().map((node) => [node.id, node]))
+
+      setNodes((nds) =>
+        nds.map((node) => {
+          const simulationNode = positions.get(node.id)
+          // 正在拖拽的节点由 React Flow 更新位置
+          if (!simulationNode || node.dragging) {
+            return node
+          }
+          return {
+            ...node,
+            position: {
+              x: simulationNode.x - simulationNode.width / 2,
+              y: simulationNode.y - simulationNode.height / 2,
+            },
+          }
+        })
+      )
+    },
+    [setNodes]
+  )
+
+  // 逐帧推进模拟，模拟冷却后停止
+  const startTimer = useCallback(() => {
+    if (timerRef.current) {
+      return
+    }
+
+    timerRef.current = timer(() => {
+      const simulation = simulationRef.current
+      if (!simulation || simulation.alpha() < simulation.alphaMin()) {
+        stopTimer()
+        return
+      }
+
+      simulation.tick()
+      renderSimulation(simulation)
+    })
+  }, [renderSimulation, stopTimer])
+
+  // 同步推进模拟直到冷却（alpha 降到 alphaMin 以下），只更新一次节点
+  const settle = useCallback(() => {
+    const simulation = simulationRef.current
+    if (!simulation) {
+      return
+    }
+    stopTimer()
+    simulation.alphaTarget(0)
+    if (simulation.alpha() >= simulation.alphaMin()) {
+      const ticks = Math.log(simulation.alphaMin() / simulation.alpha()) / Math.log(1 - simulation.alphaDecay())
+      simulation.tick(Math.ceil(ticks))
+    }
+    renderSimulation(simulation)
+  }, [renderSimulation, stopTimer])
+
+  // 完整动画时逐帧播放，否则直接跳到稳定的结果
+  const run = useCallback(() => {
+    if (motionRef.current === "full") {
+      startTimer()
+    } else {
+      settle()
+    }
+  }, [startTimer, settle])
+
+  // 播放中切换为减弱或关闭动画时，直接跳到稳定的结果
+  useEffect(() => {
+    motionRef.current = motion
+    if (motion !== "full" && timerRef.current) {
+      settle()
+    }
+  }, [motion, settle])
+
+  // 节点或边的集合变化时重建模拟（位置从当前节点读取）
+  const nodeIdsKey = nodes.map((node) => node.id).join(",")
+  const edgesKey = edges.map((edge) => `${edge.source}-${edge.target}`).join(",")
+
+  useEffect(() => {
+    if (!enabled) {
+      stopTimer()
+      simulationRef.current = null
+      pinnedRef.current.clear()
+      return
+    }
+
+    const simulationNodes = currentNodesRef.current.map((node) => {
+      const simulationNode = toSimulationNode(node)
+      const pinned = pinnedRef.current.get(node.id)
+      return pinned ? { ...simulationNode, fx: pinned.x, fy: pinned.y } : simulationNode
+    })
+
+    // 力在下面的 effect 中设置，随后开始模拟
+    simulationRef.current = forceSimulation(simulationNodes).stop()
+    // 节点集合与参数变化分别处理，这里只依赖集合的 key
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled, nodeIdsKey, edgesKey])
+
+  // 模拟重建或参数变化时更新力并重新加热
+  useEffect(() => {
+    const simulation = simulationRef.current
+    if (!enabled || !simulation) {
+      return
+    }
+
+    const nodeIds = new Set(simulation.nodes().map((node) => node.id))
+    const links = toSimulationLinks(currentEdgesRef.current, nodeIds)
+    applyForces(simulation, links, { charge, linkDistance, collisionRadius })
+    simulation.alpha(Math.max(simulation.alpha(), 0.5))
+    run()
+  }, [enabled, nodeIdsKey, edgesKey, charge, linkDistance, collisionRadius, run])
+
+  // 卸载时停止模拟
+  useEffect(() => stopTimer, [stopTimer])
+
+  /**
+   * 固定节点的中心点
+   * @param {Object} node - 被拖拽的节点
+   */
+  const pinNode = useCallback((node) => {
+    const simulationNode = simulationRef.current?.nodes().find((item) => item.id === node.id)
+    if (!simulationNode) {
+      return
+    }
+    simulationNode.fx = node.position.x + simulationNode.width / 2
+    simulationNode.fy = node.position.y + simulationNode.height / 2
+    pinnedRef.current.set(node.id, { x: simulationNode.fx, y: simulationNode.fy })
+  }, [])
+
+  // 拖拽时保持模拟运行，让其他节点跟随移动（减弱或关闭动画时其他节点不动）
+  const onNodeDragStart = useCallback(
+    (event, node) => {
+      if (!simulationRef.current) return
+      pinNode(node)
+      if (motionRef.current === "full") {
+        simulationRef.current.alphaTarget(0.3)
+        startTimer()
+      }
+    },
+    [pinNode, startTimer]
+  )
+
+  const onNodeDrag = useCallback(
+    (event, node) => {
+      if (!simulationRef.current) return
+      pinNode(node)
+    },
+    [pinNode]
+  )
+
+  // 放下后节点保持固定，模拟逐渐冷却；减弱或关闭动画时直接得到稳定的结果
+  const onNodeDragStop = useCallback(
+    (event, node) => {
+      if (!simulationRef.current) return
+      pinNode(node)
+      if (motionRef.current === "full") {
+        simulationRef.current.alphaTarget(0)
+      } else {
+        simulationRef.current.alpha(Math.max(simulationRef.current.alpha(), 0.3))
+        settle()
+      }
+    },
+    [pinNode, settle]
+  )
+
+  // 取消所有固定并重新加热
+  const unpinAll = useCallback(() => {
+    pinnedRef.current.clear()
+    const simulation = simulationRef.current
+    if (!simulation) {
+      return
+    }
+    simulation.nodes().forEach((node) => {
+      node.fx = null
+      node.fy = null
+    })
+    simulation.alpha(0.5)
+    run()
+  }, [run])
+
+  return { onNodeDragStart, onNodeDrag, onNodeDragStop, unpinAll }
+}
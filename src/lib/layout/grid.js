@@ -0,0 +1,101 @@
+import { getNodeSize } from "./size"
+
+/**
+ * 按连通分量对节点排序，同一分量的节点相邻，分量内保持原有顺序
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组（视为无向边）
+ * @returns {Array} 排序后的节点数组
+ */
+const sortByComponent = (nodes, edges) => {
+  // 并查集
+  const parent = new Map(nodes.map((node) => [node.id, node.id]))
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)))
+      id = parent.get(id)
+    }
+    return id
+  }
+
+  edges.forEach((edge) => {
+    if (parent.has(edge.source) && parent.has(edge.target)) {
+      parent.set(find(edge.source), find(edge.target))
+    }
+  })
+
+  // 分量按其第一个节点在原数组中的位置排序
+  const components = new Map()
+  nodes.forEach((node) => {
+    const root = find(node.id)
+    if (!components.has(root)) {
+      components.set(root, [])
+    }
+    components.get(root).push(node)
+  })
+
+  return [...components.values()].flat()
+}
+
+/**
+ * 网格布局引擎
+ * 把节点逐行放入网格，每列宽度取该列最宽的节点，每行高度取该行最高的节点，适合排列互不相连的节点；
+ * 相连的节点（同一连通分量）会排在相邻的格子中
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项
+ * @param {number} options.columns - 列数，默认取接近正方形的列数
+ * @param {number} options.nodesep - 列间距，默认 50
+ * @param {number} options.ranksep - 行间距，默认 50
+ * @returns {Array} 布局后的节点数组
+ */
+export function gridLayout(nodes, edges, options = {}) {
+  const { nodesep = 50, ranksep = 50 } = options
+
+  if (!nodes || nodes.length === 0) {
+    return []
+  }
+
+  const columns = Math.max(1, options.columns ?? Math.ceil(Math.sqrt(nodes.length)))
+  const ordered = sortByComponent(nodes, edges)
+  const sizes = new Map(nodes.map((node) => [node.id, getNodeSize(node, options)]))
+
+  // 各列宽度和各行高度
+  const columnWidths = []
+  const rowHeights = []
+  ordered.forEach((node, index) => {
+    const { width, height } = sizes.get(node.id)
+    const column = index % columns
+    const row = Math.floor(index / columns)
+    columnWidths[column] = Math.max(columnWidths[column] ?? 0, width)
+    rowHeights[row] = Math.max(rowHeights[row] ?? 0, height)
+  })
+
+  // 各列、各行的起点
+  const columnStarts = columnWidths.map((_, column) =>
+    columnWidths.slice(0, column).reduce((sum, width) => sum + width + nodesep, 0)
+  )
+  const rowStarts = rowHeights.map((_, row) =>
+    rowHeights.slice(0, row).reduce((sum, height) => sum + height + ranksep, 0)
+  )
+
+  // 节点在格子中居中
+  const positions = new Map(
+    ordered.map((node, index) => {
+      const { width, height } = sizes.get(node.id)
+      const column = index % columns
+      const row = Math.floor(index / columns)
+      return [
+        node.id,
+        {
+          x: columnStarts[column] + (columnWidths[column] - width) / 2,
+          y: rowStarts[row] + (rowHeights[row] - height) / 2,
+        },
+      ]
+    })
+  )
+
+  return nodes.map((node) => ({
+    ...node,
+    position: positions.get(node.id),
+  }))
+}
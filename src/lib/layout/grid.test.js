@@ -0,0 +1,58 @@
+import { describe, expect, it } from "vitest"
+import { gridLayout } from "./grid"
+import { createGraph, findOverlaps, positionsById } from "@/test/graph"
+
+describe("gridLayout", () => {
+  it("按接近正方形的列数逐行排列", () => {
+    const { nodes, edges } = createGraph(
+      ["r", "a", "b", "c", "d"],
+      [
+        ["r", "a"],
+        ["r", "b"],
+        ["a", "c"],
+      ]
+    )
+    expect(positionsById(gridLayout(nodes, edges))).toEqual({
+      r: { x: 0, y: 0 },
+      a: { x: 200, y: 0 },
+      b: { x: 400, y: 0 },
+      c: { x: 0, y: 100 },
+      d: { x: 200, y: 100 },
+    })
+  })
+
+  it("同一连通分量的节点排在相邻的格子中", () => {
+    const { nodes, edges } = createGraph(
+      ["a", "x", "b", "y"],
+      [
+        ["a", "b"],
+        ["x", "y"],
+      ]
+    )
+    const positions = positionsById(gridLayout(nodes, edges, { columns: 2 }))
+    expect(positions.a.y).toBe(positions.b.y)
+    expect(positions.x.y).toBe(positions.y.y)
+    expect(positions.x.y).toBeGreaterThan(positions.a.y)
+  })
+
+  it("列宽取最宽的节点，较小的节点在格子中居中", () => {
+    const { nodes } = createGraph(["a", "b", "c"], [])
+    nodes[0].measured = { width: 250, height: 90 }
+    const positions = positionsById(gridLayout(nodes, [], { columns: 2, nodesep: 10, ranksep: 20 }))
+    expect(positions.b).toEqual({ x: 260, y: 20 })
+    expect(positions.c).toEqual({ x: 50, y: 110 })
+  })
+
+  it("森林和孤立节点不重叠，结果是确定的", () => {
+    const { nodes, edges } = createGraph(
+      ["a", "b", "c", "d", "e", "f"],
+      [
+        ["a", "b"],
+        ["c", "d"],
+      ]
+    )
+    const layouted = gridLayout(nodes, edges)
+    expect(findOverlaps(layouted)).toEqual([])
+    expect(gridLayout(nodes, edges)).toEqual(layouted)
+  })
+})
@@ -0,0 +1,121 @@
+import { dagreLayout } from "./dagre"
+import { getHandlePositions, isHorizontal } from "./direction"
+import { getNodeSize } from "./size"
+
+/**
+ * 计算节点当前位置相对参考布局的平均偏移
+ * @param {Array<string>} ids - 节点 ID
+ * @param {Map} positions - 当前位置
+ * @param {Map} reference - 参考布局中的位置
+ * @returns {{x: number, y: number}} 平均偏移
+ */
+const averageOffset = (ids, positions, reference) => {
+  const sum = ids.reduce(
+    (total, id) => ({
+      x: total.x + positions.get(id).x - reference.get(id).x,
+      y: total.y + positions.get(id).y - reference.get(id).y,
+    }),
+    { x: 0, y: 0 }
+  )
+  return { x: sum.x / ids.length, y: sum.y / ids.length }
+}
+
+/**
+ * 增量布局引擎
+ * 已有节点保持当前位置，只为新节点计算位置：先用 Dagre 计算整张图作为参考，
+ * 新节点按参考布局中与相邻已放置节点的相对位置放到它们旁边，与其他节点重叠时沿同一层横向移动。
+ * 没有位置（position）的节点同样作为新节点放置；没有已放置的节点时等同于 Dagre 布局
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项，其余选项传给 Dagre
+ * @param {Array<string>} options.newNodeIds - 需要放置的新节点 ID，其余有位置的节点保持当前位置
+ * @param {string} options.direction - 布局方向，默认 "TB"
+ * @param {number} options.nodesep - 节点之间的最小间距，默认 50
+ * @returns {Array} 布局后的节点数组
+ */
+export function incrementalLayout(nodes, edges, options = {}) {
+  const { direction = "TB", nodesep = 50, newNodeIds = [] } = options
+
+  if (!nodes || nodes.length === 0) {
+    return []
+  }
+
+  // 没有位置的节点无法保持原位，同样作为新节点
+  const newIds = new Set([...newNodeIds, ...nodes.filter((node) => !node.position).map((node) => node.id)])
+  const placedIds = nodes.filter((node) => !newIds.has(node.id)).map((node) => node.id)
+  if (placedIds.length === 0) {
+    return dagreLayout(nodes, edges, options)
+  }
+
+  const reference = new Map(dagreLayout(nodes, edges, options).map((node) => [node.id, node.position]))
+  const sizes = new Map(nodes.map((node) => [node.id, getNodeSize(node, options)]))
+  const positions = new Map(nodes.filter((node) => !newIds.has(node.id)).map((node) => [node.id, node.position]))
+
+  // 相邻节点（不区分边的方向）
+  const neighbours = new Map(nodes.map((node) => [node.id, []]))
+  edges.forEach((edge) => {
+    if (neighbours.has(edge.source) && neighbours.has(edge.target)) {
+      neighbours.get(edge.source).push(edge.target)
+      neighbours.get(edge.target).push(edge.source)
+    }
+  })
+
+  // 从已放置的节点开始广度优先遍历，新节点的链条依次放在前一个节点旁边；不相连的新节点最后放置
+  const order = []
+  const visited = new Set(placedIds)
+  const queue = [...placedIds]
+  while (queue.length > 0) {
+    neighbours.get(queue.shift()).forEach((id) => {
+      if (!visited.has(id)) {
+        visited.add(id)
+        order.push(id)
+        queue.push(id)
+      }
+    })
+  }
+  nodes.forEach((node) => {
+    if (!visited.has(node.id)) {
+      order.push(node.id)
+    }
+  })
+
+  // 与已放置的节点保持 nodesep 间距
+  const overlaps = (id, position) => {
+    const { width, height } = sizes.get(id)
+    return [...positions].some(([otherId, other]) => {
+      const size = sizes.get(otherId)
+      return (
+        position.x < other.x + size.width + nodesep &&
+        other.x < position.x + width + nodesep &&
+        position.y < other.y + size.height + nodesep &&
+        other.y < position.y + height + nodesep
+      )
+    })
+  }
+
+  const horizontal = isHorizontal(direction)
+  const globalOffset = averageOffset(placedIds, positions, reference)
+
+  order.forEach((id) => {
+    const anchors = neighbours.get(id).filter((neighbourId) => positions.has(neighbourId))
+    const offset = anchors.length > 0 ? averageOffset(anchors, positions, reference) : globalOffset
+    const preferred = { x: reference.get(id).x + offset.x, y: reference.get(id).y + offset.y }
+
+    // 沿层内方向交替向两侧寻找空位
+    const step = (horizontal ? sizes.get(id).height : sizes.get(id).width) + nodesep
+    let position = preferred
+    for (let attempt = 1; overlaps(id, position); attempt++) {
+      const shift = Math.ceil(attempt / 2) * step * (attempt % 2 === 1 ? 1 : -1)
+      position = horizontal ? { x: preferred.x, y: preferred.y + shift } : { x: preferred.x + shift, y: preferred.y }
+    }
+    positions.set(id, position)
+  })
+
+  const handlePositions = getHandlePositions(direction)
+
+  return nodes.map((node) => ({
+    ...node,
+    position: positions.get(node.id),
+    ...handlePositions,
+  }))
+}
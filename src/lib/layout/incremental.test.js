@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest"
+import { incrementalLayout } from "./incremental"
+import { createGraph, findOverlaps, positionsById } from "@/test/graph"
+
+describe("incrementalLayout", () => {
+  const { nodes, edges } = createGraph(
+    ["a", "b", "c"],
+    [
+      ["a", "b"],
+      ["a", "c"],
+    ]
+  )
+  const placed = nodes.map((node, index) => ({ ...node, position: { x: index * 300, y: 500 } }))
+
+  it("已有节点保持位置，新节点放在相邻节点旁边且不重叠", () => {
+    const withNew = [...placed, { id: "d", data: {}, position: { x: 0, y: 0 } }]
+    const layouted = incrementalLayout(withNew, [...edges, { id: "a-d", source: "a", target: "d" }], {
+      newNodeIds: ["d"],
+    })
+    const positions = positionsById(layouted)
+
+    expect(positions.a).toEqual({ x: 0, y: 500 })
+    expect(positions.b).toEqual({ x: 300, y: 500 })
+    expect(positions.d.y).toBeGreaterThan(500)
+    expect(findOverlaps(layouted)).toEqual([])
+  })
+
+  it("没有位置的节点作为新节点放置", () => {
+    const withoutPosition = placed.map(({ position, ...node }) => (node.id === "c" ? node : { ...node, position }))
+    const layouted = incrementalLayout(withoutPosition, edges)
+    const positions = positionsById(layouted)
+
+    expect(positions.a).toEqual({ x: 0, y: 500 })
+    expect(positions.c).toEqual({ x: expect.any(Number), y: expect.any(Number) })
+    expect(findOverlaps(layouted)).toEqual([])
+  })
+})
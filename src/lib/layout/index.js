@@ -0,0 +1,43 @@
+/**
+ * 布局引擎
+ *
+ * 所有布局引擎都遵循同一个接口：`(nodes, edges, options) => 布局后的节点`
+ * - 同步引擎（dagre）直接返回节点数组，异步引擎（elk）返回 Promise，调用方可以统一使用 await
+ * - 不修改传入的节点，返回新的节点数组
+ * - options.direction 指定布局方向，引擎同时设置节点的 targetPosition/sourcePosition
+ * - 节点尺寸优先使用 React Flow 的测量值（node.measured），options.nodeWidth/nodeHeight 只用于未测量的节点
+ * - 其余选项（间距等）由各引擎自行定义
+ * - 节点可以在 data 中声明布局约束（pinned、rank、sameRankAs、order），见 constraints.js
+ *
+ * 案例通过 layoutNodes 调用引擎，可以传入引擎名称，也可以直接传入自定义的引擎函数。
+ * 力导向布局除了静态引擎外，还提供实时模拟的 useForceSimulation。
+ * 整洁树（tree）、径向树（radial）、环形（circular）和网格（grid）布局是确定性的，相同输入总是得到相同结果。
+ * 增量布局（incremental）保持已有节点的位置，只放置新节点。
+ * 分组布局（compound）在每个分组内部布局子节点并自动调整分组尺寸，collapseGroups 处理分组的折叠。
+ * 节点较多时使用 useLayoutWorker 在 Web Worker 中计算布局，避免阻塞页面。
+ * dagreLayoutWithEdges 同时返回边的路线，配合 RoutedEdge 渲染；RoutedEdge 也可以实时计算避开节点的正交路线。
+ * 布局结果可以用 useNodeAnimation 平滑过渡（缓动、弹簧、依次出发、进入/退出），见 animation.js；
+ * 过渡期间 MorphingEdge 让边随连接点方向平滑变形；
+ * 动画遵循全局动画设置和系统的“减弱动态效果”，见 motion.js；
+ * 大图案例共用的随机数生成器和帧率统计见 benchmark.js
+ */
+
+export { LayoutDirection, getHandlePositions, isHorizontal } from "./direction"
+export { DEFAULT_NODE_WIDTH, DEFAULT_NODE_HEIGHT, getNodeSize, getNodesSizeKey, useLayoutOnResize } from "./size"
+export { dagreLayout, dagreLayoutWithEdges } from "./dagre"
+export { elkLayout } from "./elk"
+export { DEFAULT_FORCE_OPTIONS, forceLayout, useForceSimulation } from "./force"
+export { buildForest, treeLayout, radialLayout } from "./tree"
+export { circularLayout } from "./circular"
+export { gridLayout } from "./grid"
+export { incrementalLayout } from "./incremental"
+export { compoundLayout, collapseGroups } from "./compound"
+export { LAYOUT_HINT_KEYS } from "./constraints"
+export { registerLayoutEngine, getLayoutEngine, layoutNodes } from "./engines"
+export { useLayoutWorker, isLayoutCancelled } from "./worker"
+export { getPolylinePath, getSplinePath, routeOrthogonal } from "./routing"
+export { default as RoutedEdge } from "./RoutedEdge"
+export { default as MorphingEdge } from "./MorphingEdge"
+export { EASINGS, createSpringEasing, createNodeTransition, useNodeAnimation } from "./animation"
+export { MOTION_PREFERENCES, getMotionNote, useMotion, useMotionPreference } from "./motion"
+export { createRandom, useFps } from "./benchmark"
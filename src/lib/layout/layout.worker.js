@@ -0,0 +1,20 @@
+/**
+ * 布局 Web Worker
+ * 在后台线程中运行内置的同步布局引擎（见 syncEngines.js），由 useLayoutWorker 创建和调用。
+ * 请求：{ id, engine, nodes, edges, options }，响应：{ id, nodes } 或 { id, error }
+ */
+
+import { SYNC_LAYOUT_ENGINES, runLayoutEngine } from "./syncEngines"
+
+self.onmessage = ({ data }) => {
+  const { id, engine, nodes, edges, options } = data
+  try {
+    const layout = SYNC_LAYOUT_ENGINES[engine]
+    if (!layout) {
+      throw new Error(`Unknown layout engine: ${engine}`)
+    }
+    self.postMessage({ id, nodes: runLayoutEngine(layout, nodes, edges, options) })
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * 动画偏好设置
+ * 全局设置保存在 localStorage 中，其他页面通过 storage 事件同步；
+ * 预览 iframe 运行在不透明源中，无法访问 localStorage，由宿主页面通过 postMessage 转发设置（见 setForwardedMotionPreference）：
+ * - system：跟随系统的“减弱动态效果”（prefers-reduced-motion）
+ * - full：完整动画
+ * - reduced：减弱动画，节点不移动，原地淡出后在新位置淡入
+ * - none：关闭动画，直接跳到结果
+ * 全局设置优先于案例中的“启用动画”开关：全局设置减弱或关闭动画时，案例不能再开启完整动画
+ */
+
+import { useSyncExternalStore } from "react"
+
+// localStorage 键名
+const STORAGE_KEY = "react-flow-examples:motion"
+
+// 同一页面内设置变化时触发的事件（storage 事件只在其他页面触发）
+const CHANGE_EVENT = "react-flow-examples:motion-change"
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)"
+
+// 宿主页面转发的设置，存在时代替 localStorage 中的设置
+let forwardedPreference = null
+
+// 全局动画设置选项
+export const MOTION_PREFERENCES = [
+  { value: "system", label: "跟随系统" },
+  { value: "full", label: "完整动画" },
+  { value: "reduced", label: "减弱动画" },
+  { value: "none", label: "关闭动画" },
+]
+
+// 全局设置不是完整动画时，案例在动画开关旁显示的说明
+const MOTION_NOTES = {
+  reduced: "全局设置为减弱动画：节点原地淡出，再在新位置淡入",
+  none: "全局设置已关闭动画",
+}
+
+/**
+ * 读取全局动画设置
+ * @returns {string} 设置值，见 MOTION_PREFERENCES，没有保存或读取失败时为 "system"
+ */
+export function getMotionPreference() {
+  if (forwardedPreference) {
+    return forwardedPreference
+  }
+  try {
+    const value = localStorage.getItem(STORAGE_KEY)
+    if (MOTION_PREFERENCES.some((preference) => preference.value === value)) {
+      return value
+    }
+  } catch (err) {
+    console.warn("Failed to read motion preference:", err)
+  }
+  return "system"
+}
+
+/**
+ * 保存全局动画设置，并通知当前页面
+ * @param {string} value - 设置值，见 MOTION_PREFERENCES
+ */
+export function setMotionPreference(value) {
+  try {
+    localStorage.setItem(STORAGE_KEY, value)
+  } catch (err) {
+    console.warn("Failed to save motion preference:", err)
+  }
+  window.dispatchEvent(new Event(CHANGE_EVENT))
+}
+
+/**
+ * 使用宿主页面转发的设置，并通知当前页面（预览 iframe 中使用）
+ * @param {string} value - 设置值，见 MOTION_PREFERENCES
+ */
+export function setForwardedMotionPreference(value) {
+  forwardedPreference = MOTION_PREFERENCES.some((preference) => preference.value === value) ? value : null
+  window.dispatchEvent(new Event(CHANGE_EVENT))
+}
+
+/**
+ * 系统是否开启了“减弱动态效果”
+ * @returns {boolean}
+ */
+const prefersReducedMotion = () => window.matchMedia?.(REDUCED_MOTION_QUERY).matches ?? false
+
+/**
+ * 计算实际使用的动画模式
+ * @param {string} preference - 全局动画设置
+ * @param {boolean} systemReduced - 系统是否开启了“减弱动态效果”
+ * @returns {string} "full"、"reduced" 或 "none"
+ */
+export function resolveMotion(preference, systemReduced) {
+  if (preference === "system") {
+    return systemReduced ? "reduced" : "full"
+  }
+  return preference
+}
+
+// 订阅全局设置和系统设置的变化
+const subscribe = (callback) => {
+  const mediaQuery = window.matchMedia?.(REDUCED_MOTION_QUERY)
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEY) {
+      callback()
+    }
+  }
+  window.addEventListener("storage", handleStorage)
+  window.addEventListener(CHANGE_EVENT, callback)
+  mediaQuery?.addEventListener("change", callback)
+  return () => {
+    window.removeEventListener("storage", handleStorage)
+    window.removeEventListener(CHANGE_EVENT, callback)
+    mediaQuery?.removeEventListener("change", callback)
+  }
+}
+
+/**
+ * 全局动画设置对案例中“启用动画”开关的影响说明
+ * @param {string} motion - 实际使用的动画模式，见 useMotion
+ * @returns {string|null} 说明文字，完整动画时为 null
+ */
+export function getMotionNote(motion) {
+  return MOTION_NOTES[motion] ?? null
+}
+
+/**
+ * 自定义 Hook：读取和修改全局动画设置
+ * @returns {[string, Function]} 设置值和修改函数
+ */
+export function useMotionPreference() {
+  return [useSyncExternalStore(subscribe, getMotionPreference), setMotionPreference]
+}
+
+/**
+ * 自定义 Hook：当前实际使用的动画模式，全局设置或系统设置变化时更新
+ * @returns {string} "full"、"reduced" 或 "none"
+ */
+export function useMotion() {
+  const preference = useSyncExternalStore(subscribe, getMotionPreference)
+  const systemReduced = useSyncExternalStore(subscribe, prefersReducedMotion)
+  return resolveMotion(preference, systemReduced)
+}
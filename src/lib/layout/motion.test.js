@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest"
+import { getMotionNote, resolveMotion } from "./motion"
+
+describe("resolveMotion", () => {
+  it("跟随系统时由“减弱动态效果”决定，其他设置直接使用", () => {
+    expect(resolveMotion("system", false)).toBe("full")
+    expect(resolveMotion("system", true)).toBe("reduced")
+    expect(resolveMotion("none", false)).toBe("none")
+    expect(resolveMotion("full", true)).toBe("full")
+  })
+})
+
+describe("getMotionNote", () => {
+  it("只在减弱或关闭动画时返回说明", () => {
+    expect(getMotionNote("full")).toBeNull()
+    expect(getMotionNote("reduced")).toContain("减弱")
+    expect(getMotionNote("none")).toContain("关闭")
+  })
+})
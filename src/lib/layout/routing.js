@@ -0,0 +1,249 @@
+/**
+ * 边的路线
+ * - 把布局引擎计算出的控制点转换为 SVG 路径（折线或平滑曲线）
+ * - 在手动摆放的图中计算避开节点的正交路线
+ */
+
+import { Position } from "@xyflow/react"
+
+/**
+ * 去掉重复点和共线的中间点
+ * @param {Array<{x: number, y: number}>} points - 路线上的点
+ * @returns {Array<{x: number, y: number}>} 精简后的点
+ */
+const simplifyPoints = (points) =>
+  points
+    .filter((point, index) => index === 0 || point.x !== points[index - 1].x || point.y !== points[index - 1].y)
+    .filter((point, index, unique) => {
+      const previous = unique[index - 1]
+      const next = unique[index + 1]
+      if (!previous || !next) {
+        return true
+      }
+      // 叉积为 0 表示三点共线
+      return (point.x - previous.x) * (next.y - point.y) !== (point.y - previous.y) * (next.x - point.x)
+    })
+
+/**
+ * 生成折线路径，拐角可以带圆角
+ * @param {Array<{x: number, y: number}>} points - 路线上的点，至少两个
+ * @param {number} radius - 拐角圆角半径，默认 0（直角）
+ * @returns {string} SVG 路径
+ */
+export function getPolylinePath(points, radius = 0) {
+  const [first, ...rest] = points
+  let path = `M ${first.x} ${first.y}`
+
+  rest.forEach((point, index) => {
+    const previous = points[index]
+    const next = rest[index + 1]
+    if (!next || radius <= 0) {
+      path += ` L ${point.x} ${point.y}`
+      return
+    }
+
+    // 圆角不超过相邻两段长度的一半
+    const r = Math.min(
+      radius,
+      Math.hypot(point.x - previous.x, point.y - previous.y) / 2,
+      Math.hypot(next.x - point.x, next.y - point.y) / 2
+    )
+    const towards = (target) => {
+      const length = Math.hypot(target.x - point.x, target.y - point.y) || 1
+      return { x: point.x + ((target.x - point.x) / length) * r, y: point.y + ((target.y - point.y) / length) * r }
+    }
+    const start = towards(previous)
+    const end = towards(next)
+    path += ` L ${start.x} ${start.y} Q ${point.x} ${point.y} ${end.x} ${end.y}`
+  })
+
+  return path
+}
+
+/**
+ * 生成经过所有点的平滑曲线路径（Catmull-Rom 样条转换为三次贝塞尔曲线）
+ * @param {Array<{x: number, y: number}>} points - 路线上的点，至少两个
+ * @returns {string} SVG 路径
+ */
+export function getSplinePath(points) {
+  const [first] = points
+  let path = `M ${first.x} ${first.y}`
+
+  for (let index = 0; index < points.length - 1; index++) {
+    const p0 = points[index - 1] ?? points[index]
+    const p1 = points[index]
+    const p2 = points[index + 1]
+    const p3 = points[index + 2] ?? p2
+    const c1 = { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 }
+    const c2 = { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 }
+    path += ` C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${p2.x} ${p2.y}`
+  }
+
+  return path
+}
+
+// 连接点朝外的方向
+const HANDLE_DIRECTIONS = {
+  [Position.Top]: { x: 0, y: -1 },
+  [Position.Bottom]: { x: 0, y: 1 },
+  [Position.Left]: { x: -1, y: 0 },
+  [Position.Right]: { x: 1, y: 0 },
+}
+
+/**
+ * 创建按 cost 排序的最小堆，用作路线搜索的优先队列
+ * @returns {{size: number, push: Function, pop: Function}} 最小堆
+ */
+const createMinHeap = () => {
+  const items = []
+  const swap = (a, b) => ([items[a], items[b]] = [items[b], items[a]])
+
+  return {
+    get size() {
+      return items.length
+    },
+    push(item) {
+      items.push(item)
+      let index = items.length - 1
+      while (index > 0 && items[(index - 1) >> 1].cost > items[index].cost) {
+        swap(index, (index - 1) >> 1)
+        index = (index - 1) >> 1
+      }
+    },
+    pop() {
+      const top = items[0]
+      const last = items.pop()
+      if (items.length > 0) {
+        items[0] = last
+        for (let index = 0; ;) {
+          const smallest = [index * 2 + 1, index * 2 + 2]
+            .filter((child) => child < items.length)
+            .reduce((min, child) => (items[child].cost < items[min].cost ? child : min), index)
+          if (smallest === index) break
+          swap(index, smallest)
+          index = smallest
+        }
+      }
+      return top
+    },
+  }
+}
+
+/**
+ * 计算避开障碍物的正交路线
+ * 在障碍物边缘外 padding 处的横线和竖线组成的稀疏网格上搜索，路线长度加拐弯惩罚最小；
+ * 路线从连接点沿其朝向先伸出 padding，再绕开所有障碍物（包括两端的节点）
+ * @param {Object} source - 起点 { x, y, position }，position 为连接点朝向
+ * @param {Object} target - 终点 { x, y, position }
+ * @param {Array<{x: number, y: number, width: number, height: number}>} obstacles - 障碍物矩形（节点的绝对位置和尺寸）
+ * @param {Object} options - 路线选项
+ * @param {number} options.padding - 路线与障碍物的距离，默认 20
+ * @param {number} options.bendPenalty - 每次拐弯相当于增加的长度，默认 40
+ * @returns {Array<{x: number, y: number}>} 路线上的点，包括起点和终点
+ */
+export function routeOrthogonal(source, target, obstacles, options = {}) {
+  const { padding = 20, bendPenalty = 40 } = options
+
+  const stub = ({ x, y, position }) => {
+    const direction = HANDLE_DIRECTIONS[position] ?? { x: 0, y: 0 }
+    return { x: x + direction.x * padding, y: y + direction.y * padding }
+  }
+  const start = stub(source)
+  const end = stub(target)
+
+  // 路线不能穿过障碍物外扩 padding / 2 后的区域
+  const blocks = obstacles.map(({ x, y, width, height }) => ({
+    left: x - padding / 2,
+    right: x + width + padding / 2,
+    top: y - padding / 2,
+    bottom: y + height + padding / 2,
+  }))
+  const isBlocked = (a, b) =>
+    blocks.some(
+      (block) =>
+        Math.max(a.x, b.x) > block.left &&
+        Math.min(a.x, b.x) < block.right &&
+        Math.max(a.y, b.y) > block.top &&
+        Math.min(a.y, b.y) < block.bottom
+    )
+
+  // 候选坐标：两端、障碍物外侧以及两端的中线
+  const unique = (values) => [...new Set(values)].sort((a, b) => a - b)
+  const xs = unique([
+    start.x,
+    end.x,
+    (start.x + end.x) / 2,
+    ...obstacles.flatMap(({ x, width }) => [x - padding, x + width + padding]),
+  ])
+  const ys = unique([
+    start.y,
+    end.y,
+    (start.y + end.y) / 2,
+    ...obstacles.flatMap(({ y, height }) => [y - padding, y + height + padding]),
+  ])
+
+  const startI = xs.indexOf(start.x)
+  const startJ = ys.indexOf(start.y)
+  const endI = xs.indexOf(end.x)
+  const endJ = ys.indexOf(end.y)
+
+  // 搜索状态：网格点 + 到达时的方向（0 横向，1 纵向），用于计算拐弯；起点的方向为连接点的朝向
+  const best = new Map()
+  const previous = new Map()
+  const queue = createMinHeap()
+  const startAxis = source.position === Position.Left || source.position === Position.Right ? 0 : 1
+  const startKey = `${startI},${startJ},${startAxis}`
+  best.set(startKey, 0)
+  queue.push({ i: startI, j: startJ, axis: startAxis, cost: 0, key: startKey })
+
+  let found = null
+  while (queue.size > 0) {
+    const current = queue.pop()
+    if (current.cost > best.get(current.key)) continue
+    if (current.i === endI && current.j === endJ) {
+      found = current
+      break
+    }
+
+    const point = { x: xs[current.i], y: ys[current.j] }
+    for (const [di, dj] of [
+      [1, 0],
+      [-1, 0],
+      [0, 1],
+      [0, -1],
+    ]) {
+      const i = current.i + di
+      const j = current.j + dj
+      if (i < 0 || j < 0 || i >= xs.length || j >= ys.length) continue
+
+      const next = { x: xs[i], y: ys[j] }
+      if (isBlocked(point, next)) continue
+
+      const axis = di !== 0 ? 0 : 1
+      const cost =
+        current.cost +
+        Math.abs(next.x - point.x) +
+        Math.abs(next.y - point.y) +
+        (axis !== current.axis ? bendPenalty : 0)
+      const key = `${i},${j},${axis}`
+      if (cost < (best.get(key) ?? Infinity)) {
+        best.set(key, cost)
+        previous.set(key, current.key)
+        queue.push({ i, j, axis, cost, key })
+      }
+    }
+  }
+
+  // 找不到路线（如端点被障碍物包围）时使用简单的折线
+  if (!found) {
+    return simplifyPoints([source, start, { x: start.x, y: end.y }, end, target])
+  }
+
+  const path = []
+  for (let key = found.key; key; key = previous.get(key)) {
+    const [i, j] = key.split(",").map(Number)
+    path.unshift({ x: xs[i], y: ys[j] })
+  }
+
+  return simplifyPoints([source, ...path, target])
+}
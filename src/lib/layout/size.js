@@ -0,0 +1,58 @@
+/**
+ * 节点尺寸
+ * React Flow 测量节点后会把实际尺寸写入 node.measured，布局时优先使用测量值，
+ * 尚未测量的节点使用默认尺寸
+ */
+
+import { useEffect, useRef } from "react"
+
+// 未测量节点的默认尺寸
+export const DEFAULT_NODE_WIDTH = 150
+export const DEFAULT_NODE_HEIGHT = 50
+
+/**
+ * 获取节点用于布局的尺寸
+ * 优先级：测量尺寸 > 节点上显式设置的 width/height > 默认尺寸
+ * @param {Object} node - 节点
+ * @param {Object} fallback - 默认尺寸
+ * @param {number} fallback.nodeWidth - 默认宽度
+ * @param {number} fallback.nodeHeight - 默认高度
+ * @returns {{width: number, height: number}} 节点尺寸
+ */
+export function getNodeSize(node, { nodeWidth = DEFAULT_NODE_WIDTH, nodeHeight = DEFAULT_NODE_HEIGHT } = {}) {
+  return {
+    width: node.measured?.width ?? node.width ?? nodeWidth,
+    height: node.measured?.height ?? node.height ?? nodeHeight,
+  }
+}
+
+/**
+ * 生成表示所有节点测量尺寸的字符串，用于判断尺寸是否变化
+ * @param {Array} nodes - 节点数组
+ * @returns {string|null} 所有节点都已测量时返回尺寸字符串，否则为 null
+ */
+export function getNodesSizeKey(nodes) {
+  if (nodes.length === 0 || nodes.some((node) => !node.measured?.width || !node.measured?.height)) {
+    return null
+  }
+  return nodes.map((node) => `${node.id}:${node.measured.width}x${node.measured.height}`).join(",")
+}
+
+/**
+ * 自定义 Hook：节点尺寸变化时重新布局
+ * 节点首次测量完成、内容变化导致尺寸改变时调用 relayout；
+ * 只有部分节点测量完成时（如刚添加节点）等待全部测量后再调用
+ * @param {Array} nodes - 当前节点数组
+ * @param {Function} relayout - 重新布局函数
+ */
+export function useLayoutOnResize(nodes, relayout) {
+  const sizeKey = getNodesSizeKey(nodes)
+  const layoutedKeyRef = useRef(null)
+
+  useEffect(() => {
+    if (sizeKey && sizeKey !== layoutedKeyRef.current) {
+      layoutedKeyRef.current = sizeKey
+      relayout()
+    }
+  }, [sizeKey, relayout])
+}
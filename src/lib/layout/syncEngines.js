@@ -0,0 +1,41 @@
+/**
+ * 同步的内置布局引擎
+ * 布局 Worker 只导入这里的引擎：ELK 自带 Worker，且体积较大，不打包进布局 Worker
+ */
+
+import { dagreLayout } from "./dagre"
+import { forceLayout } from "./force"
+import { treeLayout, radialLayout } from "./tree"
+import { circularLayout } from "./circular"
+import { gridLayout } from "./grid"
+import { incrementalLayout } from "./incremental"
+import { compoundLayout } from "./compound"
+import { applyPinnedNodes } from "./constraints"
+
+// 同步引擎：名称 -> 引擎函数
+export const SYNC_LAYOUT_ENGINES = {
+  dagre: dagreLayout,
+  force: forceLayout,
+  tree: treeLayout,
+  radial: radialLayout,
+  circular: circularLayout,
+  grid: gridLayout,
+  incremental: incrementalLayout,
+  compound: compoundLayout,
+}
+
+/**
+ * 调用引擎计算布局
+ * 引擎返回后把固定（data.pinned）的节点放回原位，其余节点随之整体平移
+ * @param {Function} layout - 引擎函数
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 传给引擎的选项
+ * @returns {Array|Promise<Array>} 布局后的节点数组，异步引擎返回 Promise
+ */
+export function runLayoutEngine(layout, nodes, edges, options) {
+  const layouted = layout(nodes, edges, options)
+  return typeof layouted?.then === "function"
+    ? layouted.then((result) => applyPinnedNodes(nodes, result))
+    : applyPinnedNodes(nodes, layouted)
+}
@@ -0,0 +1,267 @@
+import { getHandlePositions, isHorizontal } from "./direction"
+import { getNodeSize } from "./size"
+
+/**
+ * 从节点和边构建生成树（森林）
+ * 入度为 0 的节点作为根，按广度优先遍历为每个节点选择第一个到达它的父节点；
+ * 环中没有根可达的节点依次作为新的根，保证每个节点都出现且只出现一次
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @returns {{roots: string[], children: Map<string, string[]>}} 根节点 ID 和子节点列表
+ */
+export function buildForest(nodes, edges) {
+  const nodeIds = new Set(nodes.map((node) => node.id))
+  const outgoing = new Map(nodes.map((node) => [node.id, []]))
+  const indegree = new Map(nodes.map((node) => [node.id, 0]))
+
+  edges.forEach((edge) => {
+    if (nodeIds.has(edge.source) && nodeIds.has(edge.target) && edge.source !== edge.target) {
+      outgoing.get(edge.source).push(edge.target)
+      indegree.set(edge.target, indegree.get(edge.target) + 1)
+    }
+  })
+
+  const children = new Map(nodes.map((node) => [node.id, []]))
+  const visited = new Set()
+  const roots = []
+
+  const visitFrom = (rootId) => {
+    roots.push(rootId)
+    visited.add(rootId)
+    const queue = [rootId]
+    for (let head = 0; head < queue.length; head++) {
+      const id = queue[head]
+      outgoing.get(id).forEach((targetId) => {
+        if (!visited.has(targetId)) {
+          visited.add(targetId)
+          children.get(id).push(targetId)
+          queue.push(targetId)
+        }
+      })
+    }
+  }
+
+  nodes.filter((node) => indegree.get(node.id) === 0).forEach((node) => visitFrom(node.id))
+  nodes.forEach((node) => {
+    if (!visited.has(node.id)) {
+      visitFrom(node.id)
+    }
+  })
+
+  return { roots, children }
+}
+
+/**
+ * 轮廓在某一深度（相对子树根）的坐标
+ * 轮廓记为 { values, shift }：values 从最深层排到子树根所在层，实际坐标为 values[i] + shift。
+ * 这样在顶部加入一层只需要 push，整体平移只需要修改 shift，深树上不会反复复制数组
+ * @param {{values: number[], shift: number}} contour - 轮廓
+ * @param {number} depth - 深度
+ * @returns {number} 坐标
+ */
+const contourAt = (contour, depth) => contour.values[contour.values.length - 1 - depth] + contour.shift
+
+/**
+ * 合并两条轮廓：每一层取更靠外的值
+ * 较短的轮廓合并进较长的轮廓（原地修改并返回较长的轮廓），开销与较短的轮廓成正比
+ * @param {{values: number[], shift: number}} contour - 已有轮廓
+ * @param {{values: number[], shift: number}} other - 另一条轮廓（已平移到同一坐标系）
+ * @param {Function} pick - Math.min（左轮廓）或 Math.max（右轮廓）
+ * @returns {{values: number[], shift: number}} 合并后的轮廓
+ */
+const mergeContour = (contour, other, pick) => {
+  const [target, source] = contour.values.length >= other.values.length ? [contour, other] : [other, contour]
+  const { values, shift } = target
+  for (let depth = 0; depth < source.values.length; depth++) {
+    const index = values.length - 1 - depth
+    values[index] = pick(values[index] + shift, contourAt(source, depth)) - shift
+  }
+  return target
+}
+
+/**
+ * 计算整洁树（Reingold–Tilford）中每个节点在横向上的中心坐标和深度
+ * 自底向上布局子树，相邻子树按轮廓尽量靠近但不重叠，父节点居中于首尾子节点之上。
+ * 使用显式栈遍历，很深的树（如长链）也不会超出调用栈
+ * @param {Array<string>} roots - 根节点 ID
+ * @param {Map<string, string[]>} children - 子节点列表
+ * @param {Function} getBreadth - 节点在横向上的尺寸
+ * @param {number} gap - 相邻节点之间的最小间距
+ * @returns {Map<string, {x: number, depth: number}>} 节点 ID -> 横向中心坐标和深度
+ */
+export function tidyTree(roots, children, getBreadth, gap) {
+  const offsets = new Map() // 节点相对父节点的横向偏移
+  const contours = new Map() // 已布局的子树相对子树根的左右轮廓，被父节点合并后删除
+
+  // 布局以 id 为根的子树（子节点的子树已经布局），返回左右轮廓
+  const layoutSubtree = (id) => {
+    const half = id === null ? 0 : getBreadth(id) / 2
+    const childIds = id === null ? roots : children.get(id)
+
+    let left = null
+    let right = null
+    const childOffsets = []
+
+    childIds.forEach((childId) => {
+      const contour = contours.get(childId)
+      contours.delete(childId)
+      // 与已放置的兄弟子树在每个公共层级上保持 gap 间距
+      let offset = 0
+      if (right) {
+        const shared = Math.min(right.values.length, contour.left.values.length)
+        offset = -Infinity
+        for (let depth = 0; depth < shared; depth++) {
+          offset = Math.max(offset, contourAt(right, depth) - contourAt(contour.left, depth) + gap)
+        }
+      }
+      childOffsets.push(offset)
+      contour.left.shift += offset
+      contour.right.shift += offset
+      left = left ? mergeContour(left, contour.left, Math.min) : contour.left
+      right = right ? mergeContour(right, contour.right, Math.max) : contour.right
+    })
+
+    // 父节点居中于首尾子节点之上
+    const center = childOffsets.length > 0 ? (childOffsets[0] + childOffsets[childOffsets.length - 1]) / 2 : 0
+    childIds.forEach((childId, index) => offsets.set(childId, childOffsets[index] - center))
+
+    left = left ?? { values: [], shift: 0 }
+    right = right ?? { values: [], shift: 0 }
+    left.shift -= center
+    right.shift -= center
+    // 加入子树根所在的一层
+    left.values.push(-half - left.shift)
+    right.values.push(half - right.shift)
+    return { left, right }
+  }
+
+  // 先序遍历得到节点顺序，倒序布局时子节点总在父节点之前
+  const order = []
+  const stack = [...roots]
+  while (stack.length > 0) {
+    const id = stack.pop()
+    order.push(id)
+    children.get(id).forEach((childId) => stack.push(childId))
+  }
+  for (let index = order.length - 1; index >= 0; index--) {
+    contours.set(order[index], layoutSubtree(order[index]))
+  }
+  // 虚拟根把森林中的多棵树并排放置
+  layoutSubtree(null)
+
+  const result = new Map()
+  const placing = roots.map((rootId) => ({ id: rootId, parentX: 0, depth: 0 }))
+  while (placing.length > 0) {
+    const { id, parentX, depth } = placing.pop()
+    const x = parentX + offsets.get(id)
+    result.set(id, { x, depth })
+    children.get(id).forEach((childId) => placing.push({ id: childId, parentX: x, depth: depth + 1 }))
+  }
+
+  return result
+}
+
+/**
+ * 整洁树布局引擎（Reingold–Tilford）
+ * 子树之间紧凑排列且互不重叠，父节点居中于子节点之上；同一深度的节点位于同一层
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组，非树边（跨层或成环的边）不影响布局
+ * @param {Object} options - 布局选项
+ * @param {string} options.direction - 布局方向，默认 "TB"
+ * @param {number} options.nodesep - 同一层中相邻节点的间距，默认 50
+ * @param {number} options.ranksep - 层级间距，默认 50
+ * @returns {Array} 布局后的节点数组
+ */
+export function treeLayout(nodes, edges, options = {}) {
+  const { direction = "TB", nodesep = 50, ranksep = 50 } = options
+
+  if (!nodes || nodes.length === 0) {
+    return []
+  }
+
+  const horizontal = isHorizontal(direction)
+  const reversed = direction === "BT" || direction === "RL"
+  const sizes = new Map(nodes.map((node) => [node.id, getNodeSize(node, options)]))
+  // 横向尺寸：TB/BT 为宽度，LR/RL 为高度
+  const getBreadth = (id) => (horizontal ? sizes.get(id).height : sizes.get(id).width)
+  const getDepthSize = (id) => (horizontal ? sizes.get(id).width : sizes.get(id).height)
+
+  const { roots, children } = buildForest(nodes, edges)
+  const placements = tidyTree(roots, children, getBreadth, nodesep)
+
+  // 每层的纵向起点：前面各层的最大尺寸之和加间距
+  const layerSizes = []
+  placements.forEach(({ depth }, id) => {
+    layerSizes[depth] = Math.max(layerSizes[depth] ?? 0, getDepthSize(id))
+  })
+  const layerStarts = [0]
+  for (let depth = 1; depth < layerSizes.length; depth++) {
+    layerStarts.push(layerStarts[depth - 1] + layerSizes[depth - 1] + ranksep)
+  }
+
+  const handlePositions = getHandlePositions(direction)
+
+  return nodes.map((node) => {
+    const { x, depth } = placements.get(node.id)
+    const { width, height } = sizes.get(node.id)
+    // 节点在层内居中
+    const layerCenter = layerStarts[depth] + layerSizes[depth] / 2
+    const along = (reversed ? -layerCenter : layerCenter) - (horizontal ? width : height) / 2
+    const across = x - (horizontal ? height : width) / 2
+
+    return {
+      ...node,
+      position: horizontal ? { x: along, y: across } : { x: across, y: along },
+      ...handlePositions,
+    }
+  })
+}
+
+/**
+ * 径向树布局引擎
+ * 根节点位于圆心，每一层分布在同心圆上；角度由整洁树的横向坐标映射，同一子树的节点集中在相邻的扇区内
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @param {Object} options - 布局选项
+ * @param {number} options.nodesep - 相邻节点的最小间距（沿圆周），默认 50
+ * @param {number} options.radiusStep - 相邻两层的半径差，默认 180
+ * @returns {Array} 布局后的节点数组
+ */
+export function radialLayout(nodes, edges, options = {}) {
+  const { nodesep = 50, radiusStep = 180 } = options
+
+  if (!nodes || nodes.length === 0) {
+    return []
+  }
+
+  const sizes = new Map(nodes.map((node) => [node.id, getNodeSize(node, options)]))
+  const { roots, children } = buildForest(nodes, edges)
+  // 以节点的较大边作为横向尺寸，避免任意角度下重叠
+  const placements = tidyTree(roots, children, (id) => Math.max(sizes.get(id).width, sizes.get(id).height), nodesep)
+
+  let minX = Infinity
+  let maxX = -Infinity
+  placements.forEach(({ x }) => {
+    minX = Math.min(minX, x)
+    maxX = Math.max(maxX, x)
+  })
+  // 首尾留出一个间距，避免第一个和最后一个节点在圆周上相接
+  const span = maxX - minX + nodesep + 1
+  // 只有一棵树时根节点在圆心；森林的各个根分布在第一圈
+  const depthOffset = roots.length > 1 ? 1 : 0
+
+  return nodes.map((node) => {
+    const { x, depth } = placements.get(node.id)
+    const { width, height } = sizes.get(node.id)
+    const angle = ((x - minX) / span) * 2 * Math.PI
+    const radius = (depth + depthOffset) * radiusStep
+
+    return {
+      ...node,
+      position: {
+        x: radius * Math.cos(angle) - width / 2,
+        y: radius * Math.sin(angle) - height / 2,
+      },
+    }
+  })
+}
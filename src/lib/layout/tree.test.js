@@ -0,0 +1,124 @@
+import { describe, expect, it } from "vitest"
+import { buildForest, radialLayout, treeLayout } from "./tree"
+import { createGraph, findOverlaps, positionsById } from "@/test/graph"
+
+// r 有两个子节点 a、b，a 又有两个子节点 c、d
+const tree = createGraph(
+  ["r", "a", "b", "c", "d"],
+  [
+    ["r", "a"],
+    ["r", "b"],
+    ["a", "c"],
+    ["a", "d"],
+  ]
+)
+
+// 森林：上面的树、一条链 f -> g，以及孤立节点 e
+const forest = createGraph(
+  ["r", "a", "b", "c", "d", "e", "f", "g"],
+  [
+    ["r", "a"],
+    ["r", "b"],
+    ["a", "c"],
+    ["a", "d"],
+    ["f", "g"],
+  ]
+)
+
+describe("buildForest", () => {
+  it("入度为 0 的节点作为根，环中的节点也只出现一次", () => {
+    const { roots, children } = buildForest(forest.nodes, forest.edges)
+    expect(roots).toEqual(["r", "e", "f"])
+    expect(children.get("r")).toEqual(["a", "b"])
+
+    const cycle = createGraph(
+      ["x", "y"],
+      [
+        ["x", "y"],
+        ["y", "x"],
+      ]
+    )
+    expect(buildForest(cycle.nodes, cycle.edges).roots).toEqual(["x"])
+  })
+})
+
+describe("treeLayout", () => {
+  it("计算固定图的位置：父节点居中于子节点之上，每层间隔 ranksep", () => {
+    expect(positionsById(treeLayout(tree.nodes, tree.edges))).toEqual({
+      r: { x: -75, y: 0 },
+      a: { x: -175, y: 100 },
+      b: { x: 25, y: 100 },
+      c: { x: -275, y: 200 },
+      d: { x: -75, y: 200 },
+    })
+  })
+
+  it("LR 方向交换横纵坐标", () => {
+    const positions = positionsById(treeLayout(tree.nodes, tree.edges, { direction: "LR" }))
+    expect(positions.r).toEqual({ x: 0, y: -25 })
+    expect(positions.a.x).toBe(200)
+    expect(positions.c.x).toBe(400)
+  })
+
+  it("相同输入总是得到相同结果", () => {
+    expect(treeLayout(forest.nodes, forest.edges)).toEqual(treeLayout(forest.nodes, forest.edges))
+  })
+
+  it.each(["TB", "LR", "BT", "RL"])("%s 方向的森林中节点不重叠", (direction) => {
+    const layouted = treeLayout(forest.nodes, forest.edges, { direction })
+    expect(findOverlaps(layouted)).toEqual([])
+    // 各棵树的根在同一层
+    const positions = positionsById(layouted)
+    const axis = direction === "TB" || direction === "BT" ? "y" : "x"
+    expect(positions.e[axis]).toBe(positions.r[axis])
+    expect(positions.f[axis]).toBe(positions.r[axis])
+  })
+})
+
+describe("深度很大的树", () => {
+  // 10000 个节点的链：0 -> 1 -> ... -> 9999
+  const ids = Array.from({ length: 10000 }, (_, index) => `${index}`)
+  const links = ids.slice(1).map((id, index) => [ids[index], id])
+  const chain = createGraph(ids, links)
+
+  it("treeLayout 不会超出调用栈，每层依次向下排列", () => {
+    const positions = positionsById(treeLayout(chain.nodes, chain.edges))
+    expect(positions["0"]).toEqual({ x: -75, y: 0 })
+    expect(positions["9999"]).toEqual({ x: -75, y: 9999 * 100 })
+  })
+
+  it("链上的分支按轮廓避开整条链", () => {
+    // 在链的根上再挂一个叶子，它只需要避开链的第一层
+    const branched = createGraph([...ids, "leaf"], [...links, ["0", "leaf"]])
+    const positions = positionsById(treeLayout(branched.nodes, branched.edges))
+    expect(positions["1"].x).toBe(-175)
+    expect(positions.leaf.x).toBe(25)
+    expect(positions["9999"].x).toBe(-175)
+  })
+
+  it("radialLayout 不会超出调用栈", () => {
+    expect(radialLayout(chain.nodes, chain.edges)).toHaveLength(10000)
+  })
+})
+
+describe("radialLayout", () => {
+  const center = ({ x, y }) => ({ x: x + 75, y: y + 25 })
+  const distance = (position) => Math.hypot(center(position).x, center(position).y)
+
+  it("单棵树的根位于圆心，每层位于同心圆上", () => {
+    const positions = positionsById(radialLayout(tree.nodes, tree.edges, { radiusStep: 200 }))
+    expect(center(positions.r)).toEqual({ x: 0, y: 0 })
+    expect(distance(positions.a)).toBeCloseTo(200)
+    expect(distance(positions.b)).toBeCloseTo(200)
+    expect(distance(positions.c)).toBeCloseTo(400)
+    expect(distance(positions.d)).toBeCloseTo(400)
+  })
+
+  it("森林的各个根分布在第一圈，节点不重叠", () => {
+    const layouted = radialLayout(forest.nodes, forest.edges)
+    const positions = positionsById(layouted)
+    ;["r", "e", "f"].forEach((id) => expect(distance(positions[id])).toBeCloseTo(180))
+    expect(findOverlaps(layouted)).toEqual([])
+    expect(radialLayout(forest.nodes, forest.edges)).toEqual(layouted)
+  })
+})
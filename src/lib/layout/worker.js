@@ -0,0 +1,194 @@
+/**
+ * 在 Web Worker 中计算布局
+ * 大图的同步布局（如 dagre）可能耗时数秒，放到后台线程计算可以保持页面响应。
+ * 不支持 Worker 的环境、自定义引擎函数和自带 Worker 的 ELK 在主线程调用引擎
+ */
+
+import { useState, useEffect, useRef, useCallback } from "react"
+import { layoutNodes } from "./engines"
+import { SYNC_LAYOUT_ENGINES } from "./syncEngines"
+import { LAYOUT_HINT_KEYS } from "./constraints"
+// Worker 脚本内联打包（运行时通过 blob URL 创建），不依赖页面地址，预览 iframe 在不透明源中也能创建
+import LayoutWorker from "./layout.worker.js?worker&inline"
+
+// 可以在 Worker 中运行的内置引擎（ELK 自带 Worker，自定义引擎无法传给 Worker）
+const WORKER_ENGINES = new Set(Object.keys(SYNC_LAYOUT_ENGINES))
+
+// 布局需要的节点和边字段，只把这些字段发送给 Worker（data 中可能有无法复制的函数，只发送其中的布局提示）
+const NODE_LAYOUT_KEYS = ["id", "position", "width", "height", "measured", "parentId"]
+const EDGE_LAYOUT_KEYS = ["id", "source", "target", "sourceHandle", "targetHandle"]
+
+/**
+ * 挑选对象中已定义的字段
+ * @param {Object} item - 节点或边
+ * @param {Array<string>} keys - 字段名
+ * @returns {Object} 只包含这些字段的新对象
+ */
+const pick = (item, keys) =>
+  Object.fromEntries(keys.filter((key) => item[key] !== undefined).map((key) => [key, item[key]]))
+
+/**
+ * 把 Worker 返回的布局结果合并回原节点
+ * @param {Array} nodes - 原节点数组
+ * @param {Array} layoutedNodes - Worker 返回的节点（只包含布局字段）
+ * @returns {Array} 布局后的节点数组
+ */
+const mergeLayout = (nodes, layoutedNodes) => {
+  const layouted = new Map(layoutedNodes.map((node) => [node.id, node]))
+  // 返回的 data 只有布局提示，保留原节点的 data
+  return nodes.map((node) => ({ ...node, ...layouted.get(node.id), data: node.data }))
+}
+
+/**
+ * 判断错误是否表示布局被取消（被更新的请求取代或主动取消）
+ * @param {Error} error - 错误
+ * @returns {boolean} 是否为取消
+ */
+export function isLayoutCancelled(error) {
+  return error?.name === "AbortError"
+}
+
+/**
+ * 自定义 Hook：在 Web Worker 中计算布局
+ * 同一时间只保留最新的请求：发起新请求或调用 cancel 时，未完成的请求以 AbortError 拒绝，
+ * 正在计算的 Worker 会被终止（同步计算无法中途打断），下次请求时重新创建。
+ * Worker 加载失败或数据无法发送时自动回退到主线程计算
+ * @param {Object} options - 选项
+ * @param {boolean} options.enabled - 是否使用 Worker，false 时在主线程同步计算，默认 true
+ * @returns {{runLayout: Function, cancel: Function, isLayouting: boolean}} runLayout(nodes, edges, options) 与 layoutNodes 参数相同，返回 Promise
+ */
+export function useLayoutWorker({ enabled = true } = {}) {
+  const [isLayouting, setIsLayouting] = useState(false)
+  const workerRef = useRef(null)
+  const workerFailedRef = useRef(false) // Worker 无法加载时不再尝试
+  const pendingRef = useRef(null) // 未完成的请求：{ id, nodes, edges, options, resolve, reject, inWorker }
+  const requestIdRef = useRef(0)
+
+  const terminateWorker = useCallback(() => {
+    if (workerRef.current) {
+      workerRef.current.terminate()
+      workerRef.current = null
+    }
+  }, [])
+
+  // 结束未完成的请求
+  const settle = useCallback((id, callback) => {
+    const pending = pendingRef.current
+    if (!pending || pending.id !== id) {
+      return
+    }
+    pendingRef.current = null
+    setIsLayouting(false)
+    callback(pending)
+  }, [])
+
+  // 在主线程计算布局；延迟到下一个任务执行，让“布局中”状态先渲染出来
+  const runInMainThread = useCallback(
+    (request) => {
+      setTimeout(() => {
+        if (pendingRef.current?.id !== request.id) {
+          return
+        }
+        Promise.resolve()
+          .then(() => layoutNodes(request.nodes, request.edges, request.options))
+          .then(
+            (layoutedNodes) => settle(request.id, ({ resolve }) => resolve(layoutedNodes)),
+            (error) => settle(request.id, ({ reject }) => reject(error))
+          )
+      })
+    },
+    [settle]
+  )
+
+  const getWorker = useCallback(() => {
+    if (workerRef.current) {
+      return workerRef.current
+    }
+
+    const worker = new LayoutWorker()
+
+    worker.onmessage = ({ data }) => {
+      settle(data.id, ({ nodes, resolve, reject }) =>
+        data.error ? reject(new Error(data.error)) : resolve(mergeLayout(nodes, data.nodes))
+      )
+    }
+
+    // Worker 脚本加载失败：回退到主线程并重新执行未完成的请求
+    worker.onerror = (event) => {
+      event.preventDefault()
+      workerFailedRef.current = true
+      terminateWorker()
+      const pending = pendingRef.current
+      if (pending?.inWorker) {
+        pending.inWorker = false
+        runInMainThread(pending)
+      }
+    }
+
+    workerRef.current = worker
+    return worker
+  }, [settle, terminateWorker, runInMainThread])
+
+  // 取消未完成的请求
+  const cancel = useCallback(() => {
+    const pending = pendingRef.current
+    if (!pending) {
+      return
+    }
+    pendingRef.current = null
+    if (pending.inWorker) {
+      terminateWorker()
+    }
+    setIsLayouting(false)
+    pending.reject(new DOMException("Layout cancelled", "AbortError"))
+  }, [terminateWorker])
+
+  const runLayout = useCallback(
+    (nodes, edges, options = {}) => {
+      cancel()
+
+      return new Promise((resolve, reject) => {
+        const { engine = "dagre", ...engineOptions } = options
+        const request = { id: ++requestIdRef.current, nodes, edges, options, resolve, reject, inWorker: false }
+        pendingRef.current = request
+        setIsLayouting(true)
+
+        const useWorker =
+          enabled && !workerFailedRef.current && typeof Worker !== "undefined" && WORKER_ENGINES.has(engine)
+
+        if (useWorker) {
+          try {
+            getWorker().postMessage({
+              id: request.id,
+              engine,
+              nodes: nodes.map((node) => ({
+                ...pick(node, NODE_LAYOUT_KEYS),
+                data: pick(node.data ?? {}, LAYOUT_HINT_KEYS),
+              })),
+              edges: edges.map((edge) => pick(edge, EDGE_LAYOUT_KEYS)),
+              options: engineOptions,
+            })
+            request.inWorker = true
+            return
+          } catch {
+            // 选项无法复制（如包含函数）时在主线程计算
+          }
+        }
+
+        runInMainThread(request)
+      })
+    },
+    [enabled, cancel, getWorker, runInMainThread]
+  )
+
+  // 卸载时终止 Worker，丢弃未完成的请求
+  useEffect(
+    () => () => {
+      pendingRef.current = null
+      terminateWorker()
+    },
+    [terminateWorker]
+  )
+
+  return { runLayout, cancel, isLayouting }
+}
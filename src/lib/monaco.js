@@ -0,0 +1,100 @@
+/**
+ * 代码编辑器的默认选项
+ */
+export const EDITOR_OPTIONS = {
+  minimap: { enabled: false },
+  fontSize: 14,
+  lineNumbers: "on",
+  scrollBeyondLastLine: false,
+  automaticLayout: true,
+  tabSize: 2,
+  wordWrap: "on",
+  formatOnPaste: true,
+  formatOnType: true,
+  autoIndent: "full",
+  suggestOnTriggerCharacters: true,
+  acceptSuggestionOnEnter: "on",
+  tabCompletion: "on",
+  wordBasedSuggestions: "allDocuments",
+  quickSuggestions: true,
+  parameterHints: { enabled: true },
+}
+
+// 类型定义只需要注册一次（多个编辑器实例共享同一个语言服务）
+let typeDefinitionsPromise = null
+
+/**
+ * 注册预览代码可导入的模块的类型定义（react、@xyflow/react、dagre、d3-timer 等）
+ * 类型定义在构建时打包，首次调用时按需加载
+ * @param {Object} monaco - Monaco 实例
+ * @returns {Promise<void>}
+ */
+function addTypeDefinitions(monaco) {
+  if (!typeDefinitionsPromise) {
+    typeDefinitionsPromise = import("./typeDefinitions")
+      .then(({ typeDefinitions }) => {
+        typeDefinitions.forEach(({ path, content }) => {
+          monaco.languages.typescript.javascriptDefaults.addExtraLib(content, path)
+          monaco.languages.typescript.typescriptDefaults.addExtraLib(content, path)
+        })
+      })
+      .catch((err) => {
+        console.error("Failed to load type definitions:", err)
+        typeDefinitionsPromise = null
+      })
+  }
+  return typeDefinitionsPromise
+}
+
+/**
+ * 开启或关闭类型检查诊断
+ * 关闭时只保留语法检查；开启后会显示类型错误（JavaScript 文件同样检查）
+ * @param {Object} monaco - Monaco 实例
+ * @param {boolean} enabled - 是否开启
+ */
+export function setTypeChecking(monaco, enabled) {
+  const { javascriptDefaults, typescriptDefaults } = monaco.languages.typescript
+
+  javascriptDefaults.setCompilerOptions({ ...javascriptDefaults.getCompilerOptions(), checkJs: enabled })
+
+  const diagnosticsOptions = {
+    noSemanticValidation: !enabled, // 语义验证（类型检查）
+    noSyntaxValidation: false, // 始终保留语法检查
+    noSuggestionDiagnostics: true, // 禁用建议诊断
+  }
+  javascriptDefaults.setDiagnosticsOptions(diagnosticsOptions)
+  typescriptDefaults.setDiagnosticsOptions(diagnosticsOptions)
+}
+
+/**
+ * 配置 Monaco 的 TypeScript/JavaScript 语言服务
+ * 在编辑器挂载前调用（普通编辑器和对比编辑器共用）
+ * @param {Object} monaco - Monaco 实例
+ */
+export function configureMonaco(monaco) {
+  // 配置编译器选项，与 Vite 的 JSX 自动运行时保持一致
+  const compilerOptions = {
+    target: monaco.languages.typescript.ScriptTarget.Latest,
+    allowNonTsExtensions: true,
+    moduleResolution: monaco.languages.typescript.ModuleResolutionKind.NodeJs,
+    module: monaco.languages.typescript.ModuleKind.ESNext,
+    noEmit: true,
+    esModuleInterop: true,
+    allowSyntheticDefaultImports: true,
+    jsx: monaco.languages.typescript.JsxEmit.ReactJSX,
+    allowJs: true,
+    checkJs: false, // 默认不检查 JavaScript 类型，可通过 setTypeChecking 开启
+    skipLibCheck: true, // 跳过库文件的类型检查
+    // "@/" 别名指向 src 目录，与 Vite 的 resolve.alias 一致（共享模块的源码注册在 file:///src/lib/layout/ 下）
+    baseUrl: "file:///",
+    paths: { "@/*": ["src/*"] },
+  }
+
+  monaco.languages.typescript.javascriptDefaults.setCompilerOptions(compilerOptions)
+  monaco.languages.typescript.typescriptDefaults.setCompilerOptions(compilerOptions)
+
+  // 默认只做语法检查；类型定义仍然提供自动补全和悬停文档
+  setTypeChecking(monaco, false)
+
+  addTypeDefinitions(monaco)
+}
@@ -0,0 +1,77 @@
+/**
+ * 分享链接编码
+ * 将编辑后的代码压缩（deflate）后编码为 base64url，放入 URL hash 中
+ */
+
+// URL hash 中存放代码的参数名
+export const SHARE_HASH_KEY = "code"
+
+/**
+ * 将字节数组编码为 base64url 字符串
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} base64url 字符串
+ */
+function toBase64Url(bytes) {
+  let binary = ""
+  // 分块转换，避免参数过多导致栈溢出
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+/**
+ * 将 base64url 字符串解码为字节数组
+ * @param {string} text - base64url 字符串
+ * @returns {Uint8Array} 字节数组
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/")
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+/**
+ * 使用浏览器内置的 CompressionStream 转换字节流
+ * @param {Uint8Array} bytes - 输入字节
+ * @param {TransformStream} stream - 压缩或解压流
+ * @returns {Promise<Uint8Array>} 输出字节
+ */
+async function pipeBytes(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+  return new Uint8Array(buffer)
+}
+
+/**
+ * 将文件编码为分享字符串
+ * @param {Object} files - 文件名到代码的映射
+ * @returns {Promise<string>} 编码后的字符串
+ */
+export async function encodeFiles(files) {
+  const bytes = new TextEncoder().encode(JSON.stringify(files))
+  return toBase64Url(await pipeBytes(bytes, new CompressionStream("deflate-raw")))
+}
+
+/**
+ * 解码分享字符串
+ * @param {string} text - encodeFiles 的输出
+ * @returns {Promise<Object>} 文件名到代码的映射
+ */
+export async function decodeFiles(text) {
+  const bytes = await pipeBytes(fromBase64Url(text), new DecompressionStream("deflate-raw"))
+  const files = JSON.parse(new TextDecoder().decode(bytes))
+
+  if (!files || typeof files !== "object" || Object.values(files).some((code) => typeof code !== "string")) {
+    throw new Error("Invalid shared code")
+  }
+  return files
+}
+
+/**
+ * 从 URL hash 中读取分享的代码
+ * @param {string} hash - location.hash，如 "#code=..."
+ * @returns {string|null} 编码后的字符串，不存在时为 null
+ */
+export function getSharedCode(hash) {
+  return new URLSearchParams(hash.replace(/^#/, "")).get(SHARE_HASH_KEY)
+}
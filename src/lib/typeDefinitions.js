@@ -0,0 +1,34 @@
+/**
+ * 预览代码可导入的模块的类型定义
+ * 构建时把 node_modules 中的 .d.ts 和案例共享模块的源码内联进来，编辑器运行时不需要网络。
+ * 这个模块体积较大，由 lib/monaco.js 按需动态导入
+ */
+
+// node_modules 中的类型定义由 Vite 插件在构建时读取（import.meta.glob 不匹配 node_modules），
+// 路径形如 "/node_modules/@xyflow/react/dist/esm/index.d.ts"，见 plugins/typeDefinitions.js
+import packageDeclarations from "virtual:type-definitions"
+
+// 案例共享的辅助模块，通过 JSDoc 推断类型；路径形如 "/src/lib/layout/index.js"，
+// 编辑器通过 paths 别名（见 lib/monaco.js）把 "@/lib/layout" 解析到这里
+const layoutSources = import.meta.glob(["/src/lib/layout/*.{js,jsx}", "!/src/lib/layout/*.test.js"], {
+  query: "?raw",
+  import: "default",
+  eager: true,
+})
+
+// 类型入口不在包根目录的包，需要在根目录放一个转发文件，模块解析才能找到
+const entryShims = {
+  "/node_modules/@xyflow/react/index.d.ts": 'export * from "./dist/esm/index";\n',
+  "/node_modules/@xyflow/system/index.d.ts": 'export * from "./dist/esm/index";\n',
+}
+
+/**
+ * 所有类型定义文件
+ * @type {Array<{path: string, content: string}>} path 为 Monaco 使用的 file:// URI
+ */
+export const typeDefinitions = Object.entries({ ...packageDeclarations, ...layoutSources, ...entryShims }).map(
+  ([path, content]) => ({
+    path: `file://${path}`,
+    content,
+  })
+)
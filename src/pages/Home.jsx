@@ -1,5 +1,6 @@
 import { Link } from 'react-router-dom'
 import { examples } from '../data/examples'
+import DraftsManager from '../components/DraftsManager'
 
 function Home() {
   return (
@@ -11,6 +12,8 @@ function Home() {
         </p>
       </div>
 
+      <DraftsManager />
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {examples.map((example) => (
           <Link
@@ -0,0 +1,273 @@
+/**
+ * 动画性能测试案例
+ *
+ * 这个案例展示了如何在上千个节点的图中播放流畅的布局动画：
+ * - 每次点击随机挑选一部分节点互相交换网格位置，其余节点不动；移动比例可以调整，全部移动时所有节点同时换到新的格子
+ * - 动画使用 useNodeAnimation，按 ID 查找每个节点的起止位置，每帧只遍历一次节点
+ * - “仅更新位置”模式每帧只替换位置变化的节点，不动的节点保持原对象，React Flow 只重新渲染移动中的节点
+ * - “完整更新”模式每帧为所有节点创建新对象，移动比例越小，两种模式的帧率差距越明显
+ * - 连线默认关闭，打开后可以观察边的渲染开销
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from "react"
+import { ReactFlow, Background, Controls, Panel, useNodesState } from "@xyflow/react"
+import { createRandom, layoutNodes, useFps, useNodeAnimation } from "@/lib/layout"
+import "@xyflow/react/dist/style.css"
+
+// 可选的节点数量
+const NODE_COUNTS = [500, 1000, 2000, 5000]
+
+// 动画更新模式
+const UPDATE_MODES = [
+  { value: "positions", label: "仅更新位置" },
+  { value: "full", label: "完整更新" },
+]
+
+// 每次移动的节点比例
+const MOVE_RATIOS = [
+  { value: 0.1, label: "10%" },
+  { value: 0.5, label: "50%" },
+  { value: 1, label: "全部" },
+]
+
+// 动画时长（毫秒）
+const DURATION = 1500
+
+/**
+ * 打乱数组顺序（Fisher-Yates），不修改原数组
+ * @param {Array} items - 数组
+ * @param {Function} random - 随机数函数
+ * @returns {Array} 打乱后的新数组
+ */
+const shuffle = (items, random) => {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+/**
+ * 随机挑选一部分元素，在它们之间打乱位置，其余元素保持原位，不修改原数组
+ * @param {Array} items - 数组
+ * @param {number} ratio - 挑选的比例（0 到 1）
+ * @param {Function} random - 随机数函数
+ * @returns {Array} 打乱后的新数组
+ */
+const shuffleSubset = (items, ratio, random) => {
+  const allIndices = items.map((_, index) => index)
+  const indices = shuffle(allIndices, random).slice(0, Math.round(items.length * ratio))
+  const targets = shuffle(indices, random)
+  const result = [...items]
+  indices.forEach((index, i) => {
+    result[targets[i]] = items[index]
+  })
+  return result
+}
+
+/**
+ * 生成节点，按顺序排列成网格
+ * @param {number} count - 节点数量
+ * @returns {Array} 节点数组
+ */
+const generateNodes = (count) =>
+  layoutNodes(
+    Array.from({ length: count }, (_, index) => ({
+      id: `${index}`,
+      data: { label: `节点 ${index}` },
+      position: { x: 0, y: 0 },
+    })),
+    [],
+    { engine: "grid" }
+  )
+
+/**
+ * 生成连线：每个节点连接到前一个节点，形成一条链
+ * @param {number} count - 节点数量
+ * @returns {Array} 边数组
+ */
+const generateEdges = (count) =>
+  Array.from({ length: count - 1 }, (_, index) => ({
+    id: `e${index}-${index + 1}`,
+    source: `${index}`,
+    target: `${index + 1}`,
+  }))
+
+function AnimationBenchmark() {
+  const [nodeCount, setNodeCount] = useState(1000)
+  const [updateMode, setUpdateMode] = useState("positions")
+  const [moveRatio, setMoveRatio] = useState(0.1)
+  const [showEdges, setShowEdges] = useState(false)
+  const [isAnimating, setIsAnimating] = useState(false)
+  const [lastRun, setLastRun] = useState(null) // 上次动画的统计：{ mode, count, ratio, fps, duration }
+  const [nodes, setNodes, onNodesChange] = useNodesState([])
+  const currentNodesRef = useRef(nodes)
+  const reactFlowRef = useRef(null)
+  const seedRef = useRef(0)
+  const { fps, framesRef } = useFps()
+  const { animate, stop } = useNodeAnimation(setNodes)
+
+  const edges = useMemo(() => (showEdges ? generateEdges(nodeCount) : []), [showEdges, nodeCount])
+
+  // 同步更新当前节点引用
+  useEffect(() => {
+    currentNodesRef.current = nodes
+  }, [nodes])
+
+  // 切换节点数量时重新生成节点，视口适应新的网格
+  useEffect(() => {
+    stop()
+    setIsAnimating(false)
+    setNodes(generateNodes(nodeCount))
+    requestAnimationFrame(() => reactFlowRef.current?.fitView())
+  }, [nodeCount, setNodes, stop])
+
+  // 打乱一部分节点的顺序，动画过渡到新的网格位置，结束时记录平均帧率
+  const play = useCallback(() => {
+    const currentNodes = currentNodesRef.current
+    const shuffled = shuffleSubset(currentNodes, moveRatio, createRandom(++seedRef.current))
+    const targetNodes = layoutNodes(shuffled, [], { engine: "grid" })
+    const start = { frames: framesRef.current, time: performance.now() }
+
+    setIsAnimating(true)
+    animate(currentNodes, targetNodes, {
+      duration: DURATION,
+      easing: "easeInOutCubic",
+      positionsOnly: updateMode === "positions",
+      onAnimationEnd: () => {
+        const duration = performance.now() - start.time
+        setIsAnimating(false)
+        setLastRun({
+          mode: updateMode,
+          count: currentNodes.length,
+          ratio: moveRatio,
+          fps: Math.round(((framesRef.current - start.frames) * 1000) / duration),
+          duration: Math.round(duration),
+        })
+      },
+    })
+  }, [animate, framesRef, updateMode, moveRatio])
+
+  return (
+    <div
+      className="w-full h-full"
+      style={{ minHeight: 0 }}
+    >
+      <ReactFlow
+        nodes={nodes}
+        edges={edges}
+        onNodesChange={onNodesChange}
+        onInit={(instance) => (reactFlowRef.current = instance)}
+        onlyRenderVisibleElements
+        minZoom={0.02}
+        fitView
+      >
+        <Background />
+        <Controls />
+
+        <Panel
+          position="top-left"
+          className="bg-card border border-border rounded-lg shadow-lg p-4 space-y-4 min-w-[260px]"
+        >
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-foreground">节点数量</h3>
+            <div className="flex gap-2">
+              {NODE_COUNTS.map((count) => (
+                <button
+                  key={count}
+                  onClick={() => setNodeCount(count)}
+                  className={`flex-1 px-3 py-1 text-sm rounded-md transition-colors ${
+                    nodeCount === count
+                      ? "bg-primary text-primary-foreground"
+                      : "bg-muted text-muted-foreground hover:bg-muted/80"
+                  }`}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-foreground">更新模式</h3>
+            <div className="flex gap-2">
+              {UPDATE_MODES.map((mode) => (
+                <button
+                  key={mode.value}
+                  onClick={() => setUpdateMode(mode.value)}
+                  className={`flex-1 px-3 py-1 text-sm rounded-md transition-colors ${
+                    updateMode === mode.value
+                      ? "bg-primary text-primary-foreground"
+                      : "bg-muted text-muted-foreground hover:bg-muted/80"
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-foreground">移动的节点</h3>
+            <div className="flex gap-2">
+              {MOVE_RATIOS.map((ratio) => (
+                <button
+                  key={ratio.value}
+                  onClick={() => setMoveRatio(ratio.value)}
+                  className={`flex-1 px-3 py-1 text-sm rounded-md transition-colors ${
+                    moveRatio === ratio.value
+                      ? "bg-primary text-primary-foreground"
+                      : "bg-muted text-muted-foreground hover:bg-muted/80"
+                  }`}
+                >
+                  {ratio.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm text-foreground">
+              <input
+                type="checkbox"
+                checked={showEdges}
+                onChange={(e) => setShowEdges(e.target.checked)}
+              />
+              显示连线
+            </label>
+            <button
+              onClick={play}
+              className="w-full px-3 py-2 text-sm bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors"
+            >
+              打乱并播放动画
+            </button>
+          </div>
+
+          <div className="pt-2 border-t border-border space-y-1 text-xs">
+            <div className="flex items-center justify-between">
+              <span className="text-muted-foreground">状态:</span>
+              <span className="text-foreground">{isAnimating ? "动画中…" : "空闲"}</span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-muted-foreground">帧率:</span>
+              <span className={`font-mono font-semibold ${fps < 30 ? "text-destructive" : "text-foreground"}`}>
+                {fps} fps
+              </span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-muted-foreground">上次动画:</span>
+              <span className="font-mono text-foreground">
+                {lastRun
+                  ? `${lastRun.count} 个节点移动 ${MOVE_RATIOS.find((ratio) => ratio.value === lastRun.ratio).label}，${UPDATE_MODES.find((mode) => mode.value === lastRun.mode).label}，平均 ${lastRun.fps} fps`
+                  : "-"}
+              </span>
+            </div>
+          </div>
+        </Panel>
+      </ReactFlow>
+    </div>
+  )
+}
+
+export default AnimationBenchmark
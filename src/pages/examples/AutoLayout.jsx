@@ -2,10 +2,15 @@
  * 自动布局案例
  *
  * 这个案例展示了如何实现自动布局功能：
- * - 使用 Dagre 算法自动计算节点位置
+ * - 使用共享布局模块（@/lib/layout）自动计算节点位置，可在 Dagre、ELK 和力导向引擎之间切换
+ * - 力导向模式实时运行模拟，拖拽过的节点会被固定，可调节斥力、边长度和碰撞半径
  * - 支持多种布局方向（TB: 从上到下, LR: 从左到右, BT: 从下到上, RL: 从右到左）
  * - 支持运行时切换布局方向
- * - 结合动画效果，平滑过渡到新布局
+ * - 使用共享动画模块（useNodeAnimation）的缓动效果，平滑过渡到新布局；全局设置关闭动画时“启用动画”按钮不可用
+ * - 切换方向时边随连接点方向平滑变形（MorphingEdge），视口同时过渡到新布局的范围
+ * - 底部的时间轴可以暂停、拖动进度、倒放和调整速度；动画中途切换方向时节点带着当前速度平滑转向
+ * - 使用 React Flow 测量的节点尺寸布局，节点尺寸变化时自动重新布局
+ * - 布局在 Web Worker 中计算，新的请求会取消未完成的请求，计算期间显示“布局中”
  * - 提供可复用的 useAutoLayout hook
  *
  * 参考：https://pro-examples.reactflow.dev/auto-layout
@@ -13,90 +18,28 @@
 
 import { useState, useEffect, useRef, useCallback, useMemo } from "react"
 import { ReactFlow, Background, Controls, MiniMap, useNodesState, useEdgesState } from "@xyflow/react"
-import { timer } from "d3-timer"
-import dagre from "dagre"
+import {
+  DEFAULT_FORCE_OPTIONS,
+  getMotionNote,
+  isLayoutCancelled,
+  layoutNodes,
+  MorphingEdge,
+  useForceSimulation,
+  useLayoutOnResize,
+  useLayoutWorker,
+  useMotion,
+  useNodeAnimation,
+} from "@/lib/layout"
 import "@xyflow/react/dist/style.css"
 
 /**
- * 线性插值函数
- * @param {number} a - 起始值
- * @param {number} b - 目标值
- * @param {number} t - 插值系数 (0-1)
- * @returns {number} 插值结果
+ * 忽略被取消的布局请求，其他错误继续抛出
+ * @param {Error} error - 布局错误
  */
-const lerp = (a, b, t) => a + (b - a) * t
-
-/**
- * 使用 Dagre 算法计算节点布局
- * @param {Array} nodes - 节点数组
- * @param {Array} edges - 边数组
- * @param {string} direction - 布局方向：TB (从上到下), LR (从左到右), BT (从下到上), RL (从右到左)
- * @param {Object} options - 布局选项
- * @returns {Array} 布局后的节点数组
- */
-const getLayoutedNodes = (nodes, edges, direction = "TB", options = {}) => {
-  const { nodeWidth = 150, nodeHeight = 50, ranksep = 50, nodesep = 50 } = options
-
-  // 创建 Dagre 图实例
-  const dagreGraph = new dagre.graphlib.Graph()
-  dagreGraph.setDefaultEdgeLabel(() => ({}))
-  dagreGraph.setGraph({
-    rankdir: direction,
-    ranksep, // 层级间距
-    nodesep, // 节点间距
-  })
-
-  // 为每个节点设置尺寸
-  nodes.forEach((node) => {
-    dagreGraph.setNode(node.id, { width: nodeWidth, height: nodeHeight })
-  })
-
-  // 添加边到图中
-  edges.forEach((edge) => {
-    dagreGraph.setEdge(edge.source, edge.target)
-  })
-
-  // 执行布局计算
-  dagre.layout(dagreGraph)
-
-  // 更新节点的位置和连接点位置
-  return nodes.map((node) => {
-    const nodeWithPosition = dagreGraph.node(node.id)
-
-    // 根据布局方向设置连接点位置
-    let targetPosition, sourcePosition
-    switch (direction) {
-      case "TB": // 从上到下
-        targetPosition = "top"
-        sourcePosition = "bottom"
-        break
-      case "BT": // 从下到上
-        targetPosition = "bottom"
-        sourcePosition = "top"
-        break
-      case "LR": // 从左到右
-        targetPosition = "left"
-        sourcePosition = "right"
-        break
-      case "RL": // 从右到左
-        targetPosition = "right"
-        sourcePosition = "left"
-        break
-      default:
-        targetPosition = "top"
-        sourcePosition = "bottom"
-    }
-
-    return {
-      ...node,
-      position: {
-        x: nodeWithPosition.x - nodeWidth / 2,
-        y: nodeWithPosition.y - nodeHeight / 2,
-      },
-      targetPosition,
-      sourcePosition,
-    }
-  })
+const ignoreCancelled = (error) => {
+  if (!isLayoutCancelled(error)) {
+    throw error
+  }
 }
 
 /**
@@ -105,15 +48,28 @@ const getLayoutedNodes = (nodes, edges, direction = "TB", options = {}) => {
  * @param {Array} edges - 边数组
  * @param {string} direction - 布局方向
  * @param {Function} setNodes - 更新节点的函数
- * @param {Object} options - 布局选项
+ * @param {Object} options - 布局选项，options.engine 指定布局引擎
  * @param {boolean} animated - 是否启用动画，默认 true
  * @param {number} duration - 动画持续时间（毫秒），默认 800ms
+ * @param {Object} reactFlowRef - React Flow 实例的引用，视口随节点一起过渡到新布局
+ * @returns {{isLayouting: boolean, animation: Object}} 是否正在计算布局，以及动画的播放控制（见 useNodeAnimation）
  */
-const useAutoLayout = (nodes, edges, direction, setNodes, options = {}, animated = true, duration = 800) => {
-  const timerRef = useRef(null)
-  const startNodesRef = useRef(null)
-  const previousDirectionRef = useRef(null)
+const useAutoLayout = (
+  nodes,
+  edges,
+  direction,
+  setNodes,
+  options = {},
+  animated = true,
+  duration = 800,
+  reactFlowRef = null
+) => {
+  const previousLayoutKeyRef = useRef(null)
   const currentNodesRef = useRef(nodes)
+  // 在 Worker 中计算布局，新请求会取消未完成的请求
+  const { runLayout, isLayouting } = useLayoutWorker()
+  const animation = useNodeAnimation(setNodes)
+  const { animate, stop } = animation
 
   // 同步更新当前节点引用
   useEffect(() => {
@@ -121,17 +77,19 @@ const useAutoLayout = (nodes, edges, direction, setNodes, options = {}, animated
   }, [nodes])
 
   useEffect(() => {
-    // 检查方向是否真的发生了变化
-    if (previousDirectionRef.current === direction) {
+    // 检查方向或引擎是否真的发生了变化
+    const layoutKey = `${options.engine}:${direction}`
+    if (previousLayoutKeyRef.current === layoutKey) {
       return
     }
 
-    // 更新方向引用
-    previousDirectionRef.current = direction
+    // 更新布局引用
+    previousLayoutKeyRef.current = layoutKey
 
-    // 停止之前的动画
-    if (timerRef.current) {
-      timerRef.current.stop()
+    // 力导向布局由实时模拟（useForceSimulation）接管，停止之前的动画
+    if (options.engine === "force") {
+      stop()
+      return
     }
 
     // 获取当前节点（使用 ref 避免依赖项问题）
@@ -142,64 +100,32 @@ const useAutoLayout = (nodes, edges, direction, setNodes, options = {}, animated
       return
     }
 
-    // 计算目标布局（基于当前节点数据，但重新计算位置）
-    const targetNodes = getLayoutedNodes(currentNodes, edges, direction, options)
-
-    // 如果不启用动画，直接设置布局
-    if (!animated) {
-      setNodes(targetNodes)
+    // 计算目标布局（基于当前节点数据，但重新计算位置），完成后从当前位置过渡过去；
+    // 之前的动画继续播放，新的过渡开始时会继承节点的速度
+    runLayout(currentNodes, edges, { ...options, direction }).then(
+      (targetNodes) =>
+        animate(currentNodesRef.current, targetNodes, { animated, duration, viewport: reactFlowRef?.current }),
+      ignoreCancelled
+    )
+  }, [direction, edges, options, animated, duration, reactFlowRef, runLayout, animate, stop])
+
+  // 节点测量完成或尺寸变化时，按实际尺寸重新布局（不使用动画）
+  const relayout = useCallback(() => {
+    if (options.engine === "force") {
       return
     }
+    stop()
+    runLayout(currentNodesRef.current, edges, { ...options, direction }).then(setNodes, ignoreCancelled)
+  }, [edges, options, direction, setNodes, runLayout, stop])
 
-    // 记录起始节点（使用当前的节点状态）
-    startNodesRef.current = currentNodesRef.current.map((node) => ({
-      ...node,
-      position: { ...node.position },
-    }))
-
-    // 使用 d3-timer 创建平滑的动画循环
-    timerRef.current = timer((elapsed) => {
-      const progress = Math.min(elapsed / duration, 1)
-
-      // 对每个节点进行线性插值
-      setNodes((nds) =>
-        nds.map((node) => {
-          const targetNode = targetNodes.find((n) => n.id === node.id)
-          const startNode = startNodesRef.current.find((n) => n.id === node.id)
-
-          if (!targetNode || !startNode) {
-            return node
-          }
-
-          return {
-            ...node,
-            position: {
-              x: lerp(startNode.position.x, targetNode.position.x, progress),
-              y: lerp(startNode.position.y, targetNode.position.y, progress),
-            },
-            // 立即更新连接点位置（不需要动画）
-            targetPosition: targetNode.targetPosition,
-            sourcePosition: targetNode.sourcePosition,
-          }
-        })
-      )
-
-      // 动画完成时停止定时器
-      if (progress >= 1) {
-        if (timerRef.current) {
-          timerRef.current.stop()
-        }
-        // 确保最终位置精确
-        setNodes(targetNodes)
-      }
-    })
-
-    return () => {
-      if (timerRef.current) {
-        timerRef.current.stop()
-      }
-    }
-  }, [direction, edges, setNodes, options, animated, duration])
+  useLayoutOnResize(nodes, relayout)
+
+  return { isLayouting, animation }
+}
+
+// 注册自定义边类型：Dagre 布局使用可变形的贝塞尔边，切换方向时边随连接点平滑变形
+const edgeTypes = {
+  morphing: MorphingEdge,
 }
 
 // 布局方向选项
@@ -210,6 +136,23 @@ const LAYOUT_DIRECTIONS = [
   { value: "RL", label: "从右到左 (RL)" },
 ]
 
+// 布局引擎选项
+const LAYOUT_ENGINES = [
+  { value: "dagre", label: "Dagre" },
+  { value: "elk", label: "ELK (分层 + 正交边)" },
+  { value: "force", label: "力导向 (实时模拟)" },
+]
+
+// 时间轴可选的播放速度
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2]
+
+// 力导向参数滑块
+const FORCE_SLIDERS = [
+  { key: "charge", label: "斥力", min: -1000, max: 0, step: 10 },
+  { key: "linkDistance", label: "边长度", min: 30, max: 300, step: 5 },
+  { key: "collisionRadius", label: "碰撞半径", min: 0, max: 150, step: 5 },
+]
+
 // 初始节点数据（不包含位置信息，位置将由自动布局计算）
 const initialNodes = [
   { id: "1", data: { label: "开始" } },
@@ -234,34 +177,58 @@ const initialEdges = [
 
 function AutoLayout() {
   const [direction, setDirection] = useState("TB")
+  const [engine, setEngine] = useState("dagre")
   const [animated, setAnimated] = useState(true)
+  const [forceOptions, setForceOptions] = useState(DEFAULT_FORCE_OPTIONS)
+  const motion = useMotion()
+  const motionNote = getMotionNote(motion)
 
   // 初始化节点状态
   const [nodes, setNodes, onNodesChange] = useNodesState([])
   const [edges, , onEdgesChange] = useEdgesState(initialEdges)
+  const reactFlowRef = useRef(null)
 
-  // 布局选项
+  // 布局选项（节点尺寸使用测量值，不需要在这里指定）
   const layoutOptions = useMemo(
     () => ({
-      nodeWidth: 150,
-      nodeHeight: 50,
+      engine,
       ranksep: 50,
       nodesep: 50,
     }),
-    []
+    [engine]
   )
 
   // 初始化节点（首次加载时）
   useEffect(() => {
     if (nodes.length === 0) {
-      const layoutedNodes = getLayoutedNodes(initialNodes, initialEdges, direction, layoutOptions)
-      setNodes(layoutedNodes)
+      Promise.resolve(layoutNodes(initialNodes, initialEdges, { ...layoutOptions, direction })).then(setNodes)
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []) // 只在组件挂载时执行一次
 
+  // Dagre 使用可变形的贝塞尔边；ELK 按正交路线布局，使用直角折线边（smoothstep）显示；力导向布局使用直线边
+  const displayedEdges = useMemo(() => {
+    const edgeType = { dagre: "morphing", elk: "smoothstep", force: "straight" }[engine]
+    return edges.map((edge) => ({ ...edge, type: edgeType }))
+  }, [edges, engine])
+
+  // 力导向模式下实时运行模拟，拖拽回调用于固定节点
+  const { onNodeDragStart, onNodeDrag, onNodeDragStop, unpinAll } = useForceSimulation(nodes, edges, setNodes, {
+    ...forceOptions,
+    enabled: engine === "force",
+  })
+
   // 使用自动布局 hook
-  useAutoLayout(nodes, edges, direction, setNodes, layoutOptions, animated, 800)
+  const { isLayouting, animation } = useAutoLayout(
+    nodes,
+    edges,
+    direction,
+    setNodes,
+    layoutOptions,
+    animated,
+    800,
+    reactFlowRef
+  )
 
   // 切换布局方向
   const handleDirectionChange = useCallback((newDirection) => {
@@ -280,9 +247,14 @@ function AutoLayout() {
     >
       <ReactFlow
         nodes={nodes}
-        edges={edges}
+        edges={displayedEdges}
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
+        onNodeDragStart={onNodeDragStart}
+        onNodeDrag={onNodeDrag}
+        onNodeDragStop={onNodeDragStop}
+        onInit={(instance) => (reactFlowRef.current = instance)}
+        edgeTypes={edgeTypes}
         fitView
       >
         <Background />
@@ -290,6 +262,59 @@ function AutoLayout() {
         <MiniMap />
       </ReactFlow>
 
+      {/* 布局计算中的提示 */}
+      {isLayouting && (
+        <div className="absolute top-4 right-4 z-10 flex items-center gap-2 bg-card border border-border rounded-md shadow px-3 py-1.5 text-xs text-muted-foreground">
+          <span className="w-3 h-3 rounded-full border-2 border-primary border-t-transparent animate-spin" />
+          布局中…
+        </div>
+      )}
+
+      {/* 动画时间轴 */}
+      {engine !== "force" && animation.timeline.duration > 0 && (
+        <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-10 flex items-center gap-3 bg-card border border-border rounded-lg shadow-lg px-4 py-2">
+          <button
+            onClick={animation.timeline.playing ? animation.pause : animation.play}
+            className="w-16 px-2 py-1 text-sm rounded-md bg-primary text-primary-foreground hover:bg-primary/90 transition-colors"
+          >
+            {animation.timeline.playing ? "暂停" : "播放"}
+          </button>
+          <button
+            onClick={animation.reverse}
+            className="px-2 py-1 text-sm rounded-md bg-muted text-muted-foreground hover:bg-muted/80 transition-colors"
+          >
+            {animation.timeline.reversed ? "正放" : "倒放"}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={animation.timeline.duration}
+            step={1}
+            value={animation.timeline.time}
+            onChange={(e) => animation.seek(Number(e.target.value))}
+            className="w-48"
+          />
+          <span className="w-24 text-xs font-mono text-muted-foreground">
+            {Math.round(animation.timeline.time)} / {Math.round(animation.timeline.duration)} ms
+          </span>
+          <div className="flex gap-1">
+            {PLAYBACK_SPEEDS.map((speed) => (
+              <button
+                key={speed}
+                onClick={() => animation.setSpeed(speed)}
+                className={`px-2 py-1 text-xs rounded-md transition-colors ${
+                  animation.timeline.speed === speed
+                    ? "bg-primary text-primary-foreground"
+                    : "bg-muted text-muted-foreground hover:bg-muted/80"
+                }`}
+              >
+                {speed}x
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* 控制面板 */}
       <div className="absolute top-4 left-4 z-10 bg-card border border-border rounded-lg shadow-lg p-4 space-y-4 min-w-[240px]">
         <div className="space-y-2">
@@ -311,16 +336,72 @@ function AutoLayout() {
           </div>
         </div>
 
+        <div className="space-y-2">
+          <h3 className="text-sm font-semibold text-foreground">布局引擎</h3>
+          <div className="space-y-2">
+            {LAYOUT_ENGINES.map((item) => (
+              <button
+                key={item.value}
+                onClick={() => setEngine(item.value)}
+                className={`w-full px-3 py-2 text-sm rounded-md transition-colors ${
+                  engine === item.value
+                    ? "bg-primary text-primary-foreground"
+                    : "bg-muted text-muted-foreground hover:bg-muted/80"
+                }`}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {engine === "force" && (
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-foreground">力导向参数</h3>
+            {FORCE_SLIDERS.map((slider) => (
+              <label
+                key={slider.key}
+                className="block text-xs text-muted-foreground space-y-1"
+              >
+                <div className="flex justify-between">
+                  <span>{slider.label}</span>
+                  <span className="font-mono">{forceOptions[slider.key]}</span>
+                </div>
+                <input
+                  type="range"
+                  min={slider.min}
+                  max={slider.max}
+                  step={slider.step}
+                  value={forceOptions[slider.key]}
+                  onChange={(e) => setForceOptions((prev) => ({ ...prev, [slider.key]: Number(e.target.value) }))}
+                  className="w-full"
+                />
+              </label>
+            ))}
+            <p className="text-xs text-muted-foreground">拖拽过的节点会固定在放下的位置</p>
+            <button
+              onClick={unpinAll}
+              className="w-full px-3 py-2 text-sm bg-muted text-muted-foreground rounded-md hover:bg-muted/80 transition-colors"
+            >
+              取消固定
+            </button>
+          </div>
+        )}
+
         <div className="space-y-2">
           <h3 className="text-sm font-semibold text-foreground">动画</h3>
           <button
             onClick={toggleAnimation}
-            className={`w-full px-3 py-2 text-sm rounded-md transition-colors ${
-              animated ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground hover:bg-muted/80"
+            disabled={motion === "none"}
+            className={`w-full px-3 py-2 text-sm rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+              animated && motion !== "none"
+                ? "bg-primary text-primary-foreground"
+                : "bg-muted text-muted-foreground hover:bg-muted/80"
             }`}
           >
-            {animated ? "✓ 启用动画" : "✗ 禁用动画"}
+            {animated && motion !== "none" ? "✓ 启用动画" : "✗ 禁用动画"}
           </button>
+          {motionNote && <p className="text-xs text-muted-foreground">{motionNote}</p>}
         </div>
       </div>
     </div>
@@ -2,58 +2,32 @@
  * Dagre 自动布局案例
  *
  * 这个案例展示了如何使用 Dagre 算法自动排列节点：
- * - 使用 dagre 库计算节点位置
+ * - 使用共享布局模块（@/lib/layout）中的 Dagre 引擎计算节点位置
  * - 根据边的连接关系自动布局
+ * - 节点测量完成后按实际尺寸重新布局
  * - 支持不同的布局方向（TB: 从上到下）
+ * - 保留 Dagre 计算的边路线（dagreLayoutWithEdges），用 RoutedEdge 画成折线或平滑曲线，跨层的边不会穿过节点
+ * - 正交避让模式下根据节点的当前位置实时计算绕开节点的直角路线，拖拽节点后边会重新走线
  */
 
-import { useLayoutEffect } from "react"
-import { ReactFlow, Background, Controls, MiniMap, useNodesState, useEdgesState } from "@xyflow/react"
-import dagre from "dagre"
+import { useState, useLayoutEffect, useCallback, useMemo } from "react"
+import { ReactFlow, Background, Controls, MiniMap, Panel, useNodesState, useEdgesState } from "@xyflow/react"
+import { RoutedEdge, dagreLayoutWithEdges, useLayoutOnResize } from "@/lib/layout"
 import "@xyflow/react/dist/style.css"
 
-/**
- * 使用 Dagre 算法计算节点布局
- * @param {Array} nodes - 节点数组
- * @param {Array} edges - 边数组
- * @param {string} direction - 布局方向，默认为 "TB" (Top to Bottom)
- * @returns {Object} 包含布局后的 nodes 和 edges
- */
-const getLayoutedElements = (nodes, edges, direction = "TB") => {
-  // 创建 Dagre 图实例
-  const dagreGraph = new dagre.graphlib.Graph()
-  dagreGraph.setDefaultEdgeLabel(() => ({}))
-  dagreGraph.setGraph({ rankdir: direction }) // 设置布局方向：TB (从上到下), LR (从左到右) 等
-
-  // 为每个节点设置尺寸
-  nodes.forEach((node) => {
-    dagreGraph.setNode(node.id, { width: 150, height: 50 })
-  })
-
-  // 添加边到图中
-  edges.forEach((edge) => {
-    dagreGraph.setEdge(edge.source, edge.target)
-  })
-
-  // 执行布局计算
-  dagre.layout(dagreGraph)
-
-  // 更新节点的位置和连接点位置
-  nodes.forEach((node) => {
-    const nodeWithPosition = dagreGraph.node(node.id)
-    // 设置连接点位置：顶部输入，底部输出
-    node.targetPosition = "top"
-    node.sourcePosition = "bottom"
-    // 设置节点位置（居中）
-    node.position = {
-      x: nodeWithPosition.x - 75, // 减去节点宽度的一半
-      y: nodeWithPosition.y - 25, // 减去节点高度的一半
-    }
-  })
-
-  return { nodes, edges }
+// 注册自定义边类型
+const edgeTypes = {
+  routed: RoutedEdge,
 }
 
+// 边样式选项
+const EDGE_STYLES = [
+  { value: "default", label: "默认曲线", hint: "React Flow 默认的贝塞尔曲线，跨层的边会穿过节点" },
+  { value: "polyline", label: "布局折线", hint: "沿 Dagre 计算的路线绘制，拖拽节点后相连的边变为直线" },
+  { value: "spline", label: "布局平滑曲线", hint: "经过 Dagre 路线控制点的平滑曲线，拖拽节点后相连的边变为直线" },
+  { value: "orthogonal", label: "正交避让", hint: "根据节点当前位置实时计算直角路线，拖拽节点时边会绕开其他节点" },
+]
+
 // 初始节点数据（不包含位置信息，位置将由 Dagre 计算）
 const initialNodes = [
   { id: "1", data: { label: "开始" } },
@@ -63,27 +37,76 @@ const initialNodes = [
   { id: "5", data: { label: "结束" } },
 ]
 
-// 定义节点之间的连接关系
+// 定义节点之间的连接关系，e1-5 跨越多层
 const initialEdges = [
   { id: "e1-2", source: "1", target: "2" },
   { id: "e1-3", source: "1", target: "3" },
   { id: "e2-4", source: "2", target: "4" },
   { id: "e3-4", source: "3", target: "4" },
   { id: "e4-5", source: "4", target: "5" },
+  { id: "e1-5", source: "1", target: "5" },
 ]
 
 function DagreLayout() {
+  const [edgeStyle, setEdgeStyle] = useState("polyline")
+
   // 初始状态为空数组，将在 useLayoutEffect 中设置
   const [nodes, setNodes, onNodesChange] = useNodesState([])
   const [edges, setEdges, onEdgesChange] = useEdgesState([])
 
+  // 计算节点位置和边的路线（写入边的 data.points）
+  const applyLayout = useCallback(
+    (currentNodes, currentEdges) => {
+      const layouted = dagreLayoutWithEdges(currentNodes, currentEdges, { direction: "TB" })
+      setNodes(layouted.nodes)
+      setEdges(layouted.edges)
+    },
+    [setNodes, setEdges]
+  )
+
   // 在组件挂载时计算布局
   // useLayoutEffect 确保在 DOM 更新前执行
   useLayoutEffect(() => {
-    const { nodes: layoutedNodes, edges: layoutedEdges } = getLayoutedElements(initialNodes, initialEdges)
-    setNodes(layoutedNodes)
-    setEdges(layoutedEdges)
-  }, [setNodes, setEdges])
+    // 布局函数返回新的节点数组，不会修改 initialNodes
+    applyLayout(initialNodes, initialEdges)
+  }, [applyLayout])
+
+  // 首次布局时节点尚未测量，使用默认尺寸；测量完成或尺寸变化后按实际尺寸重新布局
+  const relayout = useCallback(() => {
+    applyLayout(nodes, edges)
+  }, [nodes, edges, applyLayout])
+
+  useLayoutOnResize(nodes, relayout)
+
+  // 拖拽节点后布局计算的路线不再适用，去掉相连边的控制点（变为直线）
+  const onNodeDragStart = useCallback(
+    (event, node) => {
+      setEdges((eds) =>
+        eds.map((edge) =>
+          edge.source === node.id || edge.target === node.id
+            ? { ...edge, data: { ...edge.data, points: undefined } }
+            : edge
+        )
+      )
+    },
+    [setEdges]
+  )
+
+  // 按所选样式渲染边
+  const displayedEdges = useMemo(() => {
+    if (edgeStyle === "default") {
+      return edges
+    }
+    return edges.map((edge) => ({
+      ...edge,
+      type: "routed",
+      data: {
+        ...edge.data,
+        curve: edgeStyle === "spline" ? "spline" : "polyline",
+        router: edgeStyle === "orthogonal" ? "orthogonal" : undefined,
+      },
+    }))
+  }, [edges, edgeStyle])
 
   return (
     <div
@@ -92,14 +115,45 @@ function DagreLayout() {
     >
       <ReactFlow
         nodes={nodes}
-        edges={edges}
+        edges={displayedEdges}
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
+        onNodeDragStart={onNodeDragStart}
+        edgeTypes={edgeTypes}
         fitView
       >
         <Background />
         <Controls />
         <MiniMap />
+
+        <Panel
+          position="top-left"
+          className="bg-card border border-border rounded-lg shadow-lg p-4 space-y-2 w-[220px]"
+        >
+          <h3 className="text-sm font-semibold text-foreground">边样式</h3>
+          <div className="grid grid-cols-2 gap-2">
+            {EDGE_STYLES.map((item) => (
+              <button
+                key={item.value}
+                onClick={() => setEdgeStyle(item.value)}
+                className={`px-2 py-1 text-xs rounded-md transition-colors ${
+                  edgeStyle === item.value
+                    ? "bg-primary text-primary-foreground"
+                    : "bg-muted text-muted-foreground hover:bg-muted/80"
+                }`}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-muted-foreground">{EDGE_STYLES.find((item) => item.value === edgeStyle).hint}</p>
+          <button
+            onClick={() => applyLayout(nodes, edges)}
+            className="w-full px-3 py-1 text-sm bg-muted text-muted-foreground rounded-md hover:bg-muted/80 transition-colors"
+          >
+            重新布局
+          </button>
+        </Panel>
       </ReactFlow>
     </div>
   )
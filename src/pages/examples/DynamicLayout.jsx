@@ -4,8 +4,12 @@
  * 这个案例展示了如何实现动态布局功能：
  * - 当新增节点时，自动重新计算布局
  * - 当添加或删除边时，自动重新布局
- * - 使用 Dagre 算法自动计算节点位置
- * - 支持平滑的动画过渡
+ * - 使用共享布局模块（@/lib/layout）中的 Dagre 引擎自动计算节点位置
+ * - 使用 React Flow 测量的节点尺寸布局，新节点测量完成后再次调整
+ * - 布局在 Web Worker 中计算，连续修改时只保留最新的布局请求
+ * - 稳定模式下已有节点保持位置，只把新节点放到相邻节点旁边；也可以切换为每次完全重新布局
+ * - 右键节点可以固定或取消固定（data.pinned），固定的节点在自动布局时保持在原位
+ * - 支持平滑的动画过渡，新节点淡入，删除的节点淡出后再移除；全局设置关闭动画时增删节点立即生效
  * - 提供添加节点和连接节点的功能
  *
  * 参考：https://pro-examples.reactflow.dev/dynamic-layouting
@@ -13,108 +17,17 @@
 
 import { useState, useLayoutEffect, useRef, useCallback, useMemo } from "react"
 import { ReactFlow, Background, Controls, MiniMap, useNodesState, useEdgesState, Panel, addEdge } from "@xyflow/react"
-import { timer } from "d3-timer"
-import dagre from "dagre"
+import {
+  getMotionNote,
+  isLayoutCancelled,
+  layoutNodes,
+  useLayoutOnResize,
+  useLayoutWorker,
+  useMotion,
+  useNodeAnimation,
+} from "@/lib/layout"
 import "@xyflow/react/dist/style.css"
 
-/**
- * 线性插值函数
- * @param {number} a - 起始值
- * @param {number} b - 目标值
- * @param {number} t - 插值系数 (0-1)
- * @returns {number} 插值结果
- */
-const lerp = (a, b, t) => a + (b - a) * t
-
-/**
- * 使用 Dagre 算法计算节点布局
- * @param {Array} nodes - 节点数组
- * @param {Array} edges - 边数组
- * @param {string} direction - 布局方向：TB (从上到下), LR (从左到右), BT (从下到上), RL (从右到左)
- * @param {Object} options - 布局选项
- * @returns {Array} 布局后的节点数组
- */
-const getLayoutedNodes = (nodes, edges, direction = "TB", options = {}) => {
-  const { nodeWidth = 150, nodeHeight = 50, ranksep = 50, nodesep = 50 } = options
-
-  // 如果没有节点，返回空数组
-  if (!nodes || nodes.length === 0) {
-    return []
-  }
-
-  // 创建 Dagre 图实例
-  const dagreGraph = new dagre.graphlib.Graph()
-  dagreGraph.setDefaultEdgeLabel(() => ({}))
-  dagreGraph.setGraph({
-    rankdir: direction,
-    ranksep, // 层级间距
-    nodesep, // 节点间距
-  })
-
-  // 为每个节点设置尺寸
-  nodes.forEach((node) => {
-    dagreGraph.setNode(node.id, { width: nodeWidth, height: nodeHeight })
-  })
-
-  // 添加边到图中
-  edges.forEach((edge) => {
-    dagreGraph.setEdge(edge.source, edge.target)
-  })
-
-  // 执行布局计算
-  dagre.layout(dagreGraph)
-
-  // 更新节点的位置和连接点位置
-  return nodes.map((node) => {
-    const nodeWithPosition = dagreGraph.node(node.id)
-
-    // 安全检查：如果 dagre 没有计算位置，使用默认位置
-    if (!nodeWithPosition || nodeWithPosition.x === undefined || nodeWithPosition.y === undefined) {
-      console.warn(`节点 ${node.id} 没有计算位置，使用默认位置`)
-      return {
-        ...node,
-        position: node.position || { x: 0, y: 0 },
-        targetPosition: "top",
-        sourcePosition: "bottom",
-      }
-    }
-
-    // 根据布局方向设置连接点位置
-    let targetPosition, sourcePosition
-    switch (direction) {
-      case "TB": // 从上到下
-        targetPosition = "top"
-        sourcePosition = "bottom"
-        break
-      case "BT": // 从下到上
-        targetPosition = "bottom"
-        sourcePosition = "top"
-        break
-      case "LR": // 从左到右
-        targetPosition = "left"
-        sourcePosition = "right"
-        break
-      case "RL": // 从右到左
-        targetPosition = "right"
-        sourcePosition = "left"
-        break
-      default:
-        targetPosition = "top"
-        sourcePosition = "bottom"
-    }
-
-    return {
-      ...node,
-      position: {
-        x: nodeWithPosition.x - nodeWidth / 2,
-        y: nodeWithPosition.y - nodeHeight / 2,
-      },
-      targetPosition,
-      sourcePosition,
-    }
-  })
-}
-
 // 布局方向选项
 const LAYOUT_DIRECTIONS = [
   { value: "TB", label: "从上到下 (TB)" },
@@ -123,6 +36,12 @@ const LAYOUT_DIRECTIONS = [
   { value: "RL", label: "从右到左 (RL)" },
 ]
 
+// 布局模式选项
+const LAYOUT_MODES = [
+  { value: "stable", label: "稳定" },
+  { value: "full", label: "完全重新布局" },
+]
+
 // 初始节点数据
 const initialNodes = [
   { id: "1", data: { label: "开始" } },
@@ -139,6 +58,10 @@ const initialEdges = [
 function DynamicLayout() {
   const [direction, setDirection] = useState("TB")
   const [animated, setAnimated] = useState(true)
+  // 关闭动画时禁用动画开关，删除的节点立即移除
+  const motion = useMotion()
+  const motionNote = getMotionNote(motion)
+  const [layoutMode, setLayoutMode] = useState("stable")
   const [nodeCounter, setNodeCounter] = useState(4)
 
   // 初始化节点和边状态
@@ -146,113 +69,75 @@ function DynamicLayout() {
   const [edges, setEdges, onEdgesChange] = useEdgesState([])
 
   // 动画相关引用
-  const timerRef = useRef(null)
-  const startNodesRef = useRef(null)
   const isLayoutingRef = useRef(false)
   const previousNodesIdsRef = useRef("")
   const previousEdgesIdsRef = useRef("")
+  const containerRef = useRef(null)
+
+  // 节点右键菜单：{ id, pinned, x, y }，坐标相对容器
+  const [menu, setMenu] = useState(null)
 
-  // 布局选项
+  // 在 Worker 中计算布局，新请求会取消未完成的请求
+  const { runLayout, isLayouting } = useLayoutWorker()
+  const { animate, stop } = useNodeAnimation(setNodes)
+
+  // 布局选项（节点尺寸使用测量值，不需要在这里指定）
   const layoutOptions = useMemo(
     () => ({
-      nodeWidth: 150,
-      nodeHeight: 50,
       ranksep: 50,
       nodesep: 50,
     }),
     []
   )
 
-  // 应用布局（带动画）
+  // 从当前节点过渡到布局结果，新节点（enteringIds）在目标位置淡入
+  const animateTo = useCallback(
+    (targetNodes, layoutedNodes, animatedTransition, enteringIds) => {
+      isLayoutingRef.current = true
+      animate(
+        targetNodes.filter((node) => !enteringIds.includes(node.id)),
+        layoutedNodes,
+        {
+          animated: animatedTransition && animated,
+          duration: 800,
+          easing: "easeInOutCubic",
+          onAnimationEnd: () => {
+            isLayoutingRef.current = false
+          },
+        }
+      )
+    },
+    [animated, animate]
+  )
+
+  // 应用布局（带动画），overrides 覆盖布局选项（如使用增量布局引擎），enteringIds 为新增的节点
   const applyLayout = useCallback(
-    (targetNodes, targetEdges, animatedTransition = true) => {
+    (targetNodes, targetEdges, animatedTransition = true, overrides = {}, enteringIds = []) => {
       // 如果正在布局，停止之前的动画
-      if (timerRef.current) {
-        timerRef.current.stop()
-      }
+      stop()
 
       // 如果没有节点，不执行布局
       if (!targetNodes || targetNodes.length === 0) {
         return
       }
 
-      // 计算目标布局
-      const layoutedNodes = getLayoutedNodes(targetNodes, targetEdges, direction, layoutOptions)
-
-      // 如果不启用动画，直接设置布局
-      if (!animatedTransition || !animated) {
-        setNodes(layoutedNodes)
-        isLayoutingRef.current = false
-        return
-      }
-
-      // 记录起始节点
-      startNodesRef.current = targetNodes.map((node) => ({
-        ...node,
-        position: { ...node.position },
-      }))
-
-      isLayoutingRef.current = true
-      const duration = 800
-
-      // 使用 d3-timer 创建平滑的动画循环
-      timerRef.current = timer((elapsed) => {
-        const progress = Math.min(elapsed / duration, 1)
-
-        // 对每个节点进行线性插值
-        setNodes((nds) =>
-          nds.map((node) => {
-            const targetNode = layoutedNodes.find((n) => n.id === node.id)
-            const startNode = startNodesRef.current.find((n) => n.id === node.id)
-
-            if (!targetNode) {
-              return node
-            }
-
-            // 如果是新节点或起始节点没有位置，直接使用目标位置
-            if (!startNode || !startNode.position || startNode.position.x === undefined) {
-              return {
-                ...node,
-                ...targetNode,
-              }
-            }
-
-            // 确保目标节点有有效位置
-            if (!targetNode.position || targetNode.position.x === undefined) {
-              return node
-            }
-
-            return {
-              ...node,
-              position: {
-                x: lerp(startNode.position.x, targetNode.position.x, progress),
-                y: lerp(startNode.position.y, targetNode.position.y, progress),
-              },
-              // 立即更新连接点位置（不需要动画）
-              targetPosition: targetNode.targetPosition,
-              sourcePosition: targetNode.sourcePosition,
-            }
-          })
-        )
-
-        // 动画完成时停止定时器
-        if (progress >= 1) {
-          if (timerRef.current) {
-            timerRef.current.stop()
+      // 计算目标布局，完成后过渡到新位置
+      runLayout(targetNodes, targetEdges, { ...layoutOptions, direction, ...overrides }).then(
+        (layoutedNodes) => animateTo(targetNodes, layoutedNodes, animatedTransition, enteringIds),
+        (error) => {
+          if (!isLayoutCancelled(error)) {
+            throw error
           }
-          // 确保最终位置精确
-          setNodes(layoutedNodes)
-          isLayoutingRef.current = false
         }
-      })
+      )
     },
-    [direction, layoutOptions, animated, setNodes]
+    [direction, layoutOptions, runLayout, animateTo, stop]
   )
 
   // 初始化节点（首次加载时）
   useLayoutEffect(() => {
     if (nodes.length === 0) {
-      const layoutedNodes = getLayoutedNodes(initialNodes, initialEdges, direction, layoutOptions)
+      const layoutedNodes = layoutNodes(initialNodes, initialEdges, { ...layoutOptions, direction })
       setNodes(layoutedNodes)
       setEdges(initialEdges)
       // 更新引用，避免触发重新布局
@@ -285,14 +170,30 @@ function DynamicLayout() {
 
     // 只有当节点或边发生变化时才重新布局
     if (nodesChanged || edgesChanged) {
+      // 稳定模式下只放置新增的节点
+      const previousIds = new Set(previousNodesIdsRef.current.split(","))
+      const newNodeIds = nodes.map((n) => n.id).filter((id) => !previousIds.has(id))
+      const overrides = layoutMode === "stable" ? { engine: "incremental", newNodeIds } : {}
+
       // 更新引用
       previousNodesIdsRef.current = currentNodesIds
       previousEdgesIdsRef.current = currentEdgesIds
 
       // 触发布局
-      applyLayout(nodes, edges, true)
+      applyLayout(nodes, edges, true, overrides, newNodeIds)
+    }
+  }, [nodes, edges, applyLayout, layoutMode]) // 监听节点和边的变化
+
+  // 节点测量完成或尺寸变化时（如新节点首次渲染），按实际尺寸从当前位置过渡到新布局
+  // 稳定模式下不因尺寸变化移动已有节点
+  const relayout = useCallback(() => {
+    if (layoutMode === "stable") {
+      return
     }
-  }, [nodes, edges, applyLayout]) // 监听节点和边的变化
+    applyLayout(nodes, edges, true)
+  }, [nodes, edges, applyLayout, layoutMode])
+
+  useLayoutOnResize(nodes, relayout)
 
   // 当布局方向改变时，重新布局
   useLayoutEffect(() => {
@@ -315,7 +216,7 @@ function DynamicLayout() {
     setNodeCounter((prev) => prev + 1)
   }, [nodeCounter, setNodes])
 
-  // 删除选中的节点
+  // 删除选中的节点：先淡出，动画结束后删除节点和相关的边，再触发重新布局
   const deleteSelectedNodes = useCallback(() => {
     const selectedNodes = nodes.filter((node) => node.selected)
     if (selectedNodes.length === 0) {
@@ -324,12 +225,25 @@ function DynamicLayout() {
 
     const selectedNodeIds = new Set(selectedNodes.map((node) => node.id))
 
-    // 删除选中的节点
-    setNodes((nds) => nds.filter((node) => !node.selected))
-
-    // 删除与选中节点相关的所有边
-    setEdges((eds) => eds.filter((edge) => !selectedNodeIds.has(edge.source) && !selectedNodeIds.has(edge.target)))
-  }, [nodes, setNodes, setEdges])
+    // 淡出期间不触发布局
+    isLayoutingRef.current = true
+    animate(
+      nodes,
+      nodes.filter((node) => !node.selected),
+      {
+        animated,
+        duration: 300,
+        easing: "easeOutQuad",
+        onAnimationEnd: () => {
+          isLayoutingRef.current = false
+          // 删除与选中节点相关的所有边
+          setEdges((eds) =>
+            eds.filter((edge) => !selectedNodeIds.has(edge.source) && !selectedNodeIds.has(edge.target))
+          )
+        },
+      }
+    )
+  }, [nodes, animated, animate, setEdges])
 
   // 处理节点连接
   const onConnect = useCallback(
@@ -339,6 +253,37 @@ function DynamicLayout() {
     [setEdges]
   )
 
+  // 右键节点时在鼠标位置打开菜单
+  const onNodeContextMenu = useCallback((event, node) => {
+    event.preventDefault()
+    const bounds = containerRef.current.getBoundingClientRect()
+    setMenu({
+      id: node.id,
+      pinned: Boolean(node.data.pinned),
+      x: event.clientX - bounds.left,
+      y: event.clientY - bounds.top,
+    })
+  }, [])
+
+  const closeMenu = useCallback(() => setMenu(null), [])
+
+  // 固定或取消固定节点，固定的节点加上高亮边框
+  const togglePinned = useCallback(() => {
+    const { id, pinned } = menu
+    setNodes((nds) =>
+      nds.map((node) =>
+        node.id === id
+          ? {
+              ...node,
+              data: { ...node.data, pinned: !pinned },
+              className: pinned ? undefined : "ring-2 ring-amber-400 rounded-[3px]",
+            }
+          : node
+      )
+    )
+    setMenu(null)
+  }, [menu, setNodes])
+
   // 切换布局方向
   const handleDirectionChange = useCallback((newDirection) => {
     setDirection(newDirection)
@@ -354,6 +299,7 @@ function DynamicLayout() {
 
   return (
     <div
+      ref={containerRef}
       className="w-full h-full relative"
       style={{ minHeight: 0 }}
     >
@@ -363,6 +309,9 @@ function DynamicLayout() {
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
         onConnect={onConnect}
+        onNodeContextMenu={onNodeContextMenu}
+        onPaneClick={closeMenu}
+        onMoveStart={closeMenu}
         fitView
       >
         <Background />
@@ -375,10 +324,19 @@ function DynamicLayout() {
           className="bg-card border border-border rounded-lg shadow-lg p-4 space-y-4 min-w-[240px]"
         >
           <div className="space-y-2">
-            <h3 className="text-sm font-semibold text-foreground">动态布局</h3>
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-foreground">动态布局</h3>
+              {isLayouting && (
+                <span className="flex items-center gap-1.5 text-xs text-muted-foreground">
+                  <span className="w-3 h-3 rounded-full border-2 border-primary border-t-transparent animate-spin" />
+                  布局中…
+                </span>
+              )}
+            </div>
             <div className="text-xs text-muted-foreground space-y-1">
               <p>• 点击"添加节点"按钮添加新节点</p>
               <p>• 拖拽节点之间的连接点创建连接</p>
+              <p>• 右键节点固定位置，固定后自动布局不再移动它</p>
               <p>• 新增节点或连接时自动重新布局</p>
               <p>• 选择节点后点击"删除节点"删除</p>
             </div>
@@ -419,16 +377,44 @@ function DynamicLayout() {
             </div>
           </div>
 
+          <div className="pt-2 border-t border-border space-y-2">
+            <h3 className="text-sm font-semibold text-foreground">布局模式</h3>
+            <div className="flex gap-2">
+              {LAYOUT_MODES.map((mode) => (
+                <button
+                  key={mode.value}
+                  onClick={() => setLayoutMode(mode.value)}
+                  className={`flex-1 px-3 py-2 text-sm rounded-md transition-colors ${
+                    layoutMode === mode.value
+                      ? "bg-primary text-primary-foreground"
+                      : "bg-muted text-muted-foreground hover:bg-muted/80"
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {layoutMode === "stable"
+                ? "已有节点保持位置，新节点放在相邻节点旁边"
+                : "每次变化都重新计算所有节点的位置"}
+            </p>
+          </div>
+
           <div className="pt-2 border-t border-border space-y-2">
             <h3 className="text-sm font-semibold text-foreground">动画</h3>
             <button
               onClick={toggleAnimation}
-              className={`w-full px-3 py-2 text-sm rounded-md transition-colors ${
-                animated ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground hover:bg-muted/80"
+              disabled={motion === "none"}
+              className={`w-full px-3 py-2 text-sm rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                animated && motion !== "none"
+                  ? "bg-primary text-primary-foreground"
+                  : "bg-muted text-muted-foreground hover:bg-muted/80"
               }`}
             >
-              {animated ? "✓ 启用动画" : "✗ 禁用动画"}
+              {animated && motion !== "none" ? "✓ 启用动画" : "✗ 禁用动画"}
             </button>
+            {motionNote && <p className="text-xs text-muted-foreground">{motionNote}</p>}
           </div>
 
           <div className="pt-2 border-t border-border">
@@ -443,6 +429,21 @@ function DynamicLayout() {
           </div>
         </Panel>
       </ReactFlow>
+
+      {/* 节点右键菜单 */}
+      {menu && (
+        <div
+          className="absolute z-20 bg-card border border-border rounded-md shadow-lg py-1 min-w-[120px]"
+          style={{ left: menu.x, top: menu.y }}
+        >
+          <button
+            onClick={togglePinned}
+            className="w-full px-3 py-1.5 text-sm text-left text-foreground hover:bg-muted transition-colors"
+          >
+            {menu.pinned ? "取消固定" : "固定位置"}
+          </button>
+        </div>
+      )}
     </div>
   )
 }
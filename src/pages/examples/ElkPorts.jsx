@@ -0,0 +1,225 @@
+/**
+ * ELK 端口布局案例
+ *
+ * 这个案例展示了如何使用 ELK 布局引擎处理多端口节点：
+ * - 每个节点有多个输入/输出连接点，布局时作为 ELK 端口按固定顺序排列，减少边交叉
+ * - 边按正交路线布局，使用直角折线边（smoothstep）显示
+ * - 分组节点（parentId）中的子节点递归布局，分组尺寸由子节点决定
+ * - ELK 在 Web Worker 中计算，不阻塞页面
+ *
+ * 参考：https://reactflow.dev/examples/layout/elkjs
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from "react"
+import {
+  ReactFlow,
+  Background,
+  Controls,
+  MiniMap,
+  Panel,
+  Handle,
+  Position,
+  useNodesState,
+  useEdgesState,
+} from "@xyflow/react"
+import { layoutNodes, isHorizontal, useLayoutOnResize } from "@/lib/layout"
+import "@xyflow/react/dist/style.css"
+
+/**
+ * 计算第 index 个连接点在节点边上的偏移（均匀分布）
+ * @param {number} index - 连接点序号
+ * @param {number} count - 连接点数量
+ * @returns {string} CSS 百分比
+ */
+const getHandleOffset = (index, count) => `${((index + 1) / (count + 1)) * 100}%`
+
+/**
+ * 多端口节点组件
+ * 输入连接点排列在 targetPosition 一侧，输出连接点排列在 sourcePosition 一侧，顺序与 data 中的数组一致
+ * @param {Object} props - 节点属性
+ * @param {Object} props.data - 节点数据，包含 label、inputs 和 outputs
+ * @param {string} props.targetPosition - 输入连接点所在的边（由布局引擎设置）
+ * @param {string} props.sourcePosition - 输出连接点所在的边（由布局引擎设置）
+ */
+const PortNode = ({ data, targetPosition = Position.Left, sourcePosition = Position.Right }) => {
+  const horizontal = targetPosition === Position.Left || targetPosition === Position.Right
+
+  const renderHandles = (ids, type, position) =>
+    ids.map((id, index) => (
+      <Handle
+        key={id}
+        id={id}
+        type={type}
+        position={position}
+        title={id}
+        style={horizontal ? { top: getHandleOffset(index, ids.length) } : { left: getHandleOffset(index, ids.length) }}
+      />
+    ))
+
+  return (
+    <div className="bg-white border-2 border-gray-800 rounded-md px-4 py-3 min-w-[140px] min-h-[70px]">
+      {renderHandles(data.inputs, "target", targetPosition)}
+      <div className="text-sm font-semibold text-center">{data.label}</div>
+      <div className="mt-1 text-[10px] text-gray-500 text-center">
+        {data.inputs.length} 入 / {data.outputs.length} 出
+      </div>
+      {renderHandles(data.outputs, "source", sourcePosition)}
+    </div>
+  )
+}
+
+/**
+ * 分组节点组件
+ * 尺寸由 ELK 根据子节点计算，通过节点的 width/height 设置
+ * @param {Object} props - 节点属性
+ * @param {Object} props.data - 节点数据，包含 label
+ */
+const GroupNode = ({ data }) => {
+  return (
+    <div className="w-full h-full rounded-lg border-2 border-dashed border-blue-400 bg-blue-50/50">
+      <div className="px-3 py-2 text-xs font-semibold text-blue-700">{data.label}</div>
+    </div>
+  )
+}
+
+// 注册自定义节点类型
+const nodeTypes = {
+  port: PortNode,
+  group: GroupNode,
+}
+
+// 初始节点数据（位置由 ELK 计算），分组节点需排在子节点之前
+const initialNodes = [
+  { id: "source", type: "port", data: { label: "数据源", inputs: [], outputs: ["orders", "users", "events"] } },
+  { id: "etl", type: "group", data: { label: "数据处理" } },
+  {
+    id: "clean",
+    type: "port",
+    parentId: "etl",
+    data: { label: "清洗", inputs: ["raw"], outputs: ["valid", "invalid"] },
+  },
+  {
+    id: "join",
+    type: "port",
+    parentId: "etl",
+    data: { label: "关联", inputs: ["orders", "users"], outputs: ["joined"] },
+  },
+  {
+    id: "report",
+    type: "port",
+    data: { label: "报表", inputs: ["joined", "events"], outputs: ["daily", "weekly"] },
+  },
+  { id: "alert", type: "port", data: { label: "告警", inputs: ["invalid"], outputs: [] } },
+  { id: "export", type: "port", data: { label: "导出", inputs: ["daily", "weekly"], outputs: [] } },
+]
+
+// 边通过 sourceHandle/targetHandle 连接到具体的端口
+const initialEdges = [
+  { id: "e1", source: "source", sourceHandle: "orders", target: "clean", targetHandle: "raw" },
+  { id: "e2", source: "clean", sourceHandle: "valid", target: "join", targetHandle: "orders" },
+  { id: "e3", source: "source", sourceHandle: "users", target: "join", targetHandle: "users" },
+  { id: "e4", source: "clean", sourceHandle: "invalid", target: "alert", targetHandle: "invalid" },
+  { id: "e5", source: "join", sourceHandle: "joined", target: "report", targetHandle: "joined" },
+  { id: "e6", source: "source", sourceHandle: "events", target: "report", targetHandle: "events" },
+  { id: "e7", source: "report", sourceHandle: "daily", target: "export", targetHandle: "daily" },
+  { id: "e8", source: "report", sourceHandle: "weekly", target: "export", targetHandle: "weekly" },
+].map((edge) => ({ ...edge, type: "smoothstep" }))
+
+/**
+ * 节点的端口顺序，与 PortNode 中连接点的渲染顺序一致
+ * @param {Object} node - 节点
+ * @returns {{target: string[], source: string[]}} 输入和输出端口
+ */
+const getPorts = (node) => ({
+  target: node.data.inputs || [],
+  source: node.data.outputs || [],
+})
+
+function ElkPorts() {
+  const [direction, setDirection] = useState("LR")
+  const [nodes, setNodes, onNodesChange] = useNodesState([])
+  const [edges, , onEdgesChange] = useEdgesState(initialEdges)
+  const currentNodesRef = useRef(nodes)
+  const requestIdRef = useRef(0) // 布局请求编号，丢弃过期的异步结果
+
+  // 同步更新当前节点引用
+  useEffect(() => {
+    currentNodesRef.current = nodes
+  }, [nodes])
+
+  // 布局选项
+  const layoutOptions = useMemo(
+    () => ({
+      engine: "elk",
+      direction,
+      getPorts,
+      nodesep: 40,
+      ranksep: 80,
+    }),
+    [direction]
+  )
+
+  // 基于当前节点重新布局（节点尚未创建时使用初始节点）
+  const relayout = useCallback(() => {
+    const currentNodes = currentNodesRef.current.length > 0 ? currentNodesRef.current : initialNodes
+    const requestId = ++requestIdRef.current
+
+    layoutNodes(currentNodes, edges, layoutOptions).then((layoutedNodes) => {
+      if (requestId === requestIdRef.current) {
+        setNodes(layoutedNodes)
+      }
+    })
+  }, [edges, layoutOptions, setNodes])
+
+  // 首次加载和切换方向时布局
+  useEffect(() => {
+    relayout()
+  }, [relayout])
+
+  // 节点测量完成后按实际尺寸重新布局
+  useLayoutOnResize(nodes, relayout)
+
+  return (
+    <div
+      className="w-full h-full"
+      style={{ minHeight: 0 }}
+    >
+      <ReactFlow
+        nodes={nodes}
+        edges={edges}
+        onNodesChange={onNodesChange}
+        onEdgesChange={onEdgesChange}
+        nodeTypes={nodeTypes}
+        fitView
+      >
+        <Background />
+        <Controls />
+        <MiniMap />
+
+        <Panel
+          position="top-left"
+          className="bg-card border border-border rounded-lg shadow-lg p-4 space-y-2"
+        >
+          <h3 className="text-sm font-semibold text-foreground">布局方向</h3>
+          <div className="flex gap-2">
+            {["LR", "TB"].map((value) => (
+              <button
+                key={value}
+                onClick={() => setDirection(value)}
+                className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                  direction === value
+                    ? "bg-primary text-primary-foreground"
+                    : "bg-muted text-muted-foreground hover:bg-muted/80"
+                }`}
+              >
+                {isHorizontal(value) ? "从左到右" : "从上到下"}
+              </button>
+            ))}
+          </div>
+        </Panel>
+      </ReactFlow>
+    </div>
+  )
+}
+
+export default ElkPorts
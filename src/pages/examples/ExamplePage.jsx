@@ -1,62 +1,133 @@
-import { useState, useEffect, useRef, useMemo } from "react"
-import { useParams, Navigate } from "react-router-dom"
-import { examples } from "../../data/examples"
-import BasicNodes from "./BasicNodes"
-import CustomNodes from "./CustomNodes"
-import InteractiveFlow from "./InteractiveFlow"
-import DagreLayout from "./DagreLayout"
-import NodePositionAnimation from "./NodePositionAnimation"
-import HelperLines from "./HelperLines"
-import AutoLayout from "./AutoLayout"
-import CopyPaste from "./CopyPaste"
-import DynamicLayout from "./DynamicLayout"
+import { useState, useEffect, useRef, useMemo, useCallback } from "react"
+import { useParams, useNavigate, Navigate } from "react-router-dom"
+import { examples, getExampleFiles } from "../../data/examples"
 import CodeViewer from "../../components/CodeViewer"
-import { transform } from "@babel/standalone"
-import * as React from "react"
-import * as ReactFlow from "@xyflow/react"
-import dagre from "dagre"
-import { timer } from "d3-timer"
-
-const componentMap = {
-  BasicNodes,
-  CustomNodes,
-  InteractiveFlow,
-  DagreLayout,
-  NodePositionAnimation,
-  HelperLines,
-  AutoLayout,
-  CopyPaste,
-  DynamicLayout,
-}
+import PreviewFrame from "../../components/PreviewFrame"
+import ConsolePanel from "../../components/ConsolePanel"
+import CompileStatus from "../../components/CompileStatus"
+import { SHARE_HASH_KEY, decodeFiles, encodeFiles, getSharedCode } from "../../lib/share"
+import { loadDraft, removeDraft, saveDraft } from "../../lib/drafts"
+
+// 案例源码加载器（使用 Vite 的 ?raw 导入来获取源代码）
+const sourceLoaders = import.meta.glob("./**/*.{js,jsx,ts,tsx}", { query: "?raw", import: "default" })
+
+// 控制台面板最多保留的日志条数
+const MAX_CONSOLE_ENTRIES = 500
+
+/**
+ * 获取与原始代码不同的文件
+ * @param {Object} files - 原始源码
+ * @param {Object} editedFiles - 编辑后的源码
+ * @returns {Object} 被修改过的文件：文件名 -> 代码
+ */
+const getChangedFiles = (files, editedFiles) =>
+  Object.fromEntries(
+    Object.keys(files)
+      .filter((name) => files[name] !== editedFiles[name])
+      .map((name) => [name, editedFiles[name]])
+  )
+
+/**
+ * 用部分文件覆盖原始源码，忽略案例中不存在的文件
+ * @param {Object} files - 原始源码
+ * @param {Object} overrides - 覆盖的文件
+ * @returns {Object} 合并后的源码
+ */
+const mergeFiles = (files, overrides) =>
+  Object.fromEntries(Object.keys(files).map((name) => [name, name in overrides ? overrides[name] : files[name]]))
 
 function ExamplePage() {
   const { slug } = useParams()
+  const navigate = useNavigate()
   const example = examples.find((ex) => ex.slug === slug)
   const [showCode, setShowCode] = useState(true) // 默认显示代码
-  const [code, setCode] = useState("")
-  const [editedCode, setEditedCode] = useState("") // 编辑后的代码
+  const [files, setFiles] = useState(null) // 原始源码：文件名 -> 代码
+  const [editedFiles, setEditedFiles] = useState(null) // 编辑后的源码：文件名 -> 代码
+  const [loadedSlug, setLoadedSlug] = useState(null) // 已加载源码所属的案例
   const [codeWidth, setCodeWidth] = useState(50) // 代码区域宽度百分比
-  const [previewError, setPreviewError] = useState(null) // 预览错误
+  const [previewError, setPreviewError] = useState(null) // 预览错误：{ message, stack }
+  const [consoleEntries, setConsoleEntries] = useState([]) // 预览代码的 console 输出
+  const [compileStatus, setCompileStatus] = useState(null) // 编译状态：{ state, duration }
+  const [preserveState, setPreserveState] = useState(true) // 重新编译后是否保持视口和节点位置
+  const [restoredFromLink, setRestoredFromLink] = useState(false) // 代码是否来自分享链接
+  const [shareStatus, setShareStatus] = useState(null) // 分享按钮的提示文字
+  const [draftRestoredAt, setDraftRestoredAt] = useState(null) // 恢复的草稿的保存时间
+  const draftDirtyRef = useRef(false) // 是否有尚未写入草稿的编辑
+  const sharedCodeRef = useRef(null) // 当前代码所基于的分享链接中的代码，随草稿一起保存
   const isResizing = useRef(false)
   const containerRef = useRef(null)
 
+  // 案例的源文件列表，第一个文件为入口
+  const exampleFiles = useMemo(() => (example ? getExampleFiles(example) : []), [example])
+
   // 动态加载代码
   useEffect(() => {
-    if (example?.component) {
-      // 使用 Vite 的 ?raw 导入来获取源代码
-      import(`./${example.component}.jsx?raw`)
-        .then((module) => {
-          setCode(module.default)
-          setEditedCode(module.default) // 初始化编辑代码
-        })
-        .catch((err) => {
-          console.error("Failed to load code:", err)
-          const errorMsg = "// 无法加载代码，请检查文件是否存在"
-          setCode(errorMsg)
-          setEditedCode(errorMsg)
-        })
+    if (exampleFiles.length === 0) {
+      return
+    }
+
+    // 切换案例时清空上一个案例的源码和输出
+    setFiles(null)
+    setEditedFiles(null)
+    setPreviewError(null)
+    setConsoleEntries([])
+    setCompileStatus(null)
+    setRestoredFromLink(false)
+    setDraftRestoredAt(null)
+    let cancelled = false
+
+    Promise.all(
+      exampleFiles.map((file) => {
+        const loader = sourceLoaders[`./${file.path}`]
+        return loader ? loader() : Promise.reject(new Error(`File not found: ${file.path}`))
+      })
+    )
+      .then(async (sources) => {
+        const loadedFiles = Object.fromEntries(exampleFiles.map((file, index) => [file.name, sources[index]]))
+
+        // 优先使用链接中分享的代码，其次是本地保存的草稿；
+        // 草稿是编辑同一链接的代码后保存的（如打开链接后编辑再刷新），则使用草稿，避免编辑丢失
+        let initialFiles = loadedFiles
+        let fromLink = false
+        let draft = loadDraft(example.slug)
+        const sharedCode = getSharedCode(window.location.hash)
+        if (sharedCode && draft?.sharedCode !== sharedCode) {
+          try {
+            initialFiles = mergeFiles(loadedFiles, await decodeFiles(sharedCode))
+            fromLink = true
+            draft = null
+          } catch (err) {
+            console.error("Failed to decode shared code:", err)
+          }
+        }
+
+        if (cancelled) return
+        // 之后的编辑仍然基于这个链接
+        const basedOnLink = Boolean(sharedCode) && (fromLink || draft?.sharedCode === sharedCode)
+        sharedCodeRef.current = basedOnLink ? sharedCode : null
+        if (draft) {
+          initialFiles = mergeFiles(loadedFiles, draft.files)
+        }
+
+        setFiles(loadedFiles)
+        setEditedFiles(initialFiles) // 初始化编辑代码
+        setRestoredFromLink(fromLink)
+        setDraftRestoredAt(draft ? draft.updatedAt : null)
+        setLoadedSlug(example.slug)
+      })
+      .catch((err) => {
+        if (cancelled) return
+        console.error("Failed to load code:", err)
+        const errorFiles = { [exampleFiles[0].name]: "// 无法加载代码，请检查文件是否存在" }
+        setFiles(errorFiles)
+        setEditedFiles(errorFiles)
+        setLoadedSlug(example.slug)
+      })
+
+    return () => {
+      cancelled = true
     }
-  }, [example])
+  }, [example, exampleFiles])
 
   // 处理拖拽调整大小
   useEffect(() => {
@@ -80,157 +151,59 @@ function ExamplePage() {
     }
   }, [])
 
-  // 获取原始组件（在条件返回之前）
-  const OriginalComponent = example ? componentMap[example?.component] : null
-
-  // 动态编译和执行 JSX 代码
-  const { component: DynamicComponent, error: compileError } = useMemo(() => {
-    if (!OriginalComponent || !editedCode || editedCode === code) {
-      return { component: OriginalComponent, error: null }
+  // 编辑后将修改写入草稿，代码恢复原样时删除草稿
+  useEffect(() => {
+    if (!draftDirtyRef.current || !files || !editedFiles) {
+      return
     }
+    draftDirtyRef.current = false
 
-    try {
-      // 预处理：将 import 语句转换为 require
-      // 注意：顺序很重要，先处理更复杂的模式
-      let processedCode = editedCode
-
-      // 0. 移除 CSS 导入和其他副作用导入（这些不需要执行）
-      processedCode = processedCode.replace(
-        /import\s+['"][^'"]*\.(css|scss|sass|less)['"];?\s*\n?/g,
-        "// CSS import removed\n"
-      )
-
-      // 1. 处理混合导入：import A, { B, C } from 'module'（必须在默认导入之前）
-      processedCode = processedCode.replace(
-        /import\s+(\w+)\s*,\s*{([^}]+)}\s+from\s+['"]([^'"]+)['"]/g,
-        (match, defaultImport, namedImports, moduleName) => {
-          return `const ${defaultImport} = require('${moduleName}').default || require('${moduleName}'); const {${namedImports}} = require('${moduleName}')`
-        }
-      )
-
-      // 2. 处理 import * as：import * as A from 'module'
-      processedCode = processedCode.replace(
-        /import\s+\*\s+as\s+(\w+)\s+from\s+['"]([^'"]+)['"]/g,
-        (match, importName, moduleName) => {
-          return `const ${importName} = require('${moduleName}')`
-        }
-      )
-
-      // 3. 处理命名导入：import { A, B } from 'module'
-      processedCode = processedCode.replace(
-        /import\s+{([^}]+)}\s+from\s+['"]([^'"]+)['"]/g,
-        (match, imports, moduleName) => {
-          return `const {${imports}} = require('${moduleName}')`
-        }
-      )
-
-      // 4. 处理默认导入：import A from 'module'（必须在最后，避免匹配混合导入）
-      processedCode = processedCode.replace(
-        /import\s+(\w+)\s+from\s+['"]([^'"]+)['"]/g,
-        (match, importName, moduleName) => {
-          return `const ${importName} = require('${moduleName}').default || require('${moduleName}')`
-        }
-      )
-
-      // 5. 移除剩余的副作用导入（没有导入名称的）
-      processedCode = processedCode.replace(/import\s+['"]([^'"]+)['"];?\s*\n?/g, "// Side effect import removed\n")
-
-      // 6. 处理 export 语句，转换为 module.exports
-      // 先提取 export default 的组件名
-      let defaultExportName = null
-
-      // 6.1 提取 export default function ComponentName
-      const defaultFunctionMatch = processedCode.match(/export\s+default\s+function\s+(\w+)/)
-      if (defaultFunctionMatch) {
-        defaultExportName = defaultFunctionMatch[1]
-        processedCode = processedCode.replace(/export\s+default\s+function\s+(\w+)/g, "function $1")
-      }
-
-      // 6.2 提取 export default const ComponentName
-      const defaultConstMatch = processedCode.match(/export\s+default\s+const\s+(\w+)/)
-      if (defaultConstMatch) {
-        defaultExportName = defaultConstMatch[1]
-        processedCode = processedCode.replace(/export\s+default\s+const\s+(\w+)/g, "const $1")
-      }
-
-      // 6.3 提取 export default class ComponentName
-      const defaultClassMatch = processedCode.match(/export\s+default\s+class\s+(\w+)/)
-      if (defaultClassMatch) {
-        defaultExportName = defaultClassMatch[1]
-        processedCode = processedCode.replace(/export\s+default\s+class\s+(\w+)/g, "class $1")
-      }
-
-      // 6.4 处理 export default ComponentName（表达式，不是声明）
-      const defaultExprMatch = processedCode.match(/export\s+default\s+(\w+)\s*;?\s*$/)
-      if (defaultExprMatch && !defaultExportName) {
-        defaultExportName = defaultExprMatch[1]
-        processedCode = processedCode.replace(/export\s+default\s+(\w+)\s*;?\s*$/gm, "")
-      }
-
-      // 6.5 处理 export const/function/class（命名导出）
-      processedCode = processedCode.replace(/export\s+(const|let|var|function|class)\s+(\w+)/g, "$1 $2")
-
-      // 6.6 处理 export { A, B }（命名导出列表）
-      processedCode = processedCode.replace(/export\s+{([^}]+)}\s*;?/g, "// Named exports removed")
-
-      // 6.7 移除剩余的 export default（如果还有）
-      processedCode = processedCode.replace(/export\s+default\s+/g, "")
-
-      // 使用 Babel 转换 JSX
-      let transformedCode = transform(processedCode, {
-        presets: ["react"],
-        plugins: [],
-      }).code
-
-      // 如果有默认导出，在代码末尾添加设置默认导出的代码
-      if (defaultExportName) {
-        transformedCode += `\nif (typeof ${defaultExportName} !== 'undefined') { module.exports.default = ${defaultExportName}; }`
-      }
-
-      // 准备模块映射
-      const moduleMap = {
-        react: React,
-        "react-dom": { default: null }, // 通常不需要
-        "@xyflow/react": ReactFlow,
-        dagre: dagre,
-        "d3-timer": { timer },
-      }
-
-      // 创建 require 函数
-      const requireFn = (moduleName) => {
-        if (moduleMap[moduleName]) {
-          return moduleMap[moduleName]
-        }
-        throw new Error(`Cannot find module: ${moduleName}`)
-      }
-
-      // 创建模块和导出对象
-      const exports = {}
-      const module = { exports }
-
-      // 执行转换后的代码
-      const func = new Function("React", "require", "module", "exports", transformedCode)
-
-      func(React, requireFn, module, exports)
+    const changedFiles = getChangedFiles(files, editedFiles)
+    if (Object.keys(changedFiles).length > 0) {
+      saveDraft(loadedSlug, changedFiles, sharedCodeRef.current)
+    } else {
+      removeDraft(loadedSlug)
+    }
+  }, [files, editedFiles, loadedSlug])
 
-      // 获取默认导出或命名导出
-      const Component = module.exports.default || module.exports
+  const handleCodeChange = useCallback((name, newCode) => {
+    draftDirtyRef.current = true
+    setEditedFiles((prev) => ({ ...prev, [name]: newCode }))
+  }, [])
 
-      if (typeof Component === "function") {
-        return { component: Component, error: null }
-      }
+  // 丢弃草稿，恢复原始代码
+  const handleDiscardDraft = useCallback(() => {
+    removeDraft(loadedSlug)
+    setEditedFiles(files)
+    setDraftRestoredAt(null)
+  }, [files, loadedSlug])
+
+  // 生成分享链接：只编码被修改过的文件，写入 URL hash 并复制到剪贴板
+  const handleShare = useCallback(async () => {
+    const changedFiles = getChangedFiles(files, editedFiles)
+
+    const sharedCode = Object.keys(changedFiles).length > 0 ? await encodeFiles(changedFiles) : null
+    const hash = sharedCode ? `#${SHARE_HASH_KEY}=${sharedCode}` : ""
+    navigate({ hash }, { replace: true })
+    // 之后的编辑基于新的链接保存，刷新页面时草稿优先于链接中的代码
+    sharedCodeRef.current = sharedCode
+    if (sharedCode) {
+      saveDraft(loadedSlug, changedFiles, sharedCode)
+    }
 
-      throw new Error("组件必须是一个函数")
-    } catch (error) {
-      console.error("代码编译错误:", error)
-      return { component: OriginalComponent, error: error.message }
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${window.location.pathname}${hash}`)
+      setShareStatus("链接已复制")
+    } catch {
+      setShareStatus("链接已更新到地址栏")
     }
-  }, [editedCode, code, OriginalComponent])
+    setTimeout(() => setShareStatus(null), 2000)
+  }, [files, editedFiles, loadedSlug, navigate])
 
-  // 更新错误状态
-  useEffect(() => {
-    setPreviewError(compileError)
-  }, [compileError])
+  // 记录预览代码的 console 输出
+  const handleConsole = useCallback((entry) => {
+    setConsoleEntries((prev) => [...prev, entry].slice(-MAX_CONSOLE_ENTRIES))
+  }, [])
 
   if (!example) {
     return (
@@ -241,14 +214,11 @@ function ExamplePage() {
     )
   }
 
-  if (!OriginalComponent) {
-    return (
-      <Navigate
-        to="/"
-        replace
-      />
-    )
-  }
+  // 切换案例后，新案例的源码加载完成前不渲染编辑器和预览
+  const isLoaded = loadedSlug === example.slug && files && editedFiles
+
+  // 代码是否与原始案例不同
+  const isEdited = Boolean(isLoaded && Object.keys(files).some((name) => files[name] !== editedFiles[name]))
 
   return (
     <div className="container mx-auto px-4 py-8">
@@ -268,24 +238,59 @@ function ExamplePage() {
               >
                 {showCode ? "隐藏代码" : "查看代码"}
               </button>
+              <button
+                onClick={handleShare}
+                disabled={!isLoaded}
+                title="将当前代码编码到链接中"
+                className="px-3 py-1 text-sm bg-background border border-border rounded hover:bg-muted disabled:opacity-50 transition-colors"
+              >
+                分享
+              </button>
+              {shareStatus && <span className="text-xs text-muted-foreground">{shareStatus}</span>}
+            </div>
+            <div className="flex items-center gap-4">
+              <CompileStatus status={compileStatus} />
+              <label
+                className="flex items-center gap-1.5 text-xs text-muted-foreground cursor-pointer"
+                title="修改代码后保持预览中画布的平移、缩放和拖动过的节点位置"
+              >
+                <input
+                  type="checkbox"
+                  checked={preserveState}
+                  onChange={(e) => setPreserveState(e.target.checked)}
+                />
+                保持视口和节点位置
+              </label>
             </div>
           </div>
 
+          {restoredFromLink && isEdited && (
+            <div className="flex-shrink-0 px-4 py-2 border-b border-yellow-300 bg-yellow-50 text-yellow-800 text-sm">
+              ⚠ 当前代码来自分享链接，与原始案例不同。点击代码编辑器中的“重置”可恢复原始代码。
+            </div>
+          )}
+
           {/* 内容区域 - 左右布局 */}
           <div
             ref={containerRef}
             className="flex-1 overflow-hidden flex relative"
           >
-            {showCode && code && (
+            {showCode && isLoaded && (
               <>
                 <div
                   className="flex-shrink-0 border-r border-border"
                   style={{ width: `${codeWidth}%` }}
                 >
                   <CodeViewer
-                    code={editedCode || code}
-                    language="tsx"
-                    onCodeChange={setEditedCode}
+                    files={Object.keys(files).map((name) => ({
+                      name,
+                      code: editedFiles[name],
+                      originalCode: files[name],
+                    }))}
+                    language={example.language}
+                    onCodeChange={handleCodeChange}
+                    draftRestoredAt={isEdited ? draftRestoredAt : null}
+                    onDiscardDraft={handleDiscardDraft}
                   />
                 </div>
                 {/* 可拖拽的分隔条 */}
@@ -301,16 +306,39 @@ function ExamplePage() {
               </>
             )}
             <div
-              className="flex-1 overflow-hidden relative"
+              className="flex-1 overflow-hidden flex flex-col"
               style={showCode ? { width: `${100 - codeWidth}%` } : { width: "100%" }}
             >
-              {previewError && (
-                <div className="absolute top-2 left-2 right-2 bg-red-500 text-white p-3 rounded text-sm z-10">
-                  <div className="font-semibold mb-1">预览错误:</div>
-                  <div className="font-mono text-xs">{previewError}</div>
-                </div>
-              )}
-              <DynamicComponent />
+              <div className="flex-1 overflow-hidden relative">
+                {previewError && (
+                  <div className="absolute top-2 left-2 right-2 bg-red-500 text-white p-3 rounded text-sm z-10 max-h-[50%] overflow-y-auto">
+                    <div className="font-semibold mb-1">预览错误:</div>
+                    <div className="font-mono text-xs whitespace-pre-wrap">{previewError.message}</div>
+                    {previewError.stack && (
+                      <pre className="font-mono text-xs mt-2 pt-2 border-t border-white/30 whitespace-pre-wrap">
+                        {previewError.stack}
+                      </pre>
+                    )}
+                  </div>
+                )}
+                {/* 案例代码在隔离的 iframe 中编译并渲染 */}
+                {isLoaded && (
+                  <PreviewFrame
+                    key={example.slug}
+                    files={editedFiles}
+                    entry={exampleFiles[0].name}
+                    fallbackFiles={files}
+                    preserveState={preserveState}
+                    onError={setPreviewError}
+                    onConsole={handleConsole}
+                    onStatus={setCompileStatus}
+                  />
+                )}
+              </div>
+              <ConsolePanel
+                entries={consoleEntries}
+                onClear={() => setConsoleEntries([])}
+              />
             </div>
           </div>
         </div>
@@ -0,0 +1,209 @@
+/**
+ * 大规模图布局案例
+ *
+ * 这个案例展示了如何在不阻塞页面的情况下布局上千个节点：
+ * - 使用 useLayoutWorker 在 Web Worker 中运行 Dagre 布局
+ * - 布局期间显示“布局中”，帧率计数器持续刷新，证明页面保持响应
+ * - 连续切换节点数量或方向时，未完成的布局会被取消，只应用最新的结果
+ * - 可以关闭 Worker 回退到主线程同步计算，对比页面卡顿的效果
+ * - 只渲染视口内的节点（onlyRenderVisibleElements），减少渲染开销
+ */
+
+import { useState, useEffect, useRef, useCallback } from "react"
+import { ReactFlow, Background, Controls, Panel, useNodesState, useEdgesState } from "@xyflow/react"
+import { createRandom, isLayoutCancelled, useFps, useLayoutWorker } from "@/lib/layout"
+import "@xyflow/react/dist/style.css"
+
+// 可选的节点数量
+const NODE_COUNTS = [500, 2000, 5000]
+
+/**
+ * 生成随机的有向无环图：每个节点连接到一个较早的节点，另有约 10% 的额外边
+ * @param {number} count - 节点数量
+ * @returns {{nodes: Array, edges: Array}} 节点和边
+ */
+const generateGraph = (count) => {
+  const random = createRandom(count)
+  const nodes = Array.from({ length: count }, (_, index) => ({
+    id: `${index}`,
+    data: { label: `节点 ${index}` },
+    position: { x: 0, y: 0 },
+  }))
+
+  const edges = []
+  const addEdge = (source, target) =>
+    edges.push({ id: `e${source}-${target}`, source: `${source}`, target: `${target}` })
+
+  for (let index = 1; index < count; index++) {
+    // 优先连接到最近的节点，让图既有深度又有宽度
+    addEdge(Math.max(0, index - 1 - Math.floor(random() * 20)), index)
+  }
+  for (let i = 0; i < count / 10; i++) {
+    const target = 1 + Math.floor(random() * (count - 1))
+    const source = Math.floor(random() * target)
+    if (source !== target - 1) {
+      addEdge(source, target)
+    }
+  }
+
+  return { nodes, edges }
+}
+
+function LargeGraphLayout() {
+  const [nodeCount, setNodeCount] = useState(2000)
+  const [direction, setDirection] = useState("TB")
+  const [useWorker, setUseWorker] = useState(true)
+  const [duration, setDuration] = useState(null)
+  const [nodes, setNodes, onNodesChange] = useNodesState([])
+  const [edges, setEdges, onEdgesChange] = useEdgesState([])
+  const reactFlowRef = useRef(null)
+  const { fps } = useFps()
+
+  const { runLayout, cancel, isLayouting } = useLayoutWorker({ enabled: useWorker })
+
+  // 生成图并布局，完成后让视口适应新布局
+  const layout = useCallback(() => {
+    const graph = generateGraph(nodeCount)
+    const start = performance.now()
+    setDuration(null)
+
+    runLayout(graph.nodes, graph.edges, { engine: "dagre", direction, ranksep: 60, nodesep: 30 }).then(
+      (layoutedNodes) => {
+        setDuration(performance.now() - start)
+        setNodes(layoutedNodes)
+        setEdges(graph.edges)
+        requestAnimationFrame(() => reactFlowRef.current?.fitView())
+      },
+      (error) => {
+        if (!isLayoutCancelled(error)) {
+          throw error
+        }
+      }
+    )
+  }, [nodeCount, direction, runLayout, setNodes, setEdges])
+
+  // 首次加载、切换节点数量或方向时重新布局
+  useEffect(() => {
+    layout()
+  }, [layout])
+
+  return (
+    <div
+      className="w-full h-full"
+      style={{ minHeight: 0 }}
+    >
+      <ReactFlow
+        nodes={nodes}
+        edges={edges}
+        onNodesChange={onNodesChange}
+        onEdgesChange={onEdgesChange}
+        onInit={(instance) => (reactFlowRef.current = instance)}
+        onlyRenderVisibleElements
+        minZoom={0.02}
+        fitView
+      >
+        <Background />
+        <Controls />
+
+        <Panel
+          position="top-left"
+          className="bg-card border border-border rounded-lg shadow-lg p-4 space-y-4 min-w-[240px]"
+        >
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-foreground">节点数量</h3>
+            <div className="flex gap-2">
+              {NODE_COUNTS.map((count) => (
+                <button
+                  key={count}
+                  onClick={() => setNodeCount(count)}
+                  className={`flex-1 px-3 py-1 text-sm rounded-md transition-colors ${
+                    nodeCount === count
+                      ? "bg-primary text-primary-foreground"
+                      : "bg-muted text-muted-foreground hover:bg-muted/80"
+                  }`}
+                >
+                  {count}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-foreground">布局方向</h3>
+            <div className="flex gap-2">
+              {["TB", "LR"].map((value) => (
+                <button
+                  key={value}
+                  onClick={() => setDirection(value)}
+                  className={`flex-1 px-3 py-1 text-sm rounded-md transition-colors ${
+                    direction === value
+                      ? "bg-primary text-primary-foreground"
+                      : "bg-muted text-muted-foreground hover:bg-muted/80"
+                  }`}
+                >
+                  {value}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-sm text-foreground">
+              <input
+                type="checkbox"
+                checked={useWorker}
+                onChange={(e) => setUseWorker(e.target.checked)}
+              />
+              在 Web Worker 中计算
+            </label>
+            <div className="flex gap-2">
+              <button
+                onClick={layout}
+                className="flex-1 px-3 py-2 text-sm bg-primary text-primary-foreground rounded-md hover:bg-primary/90 transition-colors"
+              >
+                重新布局
+              </button>
+              <button
+                onClick={cancel}
+                disabled={!isLayouting}
+                className="flex-1 px-3 py-2 text-sm bg-muted text-muted-foreground rounded-md hover:bg-muted/80 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+              >
+                取消
+              </button>
+            </div>
+          </div>
+
+          <div className="pt-2 border-t border-border space-y-1 text-xs">
+            <div className="flex items-center justify-between">
+              <span className="text-muted-foreground">状态:</span>
+              {isLayouting ? (
+                <span className="flex items-center gap-1.5 text-foreground">
+                  <span className="w-3 h-3 rounded-full border-2 border-primary border-t-transparent animate-spin" />
+                  布局中…
+                </span>
+              ) : (
+                <span className="text-foreground">
+                  {duration === null ? "-" : `完成，用时 ${Math.round(duration)} ms`}
+                </span>
+              )}
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-muted-foreground">帧率:</span>
+              <span className={`font-mono font-semibold ${fps < 20 ? "text-destructive" : "text-foreground"}`}>
+                {fps} fps
+              </span>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-muted-foreground">节点 / 边:</span>
+              <span className="font-mono text-foreground">
+                {nodes.length} / {edges.length}
+              </span>
+            </div>
+          </div>
+        </Panel>
+      </ReactFlow>
+    </div>
+  )
+}
+
+export default LargeGraphLayout
@@ -0,0 +1,71 @@
+/**
+ * 多文件案例
+ *
+ * 这个案例展示了如何把流程图拆分到多个文件中：
+ * - Flow.jsx：入口组件，组装节点、边和布局
+ * - nodes/StatusNode.jsx：自定义节点组件
+ * - layout.js：布局辅助函数
+ *
+ * 在代码编辑器中切换标签页即可编辑各个文件，文件之间通过相对路径导入
+ */
+
+import { useMemo, useCallback } from "react"
+import { ReactFlow, Background, Controls, MiniMap, useNodesState, useEdgesState } from "@xyflow/react"
+import { useLayoutOnResize } from "@/lib/layout"
+import StatusNode from "./nodes/StatusNode"
+import { layoutLeftToRight } from "./layout"
+import "@xyflow/react/dist/style.css"
+
+// 注册自定义节点类型
+const nodeTypes = {
+  status: StatusNode,
+}
+
+// 初始节点数据（位置由 layout.js 计算）
+const initialNodes = [
+  { id: "1", type: "status", data: { label: "拉取代码", status: "done" } },
+  { id: "2", type: "status", data: { label: "安装依赖", status: "done" } },
+  { id: "3", type: "status", data: { label: "单元测试", status: "running" } },
+  { id: "4", type: "status", data: { label: "构建", status: "running" } },
+  { id: "5", type: "status", data: { label: "部署", status: "pending" } },
+]
+
+const initialEdges = [
+  { id: "e1-2", source: "1", target: "2" },
+  { id: "e2-3", source: "2", target: "3" },
+  { id: "e2-4", source: "2", target: "4" },
+  { id: "e3-5", source: "3", target: "5" },
+  { id: "e4-5", source: "4", target: "5" },
+]
+
+function Flow() {
+  const layoutedNodes = useMemo(() => layoutLeftToRight(initialNodes, initialEdges), [])
+  const [nodes, setNodes, onNodesChange] = useNodesState(layoutedNodes)
+  const [edges, , onEdgesChange] = useEdgesState(initialEdges)
+
+  // 节点测量完成后按实际尺寸重新布局
+  const relayout = useCallback(() => setNodes((nds) => layoutLeftToRight(nds, edges)), [edges, setNodes])
+  useLayoutOnResize(nodes, relayout)
+
+  return (
+    <div
+      className="w-full h-full"
+      style={{ minHeight: 0 }}
+    >
+      <ReactFlow
+        nodes={nodes}
+        edges={edges}
+        onNodesChange={onNodesChange}
+        onEdgesChange={onEdgesChange}
+        nodeTypes={nodeTypes}
+        fitView
+      >
+        <Background />
+        <Controls />
+        <MiniMap />
+      </ReactFlow>
+    </div>
+  )
+}
+
+export default Flow
@@ -0,0 +1,42 @@
+/**
+ * 布局辅助函数
+ * 与 Flow.jsx 分开存放，演示案例内部的相对导入
+ */
+
+import dagre from "dagre"
+import { getNodeSize } from "@/lib/layout"
+
+// 未测量节点的默认尺寸
+export const NODE_WIDTH = 180
+export const NODE_HEIGHT = 60
+
+/**
+ * 使用 Dagre 算法计算从左到右的布局
+ * @param {Array} nodes - 节点数组
+ * @param {Array} edges - 边数组
+ * @returns {Array} 布局后的节点数组
+ */
+export function layoutLeftToRight(nodes, edges) {
+  const dagreGraph = new dagre.graphlib.Graph()
+  dagreGraph.setDefaultEdgeLabel(() => ({}))
+  dagreGraph.setGraph({ rankdir: "LR", ranksep: 80, nodesep: 40 })
+
+  // 优先使用 React Flow 测量的节点尺寸
+  nodes.forEach((node) => {
+    dagreGraph.setNode(node.id, getNodeSize(node, { nodeWidth: NODE_WIDTH, nodeHeight: NODE_HEIGHT }))
+  })
+
+  edges.forEach((edge) => {
+    dagreGraph.setEdge(edge.source, edge.target)
+  })
+
+  dagre.layout(dagreGraph)
+
+  return nodes.map((node) => {
+    const { x, y, width, height } = dagreGraph.node(node.id)
+    return {
+      ...node,
+      position: { x: x - width / 2, y: y - height / 2 },
+    }
+  })
+}
@@ -0,0 +1,48 @@
+/**
+ * 状态节点组件
+ * 根据 data.status 显示不同颜色的状态标记
+ */
+
+import { Handle, Position } from "@xyflow/react"
+import { NODE_WIDTH, NODE_HEIGHT } from "../layout"
+
+// 状态对应的颜色
+const STATUS_COLORS = {
+  done: "#22c55e",
+  running: "#3b82f6",
+  pending: "#a1a1aa",
+}
+
+/**
+ * @param {Object} props - 节点属性
+ * @param {Object} props.data - 节点数据，包含 label 和 status
+ */
+function StatusNode({ data }) {
+  const color = STATUS_COLORS[data.status] || STATUS_COLORS.pending
+
+  return (
+    <div
+      className="bg-white border-2 rounded-md px-3 py-2 flex items-center gap-2"
+      style={{ width: NODE_WIDTH, height: NODE_HEIGHT, borderColor: color }}
+    >
+      <Handle
+        type="target"
+        position={Position.Left}
+      />
+      <span
+        className="w-3 h-3 rounded-full flex-shrink-0"
+        style={{ background: color }}
+      />
+      <div>
+        <div className="text-sm font-semibold">{data.label}</div>
+        <div className="text-xs text-gray-500">{data.status}</div>
+      </div>
+      <Handle
+        type="source"
+        position={Position.Right}
+      />
+    </div>
+  )
+}
+
+export default StatusNode
@@ -2,201 +2,134 @@
  * 节点位置动画案例
  *
  * 这个案例展示了如何创建流畅的节点位置动画：
- * - 使用线性插值（lerp）实现平滑的位置过渡
- * - 在不同布局之间切换时，节点会平滑地移动到新位置
- * - 使用 d3-timer 来驱动平滑的动画循环（与官方示例一致）
+ * - 在树形、径向、环形、网格等确定性布局之间切换时，节点会平滑地移动到新位置
+ * - 使用共享动画模块（useNodeAnimation），可以切换缓动曲线和弹簧物理，节点可以依次出发
+ * - 隐藏或显示孤立节点时，节点淡出缩小或淡入放大
+ * - 全局设置减弱动画（或系统开启“减弱动态效果”）时，节点改为原地淡出、再在新位置淡入
  * - 实现了可复用的 useAnimatedNodes hook
  */
 
-import { useState, useEffect, useRef, useCallback, useMemo } from "react"
+import { useState, useEffect, useRef, useMemo } from "react"
 import { ReactFlow, Background, Controls, MiniMap, useNodesState, useEdgesState } from "@xyflow/react"
-import { timer } from "d3-timer"
+import { layoutNodes, useNodeAnimation } from "@/lib/layout"
 import "@xyflow/react/dist/style.css"
 
 /**
- * 线性插值函数
- * @param {number} a - 起始值
- * @param {number} b - 目标值
- * @param {number} t - 插值系数 (0-1)
- * @returns {number} 插值结果
- */
-const lerp = (a, b, t) => a + (b - a) * t
-
-/**
- * 自定义 Hook：动画化节点位置
+ * 自定义 Hook：目标节点变化时，从当前节点过渡到目标节点
  * 参考官方 Pro 示例实现：https://pro-examples.reactflow.dev/node-position-animation
  * @param {Array} nodes - 当前节点数组
  * @param {Array} targetNodes - 目标节点数组（包含目标位置）
  * @param {Function} setNodes - 更新节点的函数
- * @param {number} duration - 动画持续时间（毫秒），默认 800ms
+ * @param {Object} options - 动画选项，见 useNodeAnimation，修改后从下一次动画开始生效
+ * @returns {boolean} 是否正在播放动画
  */
-const useAnimatedNodes = (nodes, targetNodes, setNodes, duration = 800) => {
-  const timerRef = useRef(null)
-  const startNodesRef = useRef(null)
-  const previousTargetNodesRef = useRef(null)
+const useAnimatedNodes = (nodes, targetNodes, setNodes, options) => {
+  const [isAnimating, setIsAnimating] = useState(false)
   const currentNodesRef = useRef(nodes)
+  const optionsRef = useRef(options)
+  const { animate } = useNodeAnimation(setNodes)
 
-  // 同步更新当前节点引用
+  // 同步更新当前节点和动画选项引用
   useEffect(() => {
     currentNodesRef.current = nodes
-  }, [nodes])
+    optionsRef.current = options
+  }, [nodes, options])
 
+  // 目标变化时从当前位置（可能是上一个动画的中途）开始新的动画
   useEffect(() => {
-    // 检查目标节点是否真的发生了变化
-    const targetChanged =
-      !previousTargetNodesRef.current ||
-      previousTargetNodesRef.current.length !== targetNodes.length ||
-      previousTargetNodesRef.current.some(
-        (node, i) =>
-          !targetNodes[i] ||
-          node.id !== targetNodes[i].id ||
-          node.position.x !== targetNodes[i].position.x ||
-          node.position.y !== targetNodes[i].position.y
-      )
-
-    if (!targetChanged) {
-      return
-    }
-
-    // 更新目标节点引用
-    previousTargetNodesRef.current = targetNodes
-
-    // 停止之前的动画
-    if (timerRef.current) {
-      timerRef.current.stop()
-    }
-
-    // 记录起始节点（使用当前的节点状态）
-    startNodesRef.current = currentNodesRef.current.map((node) => ({
-      ...node,
-      position: { ...node.position },
-    }))
-
-    // 使用 d3-timer 创建平滑的动画循环
-    timerRef.current = timer((elapsed) => {
-      const progress = Math.min(elapsed / duration, 1)
-
-      // 对每个节点进行线性插值
-      setNodes((nds) =>
-        nds.map((node) => {
-          const targetNode = targetNodes.find((n) => n.id === node.id)
-          const startNode = startNodesRef.current.find((n) => n.id === node.id)
-
-          if (!targetNode || !startNode) {
-            return node
-          }
-
-          return {
-            ...node,
-            position: {
-              x: lerp(startNode.position.x, targetNode.position.x, progress),
-              y: lerp(startNode.position.y, targetNode.position.y, progress),
-            },
-            // 保持目标节点的其他属性（如 targetPosition, sourcePosition）
-            targetPosition: targetNode.targetPosition,
-            sourcePosition: targetNode.sourcePosition,
-          }
-        })
-      )
-
-      // 动画完成时停止定时器
-      if (progress >= 1) {
-        if (timerRef.current) {
-          timerRef.current.stop()
-        }
-        // 确保最终位置精确
-        setNodes(targetNodes)
-      }
+    setIsAnimating(true)
+    animate(currentNodesRef.current, targetNodes, {
+      ...optionsRef.current,
+      onAnimationEnd: () => setIsAnimating(false),
     })
+  }, [targetNodes, animate])
 
-    return () => {
-      if (timerRef.current) {
-        timerRef.current.stop()
-      }
-    }
-  }, [targetNodes, duration, setNodes])
+  return isAnimating
 }
 
-/**
- * 计算水平布局的节点位置
- * @param {Array} nodes - 节点数组
- * @returns {Array} 布局后的节点数组
- */
-const getHorizontalLayout = (nodes) => {
-  const spacing = 200
-  const startX = 100
-  const startY = 100
-
-  return nodes.map((node, index) => ({
-    ...node,
-    position: {
-      x: startX + index * spacing,
-      y: startY,
-    },
-    targetPosition: "left",
-    sourcePosition: "right",
-  }))
-}
+// 动画曲线：缓动曲线名称或弹簧参数
+const CURVES = [
+  { id: "linear", label: "线性", options: { easing: "linear" } },
+  { id: "ease", label: "缓入缓出", options: { easing: "easeInOutCubic" } },
+  { id: "back", label: "回弹", options: { easing: "easeOutBack" } },
+  { id: "spring", label: "弹簧", options: { spring: { stiffness: 120, damping: 12 } } },
+]
 
-/**
- * 计算垂直布局的节点位置
- * @param {Array} nodes - 节点数组
- * @returns {Array} 布局后的节点数组
- */
-const getVerticalLayout = (nodes) => {
-  const spacing = 150
-  const startX = 300
-  const startY = 100
-
-  return nodes.map((node, index) => ({
-    ...node,
-    position: {
-      x: startX,
-      y: startY + index * spacing,
-    },
-    targetPosition: "top",
-    sourcePosition: "bottom",
-  }))
-}
+// 依次出发时相邻节点的间隔（毫秒）
+const STAGGER = 40
 
-// 初始节点数据
-const initialNodes = [
-  { id: "1", data: { label: "节点 1" } },
-  { id: "2", data: { label: "节点 2" } },
-  { id: "3", data: { label: "节点 3" } },
-  { id: "4", data: { label: "节点 4" } },
-  { id: "5", data: { label: "节点 5" } },
+// 可切换的布局：名称、引擎和引擎选项
+const LAYOUTS = [
+  { id: "tree", label: "树形", options: { engine: "tree", direction: "TB" } },
+  { id: "tree-lr", label: "水平树", options: { engine: "tree", direction: "LR" } },
+  { id: "radial", label: "径向", options: { engine: "radial" } },
+  { id: "circular", label: "环形", options: { engine: "circular" } },
+  { id: "grid", label: "网格", options: { engine: "grid" } },
 ]
 
+// 初始节点数据（节点 11、12 没有连线）
+const initialNodes = Array.from({ length: 12 }, (_, index) => ({
+  id: `${index + 1}`,
+  data: { label: `节点 ${index + 1}` },
+}))
+
 // 定义节点之间的连接关系
 const initialEdges = [
-  { id: "e1-2", source: "1", target: "2" },
-  { id: "e2-3", source: "2", target: "3" },
-  { id: "e3-4", source: "3", target: "4" },
-  { id: "e4-5", source: "4", target: "5" },
-]
+  ["1", "2"],
+  ["1", "3"],
+  ["1", "4"],
+  ["2", "5"],
+  ["2", "6"],
+  ["3", "7"],
+  ["4", "8"],
+  ["4", "9"],
+  ["7", "10"],
+].map(([source, target]) => ({ id: `e${source}-${target}`, source, target }))
+
+// 孤立节点（没有连线）
+const isolatedIds = new Set(
+  initialNodes
+    .map((node) => node.id)
+    .filter((id) => !initialEdges.some((edge) => edge.source === id || edge.target === id))
+)
+
+/**
+ * 使用指定布局计算节点位置
+ * @param {string} layoutId - 布局 ID
+ * @param {boolean} showIsolated - 是否包含孤立节点，默认 true
+ * @returns {Array} 布局后的节点数组
+ */
+const getLayoutedNodes = (layoutId, showIsolated = true) => {
+  const { options } = LAYOUTS.find((layout) => layout.id === layoutId)
+  const nodes = showIsolated ? initialNodes : initialNodes.filter((node) => !isolatedIds.has(node.id))
+  return layoutNodes(nodes, initialEdges, options)
+}
 
 function NodePositionAnimation() {
-  const [layout, setLayout] = useState("horizontal") // 'horizontal' 或 'vertical'
+  const [layout, setLayout] = useState("tree")
+  const [curve, setCurve] = useState("ease")
+  const [staggered, setStaggered] = useState(false)
+  const [showIsolated, setShowIsolated] = useState(true)
 
-  // 初始化节点状态，使用水平布局作为初始状态
-  const initialNodesForState = useMemo(() => getHorizontalLayout(initialNodes), [])
+  // 初始化节点状态，使用树形布局作为初始状态
+  const initialNodesForState = useMemo(() => getLayoutedNodes("tree"), [])
   const [nodes, setNodes, onNodesChange] = useNodesState(initialNodesForState)
   const [, , onEdgesChange] = useEdgesState(initialEdges)
 
   // 使用 useMemo 确保 targetNodes 的引用变化能被正确检测
-  const targetNodes = useMemo(
-    () => (layout === "horizontal" ? getHorizontalLayout(initialNodes) : getVerticalLayout(initialNodes)),
-    [layout]
+  const targetNodes = useMemo(() => getLayoutedNodes(layout, showIsolated), [layout, showIsolated])
+
+  // 动画选项
+  const animationOptions = useMemo(
+    () => ({
+      duration: 800,
+      ...CURVES.find(({ id }) => id === curve).options,
+      stagger: staggered ? STAGGER : 0,
+    }),
+    [curve, staggered]
   )
 
-  // 使用动画 hook（与官方 Pro 示例一致，使用 800ms 持续时间）
-  useAnimatedNodes(nodes, targetNodes, setNodes, 800)
-
-  // 切换布局
-  const toggleLayout = useCallback(() => {
-    setLayout((prev) => (prev === "horizontal" ? "vertical" : "horizontal"))
-  }, [])
+  const isAnimating = useAnimatedNodes(nodes, targetNodes, setNodes, animationOptions)
 
   return (
     <div
@@ -216,13 +149,53 @@ function NodePositionAnimation() {
       </ReactFlow>
 
       {/* 切换布局按钮 */}
-      <div className="absolute top-4 left-4 z-10">
-        <button
-          onClick={toggleLayout}
-          className="px-4 py-2 bg-primary text-primary-foreground rounded-md shadow-lg hover:bg-primary/90 transition-colors font-medium"
-        >
-          切换布局 ({layout === "horizontal" ? "水平" : "垂直"})
-        </button>
+      <div className="absolute top-4 left-4 z-10 flex gap-2">
+        {LAYOUTS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setLayout(id)}
+            className={`px-4 py-2 rounded-md shadow-lg transition-colors font-medium ${
+              layout === id ? "bg-primary text-primary-foreground" : "bg-card text-foreground hover:bg-muted"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {/* 动画选项 */}
+      <div className="absolute top-20 left-4 z-10 bg-card border border-border rounded-lg shadow-lg p-4 space-y-2">
+        <h3 className="text-sm font-semibold text-foreground">动画曲线</h3>
+        <div className="flex gap-2">
+          {CURVES.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setCurve(id)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                curve === id ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground hover:bg-muted/80"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-sm text-foreground">
+          <input
+            type="checkbox"
+            checked={staggered}
+            onChange={(event) => setStaggered(event.target.checked)}
+          />
+          依次出发
+        </label>
+        <label className="flex items-center gap-2 text-sm text-foreground">
+          <input
+            type="checkbox"
+            checked={showIsolated}
+            onChange={(event) => setShowIsolated(event.target.checked)}
+          />
+          显示孤立节点
+        </label>
+        <div className="text-xs text-muted-foreground">{isAnimating ? "动画中…" : "动画已结束"}</div>
       </div>
     </div>
   )
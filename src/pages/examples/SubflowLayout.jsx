@@ -0,0 +1,210 @@
+/**
+ * 分组布局案例
+ *
+ * 这个案例展示了如何布局带分组（子流程）的图：
+ * - 节点通过 parentId 放进分组，分组可以嵌套
+ * - 每个分组内部单独布局，分组尺寸随子节点自动调整，再和其他节点一起布局上一层
+ * - 点击分组标题上的按钮折叠或展开分组：折叠后子节点隐藏，连到子节点的边改连到分组边界上（虚线）
+ *
+ * 参考：https://reactflow.dev/learn/layouting/sub-flows
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from "react"
+import {
+  ReactFlow,
+  Background,
+  Controls,
+  MiniMap,
+  Panel,
+  Handle,
+  Position,
+  useNodesState,
+  useEdgesState,
+  useReactFlow,
+} from "@xyflow/react"
+import { layoutNodes, collapseGroups, isHorizontal, useLayoutOnResize } from "@/lib/layout"
+import "@xyflow/react/dist/style.css"
+
+/**
+ * 分组节点组件
+ * 尺寸由布局引擎根据子节点计算；折叠后显示为普通大小的节点，通过两侧的连接点连接改连过来的边
+ * @param {Object} props - 节点属性
+ * @param {string} props.id - 节点 ID
+ * @param {Object} props.data - 节点数据，包含 label 和 collapsed
+ * @param {string} props.targetPosition - 输入连接点所在的边（由布局引擎设置）
+ * @param {string} props.sourcePosition - 输出连接点所在的边（由布局引擎设置）
+ */
+const GroupNode = ({ id, data, targetPosition = Position.Top, sourcePosition = Position.Bottom }) => {
+  const { updateNodeData } = useReactFlow()
+
+  return (
+    <div
+      className={`w-full h-full rounded-lg border-2 border-dashed ${
+        data.collapsed ? "border-blue-500 bg-blue-100" : "border-blue-400 bg-blue-50/50"
+      }`}
+    >
+      <Handle
+        type="target"
+        position={targetPosition}
+      />
+      <div className="flex items-center gap-2 px-3 py-2">
+        <button
+          onClick={() => updateNodeData(id, { collapsed: !data.collapsed })}
+          className="nodrag w-5 h-5 flex items-center justify-center rounded text-xs text-blue-700 hover:bg-blue-200"
+          title={data.collapsed ? "展开" : "折叠"}
+        >
+          {data.collapsed ? "▸" : "▾"}
+        </button>
+        <span className="text-xs font-semibold text-blue-700">{data.label}</span>
+      </div>
+      <Handle
+        type="source"
+        position={sourcePosition}
+      />
+    </div>
+  )
+}
+
+// 注册自定义节点类型
+const nodeTypes = {
+  group: GroupNode,
+}
+
+// 初始节点数据（位置由布局引擎计算），分组节点需排在子节点之前，子节点不能拖出分组
+const initialNodes = [
+  { id: "app", data: { label: "应用" } },
+  { id: "collect", type: "group", data: { label: "数据采集" } },
+  { id: "logs", parentId: "collect", data: { label: "日志" } },
+  { id: "metrics", parentId: "collect", data: { label: "指标" } },
+  { id: "traces", parentId: "collect", data: { label: "链路" } },
+  { id: "process", type: "group", data: { label: "数据处理" } },
+  { id: "parse", parentId: "process", data: { label: "解析" } },
+  { id: "aggregate", parentId: "process", data: { label: "聚合" } },
+  { id: "storage", type: "group", parentId: "process", data: { label: "存储" } },
+  { id: "hot", parentId: "storage", data: { label: "热数据" } },
+  { id: "cold", parentId: "storage", data: { label: "冷数据" } },
+  { id: "alert", data: { label: "告警" } },
+  { id: "dashboard", data: { label: "看板" } },
+].map((node) => ({ ...node, position: { x: 0, y: 0 }, ...(node.parentId && { extent: "parent" }) }))
+
+// 边可以跨越分组，连接任意层级的节点
+const initialEdges = [
+  { id: "e1", source: "app", target: "logs" },
+  { id: "e2", source: "app", target: "metrics" },
+  { id: "e3", source: "app", target: "traces" },
+  { id: "e4", source: "logs", target: "parse" },
+  { id: "e5", source: "metrics", target: "aggregate" },
+  { id: "e6", source: "traces", target: "parse" },
+  { id: "e7", source: "parse", target: "hot" },
+  { id: "e8", source: "aggregate", target: "hot" },
+  { id: "e9", source: "hot", target: "cold" },
+  { id: "e10", source: "aggregate", target: "alert" },
+  { id: "e11", source: "hot", target: "dashboard" },
+]
+
+// 分组 ID，分组节点的尺寸由布局决定，不参与测量触发的重新布局
+const groupIds = new Set(initialNodes.map((node) => node.parentId).filter(Boolean))
+
+function SubflowLayout() {
+  const [direction, setDirection] = useState("TB")
+  const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes)
+  const [edges, , onEdgesChange] = useEdgesState(initialEdges)
+  const currentNodesRef = useRef(nodes)
+
+  // 同步更新当前节点引用
+  useEffect(() => {
+    currentNodesRef.current = nodes
+  }, [nodes])
+
+  // 基于当前节点和折叠状态重新布局
+  const relayout = useCallback(() => {
+    setNodes(layoutNodes(currentNodesRef.current, edges, { engine: "compound", direction, nodesep: 30, ranksep: 60 }))
+  }, [edges, direction, setNodes])
+
+  // 折叠状态变化时重新布局，分组尺寸随之改变
+  const collapsedKey = nodes
+    .filter((node) => groupIds.has(node.id))
+    .map((node) => `${node.id}:${Boolean(node.data.collapsed)}`)
+    .join(",")
+
+  useEffect(() => {
+    relayout()
+  }, [relayout, collapsedKey])
+
+  // 普通节点测量完成后按实际尺寸重新布局
+  const leafNodes = useMemo(() => nodes.filter((node) => !groupIds.has(node.id)), [nodes])
+  useLayoutOnResize(leafNodes, relayout)
+
+  // 隐藏折叠分组中的节点，边改连到分组上
+  const visible = useMemo(() => collapseGroups(nodes, edges), [nodes, edges])
+  const displayedEdges = useMemo(
+    () => visible.edges.map((edge) => (edge.data?.rerouted ? { ...edge, style: { strokeDasharray: "6 4" } } : edge)),
+    [visible.edges]
+  )
+
+  // 全部折叠或展开
+  const setAllCollapsed = (collapsed) => {
+    setNodes((current) =>
+      current.map((node) => (groupIds.has(node.id) ? { ...node, data: { ...node.data, collapsed } } : node))
+    )
+  }
+
+  return (
+    <div
+      className="w-full h-full"
+      style={{ minHeight: 0 }}
+    >
+      <ReactFlow
+        nodes={visible.nodes}
+        edges={displayedEdges}
+        onNodesChange={onNodesChange}
+        onEdgesChange={onEdgesChange}
+        nodeTypes={nodeTypes}
+        fitView
+      >
+        <Background />
+        <Controls />
+        <MiniMap />
+
+        <Panel
+          position="top-left"
+          className="bg-card border border-border rounded-lg shadow-lg p-4 space-y-2"
+        >
+          <h3 className="text-sm font-semibold text-foreground">布局方向</h3>
+          <div className="flex gap-2">
+            {["TB", "LR"].map((value) => (
+              <button
+                key={value}
+                onClick={() => setDirection(value)}
+                className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                  direction === value
+                    ? "bg-primary text-primary-foreground"
+                    : "bg-muted text-muted-foreground hover:bg-muted/80"
+                }`}
+              >
+                {isHorizontal(value) ? "从左到右" : "从上到下"}
+              </button>
+            ))}
+          </div>
+          <h3 className="text-sm font-semibold text-foreground">分组</h3>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setAllCollapsed(true)}
+              className="px-3 py-1 text-sm rounded-md bg-muted text-muted-foreground hover:bg-muted/80 transition-colors"
+            >
+              全部折叠
+            </button>
+            <button
+              onClick={() => setAllCollapsed(false)}
+              className="px-3 py-1 text-sm rounded-md bg-muted text-muted-foreground hover:bg-muted/80 transition-colors"
+            >
+              全部展开
+            </button>
+          </div>
+        </Panel>
+      </ReactFlow>
+    </div>
+  )
+}
+
+export default SubflowLayout
@@ -0,0 +1,111 @@
+/**
+ * TypeScript 案例
+ *
+ * 这个案例展示了如何在 TypeScript 中使用 React Flow：
+ * - 为节点数据声明类型，并通过 Node<Data, Type> 约束节点
+ * - 使用 NodeProps 为自定义节点组件提供类型
+ * - 为 nodeTypes、初始节点和边声明类型
+ */
+
+import { useCallback } from "react"
+import {
+  ReactFlow,
+  Background,
+  Controls,
+  MiniMap,
+  Handle,
+  Position,
+  addEdge,
+  useNodesState,
+  useEdgesState,
+  type Node,
+  type Edge,
+  type NodeProps,
+  type NodeTypes,
+  type OnConnect,
+} from "@xyflow/react"
+import "@xyflow/react/dist/style.css"
+
+// 任务节点的数据类型
+type TaskData = {
+  label: string
+  owner: string
+  progress: number // 0-100
+}
+
+// 任务节点类型：数据为 TaskData，type 为 "task"
+type TaskNode = Node<TaskData, "task">
+
+/**
+ * 任务节点组件
+ * @param {NodeProps<TaskNode>} props - 节点属性，data 的类型为 TaskData
+ */
+function TaskNodeComponent({ data }: NodeProps<TaskNode>) {
+  return (
+    <div className="bg-white border-2 border-gray-800 rounded-md px-3 py-2 w-48">
+      <Handle
+        type="target"
+        position={Position.Top}
+      />
+      <div className="text-sm font-semibold">{data.label}</div>
+      <div className="text-xs text-gray-500">负责人：{data.owner}</div>
+      <div className="mt-2 h-1.5 bg-gray-200 rounded">
+        <div
+          className="h-full bg-green-500 rounded"
+          style={{ width: `${data.progress}%` }}
+        />
+      </div>
+      <Handle
+        type="source"
+        position={Position.Bottom}
+      />
+    </div>
+  )
+}
+
+// 注册自定义节点类型
+const nodeTypes: NodeTypes = {
+  task: TaskNodeComponent,
+}
+
+// 初始节点数据
+const initialNodes: TaskNode[] = [
+  { id: "1", type: "task", position: { x: 150, y: 0 }, data: { label: "需求评审", owner: "Alice", progress: 100 } },
+  { id: "2", type: "task", position: { x: 0, y: 150 }, data: { label: "接口设计", owner: "Bob", progress: 60 } },
+  { id: "3", type: "task", position: { x: 300, y: 150 }, data: { label: "页面开发", owner: "Carol", progress: 30 } },
+]
+
+const initialEdges: Edge[] = [
+  { id: "e1-2", source: "1", target: "2" },
+  { id: "e1-3", source: "1", target: "3" },
+]
+
+function TypedFlow() {
+  const [nodes, , onNodesChange] = useNodesState<TaskNode>(initialNodes)
+  const [edges, setEdges, onEdgesChange] = useEdgesState<Edge>(initialEdges)
+
+  const onConnect: OnConnect = useCallback((params) => setEdges((eds) => addEdge(params, eds)), [setEdges])
+
+  return (
+    <div
+      className="w-full h-full"
+      style={{ minHeight: 0 }}
+    >
+      <ReactFlow
+        nodes={nodes}
+        edges={edges}
+        onNodesChange={onNodesChange}
+        onEdgesChange={onEdgesChange}
+        onConnect={onConnect}
+        nodeTypes={nodeTypes}
+        fitView
+      >
+        <Background />
+        <Controls />
+        <MiniMap />
+      </ReactFlow>
+    </div>
+  )
+}
+
+export default TypedFlow
@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef, useCallback } from "react"
+import { ReactFlow, applyNodeChanges } from "@xyflow/react"
+import { getPreservedPositions, getPreservedViewport, markDragged, registerFlow, saveViewport } from "./preserve"
+
+/**
+ * 保持视口和节点位置的 ReactFlow
+ * 预览代码中导入的 ReactFlow 会被替换为这个组件：
+ * 挂载时如果有需要恢复的视口，就以它作为 defaultViewport 并跳过 fitView；
+ * 初始化后把拖动过的节点恢复到热替换前的位置（受控节点通过 onNodesChange，非受控节点通过 setNodes）；
+ * 视口变化结束和节点拖动结束后记录下来，供下一次热替换使用。
+ * 受控视口（传入 viewport 属性）时不恢复视口
+ */
+function PreservedFlow({ onMoveEnd, onNodeDragStop, onInit, ref, ...props }) {
+  // 只在挂载时读取一次，之后的视口由 ReactFlow 自己管理
+  const [initialViewport] = useState(() => (props.viewport ? null : getPreservedViewport()))
+  const unregisterRef = useRef(null)
+
+  // 最新的节点属性，初始化时判断节点是否受控
+  const controlledRef = useRef({ nodes: props.nodes, onNodesChange: props.onNodesChange })
+  useEffect(() => {
+    controlledRef.current = { nodes: props.nodes, onNodesChange: props.onNodesChange }
+  }, [props.nodes, props.onNodesChange])
+
+  useEffect(() => () => unregisterRef.current?.(), [])
+
+  const handleInit = useCallback(
+    (instance) => {
+      unregisterRef.current = registerFlow(instance)
+
+      const positions = getPreservedPositions()
+      const changes = instance
+        .getNodes()
+        .filter((node) => positions.has(node.id))
+        .map((node) => ({ type: "position", id: node.id, position: positions.get(node.id) }))
+      if (changes.length > 0) {
+        const { nodes, onNodesChange } = controlledRef.current
+        if (nodes) {
+          onNodesChange?.(changes)
+        } else {
+          instance.setNodes((current) => applyNodeChanges(changes, current))
+        }
+      }
+
+      onInit?.(instance)
+    },
+    [onInit]
+  )
+
+  const handleMoveEnd = useCallback(
+    (event, viewport) => {
+      saveViewport(viewport)
+      onMoveEnd?.(event, viewport)
+    },
+    [onMoveEnd]
+  )
+
+  const handleNodeDragStop = useCallback(
+    (event, node, nodes) => {
+      markDragged(nodes)
+      onNodeDragStop?.(event, node, nodes)
+    },
+    [onNodeDragStop]
+  )
+
+  return (
+    <ReactFlow
+      ref={ref}
+      {...props}
+      {...(initialViewport && { defaultViewport: initialViewport, fitView: false })}
+      onInit={handleInit}
+      onMoveEnd={handleMoveEnd}
+      onNodeDragStop={handleNodeDragStop}
+    />
+  )
+}
+
+export default PreservedFlow
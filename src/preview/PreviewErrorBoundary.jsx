@@ -0,0 +1,48 @@
+import { Component } from "react"
+
+/**
+ * 预览错误边界
+ * 捕获案例组件在渲染、生命周期和 effect 中抛出的错误，
+ * 出错时回退到上一次正常工作的组件
+ */
+class PreviewErrorBoundary extends Component {
+  constructor(props) {
+    super(props)
+    this.state = { hasError: false, component: props.component }
+  }
+
+  static getDerivedStateFromError() {
+    return { hasError: true }
+  }
+
+  // 渲染新的组件时清除错误状态
+  static getDerivedStateFromProps(props, state) {
+    if (props.component !== state.component) {
+      return { hasError: false, component: props.component }
+    }
+    return null
+  }
+
+  componentDidCatch(error, info) {
+    this.props.onError(error, info)
+  }
+
+  render() {
+    if (!this.state.hasError) {
+      return this.props.children
+    }
+
+    const Fallback = this.props.fallback
+    if (Fallback && Fallback !== this.props.component) {
+      return <Fallback />
+    }
+
+    return (
+      <div className="w-full h-full flex items-center justify-center text-sm text-muted-foreground">
+        组件渲染失败，请根据错误信息修改代码
+      </div>
+    )
+  }
+}
+
+export default PreviewErrorBoundary
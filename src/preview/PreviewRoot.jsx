@@ -0,0 +1,31 @@
+import { useEffect } from "react"
+import PreviewErrorBoundary from "./PreviewErrorBoundary"
+
+/**
+ * 预览根组件
+ * 在错误边界中渲染编译得到的案例组件，提交到 DOM 后通知宿主
+ * @param {number} runId - 运行编号
+ * @param {Function} component - 案例组件
+ * @param {Function} fallback - 出错时回退的组件（上一次正常工作的组件）
+ * @param {Function} onRendered - 渲染完成回调
+ * @param {Function} onError - 渲染错误回调
+ */
+function PreviewRoot({ runId, component, fallback, onRendered, onError }) {
+  const Component = component
+
+  useEffect(() => {
+    onRendered(runId)
+  }, [runId, onRendered])
+
+  return (
+    <PreviewErrorBoundary
+      component={component}
+      fallback={fallback}
+      onError={onError}
+    >
+      <Component />
+    </PreviewErrorBoundary>
+  )
+}
+
+export default PreviewRoot
@@ -0,0 +1,60 @@
+/**
+ * 预览 iframe 的引导文档
+ * iframe 通过 srcdoc 加载，沙箱只开启 allow-scripts，页面运行在不透明源中：
+ * 用户代码无法访问宿主页面的 DOM、存储和同源接口，只能通过 postMessage 通信。
+ * 引导脚本向宿主请求运行时（见 plugins/previewRuntime.js），收到后插入样式和脚本，之后由运行时接管
+ */
+
+import { MESSAGE_SOURCE, MessageType } from "./protocol"
+
+// 引导脚本：只接受父页面发来的第一条 RUNTIME 消息
+const BOOTSTRAP_SCRIPT = `
+const source = ${JSON.stringify(MESSAGE_SOURCE)}
+const handleRuntime = (event) => {
+  if (event.source !== window.parent || event.data?.source !== source || event.data.type !== ${JSON.stringify(MessageType.RUNTIME)}) {
+    return
+  }
+  window.removeEventListener("message", handleRuntime)
+  const style = document.createElement("style")
+  style.textContent = event.data.style
+  document.head.append(style)
+  const script = document.createElement("script")
+  script.textContent = event.data.script
+  document.body.append(script)
+}
+window.addEventListener("message", handleRuntime)
+window.parent.postMessage({ source, type: ${JSON.stringify(MessageType.BOOT)} }, "*")
+`
+
+// iframe 的 srcdoc
+export const PREVIEW_DOCUMENT = `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>react-flow-preview</title>
+  </head>
+  <body>
+    <div id="root" class="w-screen h-screen"></div>
+    <script>${BOOTSTRAP_SCRIPT}</script>
+  </body>
+</html>
+`
+
+let runtimePromise = null
+
+/**
+ * 加载预览运行时（首次调用时按需加载，之后复用）
+ * @returns {Promise<{script: string, style: string}>} 运行时脚本和样式
+ */
+export function loadPreviewRuntime() {
+  if (!runtimePromise) {
+    runtimePromise = import("virtual:preview-runtime")
+      .then((module) => module.default)
+      .catch((err) => {
+        runtimePromise = null
+        throw err
+      })
+  }
+  return runtimePromise
+}
@@ -0,0 +1,62 @@
+/**
+ * 控制台捕获
+ * 拦截预览代码中的 console 输出，转换为可以通过 postMessage 传递的文本
+ */
+
+// 需要捕获的 console 方法
+const CONSOLE_LEVELS = ["log", "info", "warn", "error"]
+
+// 单个参数序列化后的最大长度
+const MAX_ARG_LENGTH = 2000
+
+/**
+ * 将任意值格式化为文本
+ * @param {*} value - console 参数
+ * @returns {string} 文本
+ */
+function formatArg(value) {
+  if (typeof value === "string") {
+    return value
+  }
+  if (value instanceof Error) {
+    return value.stack || `${value.name}: ${value.message}`
+  }
+  if (typeof value === "function") {
+    return `ƒ ${value.name || "anonymous"}()`
+  }
+  if (value === undefined || typeof value === "symbol" || typeof value === "bigint") {
+    return String(value)
+  }
+
+  // 对象使用 JSON 序列化，跳过循环引用和 DOM 节点
+  const seen = new WeakSet()
+  try {
+    const text = JSON.stringify(value, (key, val) => {
+      if (typeof val === "object" && val !== null) {
+        if (val instanceof Node) return `<${val.nodeName.toLowerCase()}>`
+        if (seen.has(val)) return "[Circular]"
+        seen.add(val)
+      }
+      if (typeof val === "function") return `ƒ ${val.name || "anonymous"}()`
+      return val
+    })
+    return text.length > MAX_ARG_LENGTH ? `${text.slice(0, MAX_ARG_LENGTH)}…` : text
+  } catch {
+    return String(value)
+  }
+}
+
+/**
+ * 拦截 console 方法，原方法仍会被调用
+ * @param {Function} onEntry - 回调，参数为 { level, message }
+ */
+export function captureConsole(onEntry) {
+  CONSOLE_LEVELS.forEach((level) => {
+    const original = console[level].bind(console)
+
+    console[level] = (...args) => {
+      original(...args)
+      onEntry({ level, message: args.map(formatArg).join(" ") })
+    }
+  })
+}
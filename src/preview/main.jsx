@@ -0,0 +1,183 @@
+/**
+ * 预览运行时
+ *
+ * 在独立的 iframe 中编译并渲染编辑后的案例代码：
+ * - 用户代码拥有独立的 window、document 和 React 根节点，不会影响宿主页面的路由和 DOM
+ * - iframe 运行在不透明源中，运行时由引导脚本插入（见 bootstrap.js），不能访问宿主页面
+ * - 通过 postMessage 接收代码，并回报渲染结果和错误
+ * - 循环中插入保护检查，死循环会被中断并作为错误上报
+ * - 只重新编译源码有变化的文件，并回报编译耗时
+ * - 错误边界捕获运行时错误，回退到上一次正常工作的组件
+ * - 可选地在热替换时保持 ReactFlow 的视口和拖动过的节点位置
+ * - console 输出转发给宿主页面的控制台面板
+ */
+
+import { createRoot } from "react-dom/client"
+import * as React from "react"
+import * as ReactFlow from "@xyflow/react"
+import dagre from "dagre"
+import { timer } from "d3-timer"
+import * as d3Force from "d3-force"
+import * as layout from "../lib/layout"
+import { createLoopGuard, createRequire, formatErrorStack, runModules } from "../lib/compiler"
+import { captureConsole } from "./console"
+import { MESSAGE_SOURCE, MessageType, isPreviewMessage } from "./protocol"
+import PreviewRoot from "./PreviewRoot"
+import PreservedFlow from "./PreservedFlow"
+import { captureNodePositions, setPreserveState } from "./preserve"
+import { setForwardedMotionPreference } from "../lib/layout/motion"
+import "../index.css"
+import "@xyflow/react/dist/style.css"
+
+// 单个任务内循环允许执行的最长时间（毫秒）
+const LOOP_TIMEOUT = 1000
+
+// 预览代码可以导入的模块
+const requireFn = createRequire({
+  react: React,
+  "react-dom": { default: null }, // 通常不需要
+  // 替换 ReactFlow 组件，使其在热替换后恢复视口和节点位置
+  "@xyflow/react": { ...ReactFlow, ReactFlow: PreservedFlow },
+  dagre: dagre,
+  "d3-timer": { timer },
+  "d3-force": d3Force,
+  // 案例共享的辅助模块
+  "@/lib/layout": layout,
+})
+
+const loopGuard = createLoopGuard(LOOP_TIMEOUT)
+
+// 各文件的编译结果，源码不变的文件在下一次运行时直接复用
+const compileCache = new Map()
+
+/**
+ * 向宿主页面发送消息
+ * 不透明源无法得知宿主的源，目标源只能是 "*"；宿主通过 event.source 确认消息来自预览 iframe
+ * @param {string} type - 消息类型
+ * @param {Object} payload - 消息内容
+ */
+const postToHost = (type, payload = {}) => {
+  window.parent.postMessage({ source: MESSAGE_SOURCE, type, ...payload }, "*")
+}
+
+// 当前运行的编号和源码，用于把异步错误关联到最近一次运行并映射堆栈
+let currentRunId = null
+let currentFiles = {}
+// 出现过错误的运行编号
+let erroredRunId = null
+
+/**
+ * 将错误上报给宿主页面，堆栈映射回编辑器中的源码行
+ * @param {Error} error - 错误对象
+ */
+const reportError = (error) => {
+  erroredRunId = currentRunId
+  console.error("预览错误:", error)
+  postToHost(MessageType.ERROR, {
+    id: currentRunId,
+    message: error?.message || String(error),
+    stack: formatErrorStack(error, currentFiles),
+  })
+}
+
+// 转发 console 输出，显示在宿主页面的控制台面板中
+captureConsole((entry) => postToHost(MessageType.CONSOLE, entry))
+
+// 没有被错误边界捕获的错误（如错误边界自身渲染失败）
+const root = createRoot(document.getElementById("root"), {
+  onUncaughtError: (error) => reportError(error),
+})
+
+// 事件处理函数和异步代码中的错误不经过 React，需要单独捕获
+window.addEventListener("error", (event) => reportError(event.error || event.message))
+window.addEventListener("unhandledrejection", (event) => reportError(event.reason))
+
+/**
+ * 编译并执行案例代码，返回默认导出的组件
+ * @param {Object} files - 文件名到源码的映射
+ * @param {string} entry - 入口文件名
+ * @returns {Function} 组件
+ */
+const compile = (files, entry) => {
+  const moduleExports = runModules(files, entry, { React, require: requireFn, loopGuard, compileCache })
+
+  // 获取默认导出或命名导出
+  const Component = moduleExports.default || moduleExports
+
+  if (typeof Component !== "function") {
+    throw new Error("组件必须是一个函数")
+  }
+  return Component
+}
+
+// 正在渲染的组件，以及最近一次正常工作的组件
+let renderingComponent = null
+let lastWorkingComponent = null
+
+/**
+ * 渲染完成：没有出错的组件成为新的回退组件，并通知宿主
+ * @param {number} id - 运行编号
+ */
+const reportRendered = (id) => {
+  if (id === currentRunId && erroredRunId !== id) {
+    lastWorkingComponent = renderingComponent
+  }
+  postToHost(MessageType.RENDERED, { id })
+}
+
+window.addEventListener("message", (event) => {
+  if (event.source !== window.parent || !isPreviewMessage(event)) {
+    return
+  }
+
+  // 宿主页面的全局动画设置（iframe 无法读取宿主的 localStorage）
+  if (event.data.type === MessageType.MOTION) {
+    setForwardedMotionPreference(event.data.preference)
+    return
+  }
+
+  if (event.data.type !== MessageType.RUN) {
+    return
+  }
+
+  const { id, files, entry, fallbackFiles, preserveState } = event.data
+  currentRunId = id
+  currentFiles = files
+  setPreserveState(Boolean(preserveState))
+
+  let component = null
+  const startTime = performance.now()
+  try {
+    component = compile(files, entry)
+    postToHost(MessageType.COMPILED, { id, success: true, duration: performance.now() - startTime })
+  } catch (error) {
+    postToHost(MessageType.COMPILED, { id, success: false, duration: performance.now() - startTime })
+    reportError(error)
+    // 编译失败时保留上一次正常工作的组件；首次运行失败则回退到原始代码
+    component = lastWorkingComponent
+    if (!component && fallbackFiles) {
+      try {
+        component = compile(fallbackFiles, entry)
+      } catch (fallbackError) {
+        console.error("原始代码编译失败:", fallbackError)
+      }
+    }
+  }
+
+  if (component) {
+    renderingComponent = component
+    // 旧组件卸载前记录节点位置
+    captureNodePositions()
+    root.render(
+      <PreviewRoot
+        runId={id}
+        component={component}
+        fallback={lastWorkingComponent}
+        onRendered={reportRendered}
+        onError={reportError}
+      />
+    )
+  }
+})
+
+postToHost(MessageType.READY)
@@ -0,0 +1,88 @@
+/**
+ * 热替换时的状态保持
+ * 预览代码每次重新编译后组件会重新挂载，ReactFlow 的视口和节点位置随之重置。
+ * 开启保持后：
+ * - 记录用户最后一次平移/缩放后的视口，新挂载的 ReactFlow 从该视口开始
+ * - 记录用户拖动过的节点，热替换前读取它们的当前位置，新挂载的 ReactFlow 中 id 相同的节点恢复到该位置；
+ *   没有拖动过的节点仍使用新代码计算的位置，修改布局代码后可以立即看到效果
+ */
+
+const state = {
+  enabled: true, // 是否在热替换时保持视口和节点位置
+  viewport: null, // 最近一次的视口 { x, y, zoom }
+  instances: new Set(), // 当前挂载的 ReactFlow 实例
+  draggedIds: new Set(), // 用户拖动过的节点 ID
+  positions: new Map(), // 热替换前记录的节点位置：节点 ID -> { x, y }
+}
+
+/**
+ * 设置是否保持视口和节点位置，关闭时清除已记录的节点
+ * @param {boolean} enabled - 是否保持
+ */
+export function setPreserveState(enabled) {
+  state.enabled = enabled
+  if (!enabled) {
+    state.draggedIds.clear()
+    state.positions.clear()
+  }
+}
+
+/**
+ * 记录当前视口
+ * @param {{x: number, y: number, zoom: number}} viewport - 视口
+ */
+export function saveViewport(viewport) {
+  state.viewport = viewport
+}
+
+/**
+ * 获取需要恢复的视口
+ * @returns {{x: number, y: number, zoom: number}|null} 视口，未开启保持或没有记录时为 null
+ */
+export function getPreservedViewport() {
+  return state.enabled ? state.viewport : null
+}
+
+/**
+ * 登记挂载的 ReactFlow 实例，热替换前从中读取节点位置
+ * @param {Object} instance - ReactFlow 实例
+ * @returns {Function} 取消登记的函数，卸载时调用
+ */
+export function registerFlow(instance) {
+  state.instances.add(instance)
+  return () => state.instances.delete(instance)
+}
+
+/**
+ * 记录用户拖动过的节点
+ * @param {Array} nodes - 拖动的节点
+ */
+export function markDragged(nodes) {
+  if (state.enabled) {
+    nodes.forEach((node) => state.draggedIds.add(node.id))
+  }
+}
+
+/**
+ * 热替换前调用：读取拖动过的节点的当前位置
+ */
+export function captureNodePositions() {
+  if (!state.enabled) {
+    return
+  }
+  state.instances.forEach((instance) => {
+    instance.getNodes().forEach((node) => {
+      if (state.draggedIds.has(node.id)) {
+        state.positions.set(node.id, node.position)
+      }
+    })
+  })
+}
+
+/**
+ * 获取需要恢复的节点位置
+ * @returns {Map<string, {x: number, y: number}>} 节点 ID -> 位置，未开启保持时为空
+ */
+export function getPreservedPositions() {
+  return state.enabled ? state.positions : new Map()
+}
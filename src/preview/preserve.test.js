@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest"
+import {
+  captureNodePositions,
+  getPreservedPositions,
+  getPreservedViewport,
+  markDragged,
+  registerFlow,
+  saveViewport,
+  setPreserveState,
+} from "./preserve"
+
+// 只提供 getNodes 的 ReactFlow 实例
+const createInstance = (nodes) => ({ getNodes: () => nodes })
+
+describe("preserve", () => {
+  it("热替换前只记录拖动过的节点的当前位置", () => {
+    setPreserveState(true)
+    const unregister = registerFlow(
+      createInstance([
+        { id: "a", position: { x: 10, y: 20 } },
+        { id: "b", position: { x: 30, y: 40 } },
+      ])
+    )
+    markDragged([{ id: "a" }])
+    captureNodePositions()
+    unregister()
+
+    expect([...getPreservedPositions()]).toEqual([["a", { x: 10, y: 20 }]])
+
+    // 卸载的实例不再读取
+    registerFlow(createInstance([{ id: "a", position: { x: 0, y: 0 } }]))()
+    captureNodePositions()
+    expect(getPreservedPositions().get("a")).toEqual({ x: 10, y: 20 })
+  })
+
+  it("关闭保持时不返回视口，并清除记录的节点", () => {
+    saveViewport({ x: 1, y: 2, zoom: 3 })
+    expect(getPreservedViewport()).toEqual({ x: 1, y: 2, zoom: 3 })
+
+    setPreserveState(false)
+    expect(getPreservedViewport()).toBeNull()
+    expect(getPreservedPositions().size).toBe(0)
+
+    setPreserveState(true)
+    expect(getPreservedPositions().size).toBe(0)
+  })
+})
@@ -0,0 +1,38 @@
+/**
+ * 预览 iframe 与宿主页面之间的消息协议
+ * 所有消息都通过 postMessage 传递，并带有 source 字段用于过滤无关消息
+ */
+
+// 消息来源标识
+export const MESSAGE_SOURCE = "react-flow-preview"
+
+// 消息类型
+export const MessageType = {
+  // iframe -> 宿主：引导脚本已加载，请求运行时
+  BOOT: "boot",
+  // 宿主 -> iframe：运行时脚本和样式，由引导脚本插入页面
+  RUNTIME: "runtime",
+  // iframe -> 宿主：运行时已加载完成，可以接收代码
+  READY: "ready",
+  // 宿主 -> iframe：编译并渲染代码
+  RUN: "run",
+  // 宿主 -> iframe：全局动画设置，iframe 就绪和设置变化时发送
+  MOTION: "motion",
+  // iframe -> 宿主：编译完成，带有是否成功和耗时（毫秒）
+  COMPILED: "compiled",
+  // iframe -> 宿主：代码已渲染完成
+  RENDERED: "rendered",
+  // iframe -> 宿主：编译或运行时错误
+  ERROR: "error",
+  // iframe -> 宿主：console 输出
+  CONSOLE: "console",
+}
+
+/**
+ * 判断是否为预览协议消息
+ * @param {MessageEvent} event - message 事件
+ * @returns {boolean}
+ */
+export function isPreviewMessage(event) {
+  return event.data?.source === MESSAGE_SOURCE
+}
@@ -0,0 +1,45 @@
+/**
+ * 布局测试共用的辅助函数
+ */
+
+import { getNodeSize } from "@/lib/layout/size"
+
+/**
+ * 根据 ID 和边的端点生成节点和边，节点使用默认尺寸（150x50）
+ * @param {string[]} ids - 节点 ID
+ * @param {Array<[string, string]>} links - 边的端点
+ * @returns {{nodes: Array, edges: Array}} 节点和边
+ */
+export function createGraph(ids, links) {
+  return {
+    nodes: ids.map((id) => ({ id, data: { label: id }, position: { x: 0, y: 0 } })),
+    edges: links.map(([source, target]) => ({ id: `${source}-${target}`, source, target })),
+  }
+}
+
+/**
+ * 节点 ID -> 位置
+ * @param {Array} nodes - 布局后的节点
+ * @returns {Object} 节点 ID 到位置的映射
+ */
+export function positionsById(nodes) {
+  return Object.fromEntries(nodes.map((node) => [node.id, node.position]))
+}
+
+/**
+ * 找出互相重叠的节点
+ * @param {Array} nodes - 布局后的节点
+ * @returns {Array<[string, string]>} 重叠的节点对
+ */
+export function findOverlaps(nodes) {
+  const boxes = nodes.map((node) => ({ id: node.id, ...node.position, ...getNodeSize(node) }))
+  const overlaps = []
+  boxes.forEach((a, i) => {
+    boxes.slice(i + 1).forEach((b) => {
+      if (a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height) {
+        overlaps.push([a.id, b.id])
+      }
+    })
+  })
+  return overlaps
+}
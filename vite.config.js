@@ -2,12 +2,37 @@ import { defineConfig } from "vite"
 import react from "@vitejs/plugin-react"
 import path from "path"
 import { fileURLToPath } from "url"
+import typeDefinitions from "./plugins/typeDefinitions"
+import previewRuntime from "./plugins/previewRuntime"
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // 预览 iframe 的运行时，打包成自包含的脚本，见 src/preview/bootstrap.js
+    previewRuntime(__dirname, "src/preview/main.jsx"),
+    // 编辑器中预览代码可导入的模块的类型定义，见 src/lib/typeDefinitions.js
+    typeDefinitions(__dirname, [
+      "@types/react/index.d.ts",
+      "@types/react/global.d.ts",
+      "@types/react/jsx-runtime.d.ts",
+      "csstype/index.d.ts",
+      "@xyflow/react/dist/esm/**",
+      "@xyflow/system/dist/esm/**",
+      "@types/d3-color/index.d.ts",
+      "@types/d3-drag/index.d.ts",
+      "@types/d3-force/index.d.ts",
+      "@types/d3-interpolate/index.d.ts",
+      "@types/d3-selection/index.d.ts",
+      "@types/d3-timer/index.d.ts",
+      "@types/d3-transition/index.d.ts",
+      "@types/d3-zoom/index.d.ts",
+      "@types/dagre/index.d.ts",
+      "zustand/*",
+    ]),
+  ],
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),